@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * @file bin/sudoku.js
+ *
+ * Contains the 'sudoku' command-line tool, which solves, checks, generates,
+ * validates and rates puzzles using the same solvers as the API.
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const {
+  getSolvers,
+  checkPlacement,
+} = require("../controllers/puzzle-requests.js");
+const {
+  isFormat,
+  parsePuzzles,
+  formatPuzzle,
+} = require("../controllers/puzzle-formats.js");
+
+/**
+ * The codes the tool exits with. A run exits with the highest code of any puzzle
+ * it handled.
+ */
+const EXIT_CODES = {
+  // Every puzzle was handled successfully.
+  ok: 0,
+  // A puzzle was valid, but could not be solved, a placement conflicted, or no
+  // puzzle could be generated.
+  failed: 1,
+  // A puzzle, or the command line itself, was invalid.
+  invalid: 2,
+};
+
+const USAGE = `Usage: sudoku <command> [options] [puzzle...]
+
+Commands:
+  solve                   Solve each puzzle.
+  check <coord> <value>   Check placing a value at a coordinate, such as A1.
+  generate                Generate puzzles.
+  validate                Validate each puzzle.
+  rate                    Rate the difficulty of each puzzle.
+
+Puzzles are read from the arguments, from files given with --file, or else from
+standard input, one on each line. Any format read by the API may be used.
+
+Options:
+  -f, --file <path>       Read puzzles from a file. May be repeated.
+  -o, --output <format>   Write puzzles as string, zeros, grid, sdk, sdm, ss or
+                          json. Defaults to string.
+      --json              Write a JSON line with the full result of each puzzle.
+      --engine <name>     Solve with 'backtrack' or 'dlx'.
+      --size <n>          The grid size. Defaults to 9.
+      --box-rows <n>      The number of rows in each box.
+      --box-cols <n>      The number of columns in each box.
+      --constraint <name> Follow an extra rule, such as diagonal. May be repeated.
+  -n, --count <n>         The number of puzzles to generate. Defaults to 1.
+      --difficulty <name> The difficulty of generated puzzles.
+      --symmetry <name>   The symmetry of generated puzzles.
+      --min-clues <n>     The fewest clues of generated puzzles.
+      --max-clues <n>     The most clues of generated puzzles.
+      --seed <n>          Generate the first puzzle from this seed, and each
+                          puzzle after it from the next seed.
+  -h, --help              Show this message.
+
+Exit codes:
+  0  Every puzzle was handled successfully.
+  1  A puzzle could not be solved, a placement conflicted, or no puzzle could be
+     generated.
+  2  A puzzle or the command line was invalid.
+`;
+
+/**
+ * The options the tool accepts, as expected by 'util.parseArgs'.
+ */
+const OPTIONS = {
+  file: { type: "string", short: "f", multiple: true },
+  output: { type: "string", short: "o", default: "string" },
+  json: { type: "boolean", default: false },
+  engine: { type: "string", default: "backtrack" },
+  size: { type: "string" },
+  "box-rows": { type: "string" },
+  "box-cols": { type: "string" },
+  constraint: { type: "string", multiple: true },
+  count: { type: "string", short: "n", default: "1" },
+  difficulty: { type: "string" },
+  symmetry: { type: "string" },
+  "min-clues": { type: "string" },
+  "max-clues": { type: "string" },
+  seed: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Converts an option given as text into a number, if it was given at all.
+ *
+ * @param {string} value The option's value.
+ * @returns {number} The number, or undefined if the option was not given.
+ */
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+/**
+ * Gathers the grid layout and rules given on the command line into the fields
+ * of an API request body, which @a getSolvers reads.
+ *
+ * @param {object} values The parsed options.
+ * @returns {object} The request body fields.
+ */
+const rulesOf = (values) => ({
+  size: values.size,
+  boxRows: values["box-rows"],
+  boxCols: values["box-cols"],
+  constraints: values.constraint,
+});
+
+/**
+ * Reads the puzzles given on the command line, from the files given, or else
+ * from standard input. Each line of a collection which does not hold a whole
+ * puzzle is kept in its place as an error, so that the rest can still be read.
+ *
+ * @param {string[]} args The puzzles given as arguments.
+ * @param {string[]} files The paths of the files to read.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {function} readStdin Returns the text of standard input.
+ * @returns {{puzzles: {puzzle: string, error: string}[], error: string}} Each
+ * puzzle string, or the error of each puzzle which could not be read, or an
+ * error if no puzzles could be read at all.
+ */
+const readPuzzles = (args, files = [], layout, readStdin) => {
+  const texts = [...args];
+  for (const file of files) {
+    try {
+      texts.push(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      return { error: `Could not read ${file}` };
+    }
+  }
+
+  if (texts.length === 0) {
+    texts.push(readStdin());
+  }
+
+  const puzzles = [];
+  for (const text of texts) {
+    const parsed = parsePuzzles(text, layout);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    // Put the puzzles and the errors of a collection back in the order of its
+    // lines.
+    const read = [];
+    parsed.puzzles.forEach(
+      (puzzle, index) => (read[parsed.indices[index]] = { puzzle })
+    );
+    parsed.errors.forEach(({ index, error }) => (read[index] = { error }));
+    puzzles.push(...read.filter(({ puzzle }) => puzzle !== ""));
+  }
+
+  return puzzles.length > 0 ? { puzzles } : { error: "No puzzles given" };
+};
+
+/**
+ * Writes the given puzzle string in the requested format, as text.
+ *
+ * @param {string} puzzle The puzzle string.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {string} format The name of the format.
+ * @returns {string} The written puzzle.
+ */
+const writePuzzle = (puzzle, layout, format) => {
+  const { output } = formatPuzzle(puzzle, layout, format);
+  return typeof output === "string" ? output : JSON.stringify(output);
+};
+
+/**
+ * The commands the tool runs, by name. Each takes the solvers, the puzzle string
+ * and the parsed command line, and returns the result to write as JSON, the
+ * text to write otherwise, and the code to exit with.
+ */
+const COMMANDS = {
+  solve: ({ solver }, puzzle, { values }) => {
+    const validation = solver.validate(puzzle);
+    if (validation.ok === false) {
+      return { code: EXIT_CODES.invalid, result: { error: validation.error } };
+    }
+
+    const solve = solver.solve(puzzle, false, values.engine);
+    if (solve.error) {
+      return { code: EXIT_CODES.failed, result: solve };
+    }
+
+    const solution = writePuzzle(solve.solution, solver.layout, values.output);
+    return {
+      code: EXIT_CODES.ok,
+      result: { ...solve, solution },
+      text: solution,
+    };
+  },
+
+  check: (_, puzzle, { values, positionals }) => {
+    const [coordinate, value] = positionals;
+    const check = checkPlacement({
+      ...rulesOf(values),
+      puzzle,
+      coordinate,
+      value,
+    });
+    if (check.error) {
+      return { code: EXIT_CODES.invalid, result: check };
+    }
+
+    return check.valid
+      ? { code: EXIT_CODES.ok, result: check, text: "valid" }
+      : {
+          code: EXIT_CODES.failed,
+          result: check,
+          text: `invalid: ${check.conflict.join(", ")}`,
+        };
+  },
+
+  validate: ({ solver }, puzzle) => {
+    const validation = solver.validate(puzzle);
+    return validation.ok
+      ? { code: EXIT_CODES.ok, result: { valid: true }, text: "valid" }
+      : {
+          code: EXIT_CODES.invalid,
+          result: { valid: false, error: validation.error },
+        };
+  },
+
+  rate: ({ solver, logicalSolver }, puzzle) => {
+    const validation = solver.validate(puzzle);
+    if (validation.ok === false) {
+      return { code: EXIT_CODES.invalid, result: { error: validation.error } };
+    }
+
+    const rating = logicalSolver.rate(puzzle);
+    if (rating.error) {
+      return { code: EXIT_CODES.failed, result: rating };
+    }
+
+    return {
+      code: EXIT_CODES.ok,
+      result: rating,
+      text: `${rating.difficulty} (score ${rating.score})`,
+    };
+  },
+};
+
+/**
+ * Generates the requested number of puzzles.
+ *
+ * @param {SudokuSolver} solver The solver to generate puzzles with.
+ * @param {object} values The parsed options.
+ * @returns {{code: number, result: object, text: string}[]} The result of each
+ * generation.
+ */
+const generate = (solver, values) => {
+  const count = Number(values.count);
+  if (Number.isInteger(count) === false || count < 1) {
+    return [{ code: EXIT_CODES.invalid, result: { error: "Invalid count" } }];
+  }
+
+  const options = {
+    difficulty: values.difficulty,
+    symmetry: values.symmetry,
+    minClues: toNumber(values["min-clues"]),
+    maxClues: toNumber(values["max-clues"]),
+  };
+  const seed = toNumber(values.seed);
+
+  const outcomes = [];
+  for (let index = 0; index < count; ++index) {
+    const generated = solver.generatePuzzle({
+      ...options,
+      seed: seed === undefined ? undefined : seed + index,
+    });
+    if (generated.error) {
+      // Options the generator rejects will be rejected every time, so stop.
+      const failed = generated.error.startsWith("Could not generate");
+      outcomes.push({
+        code: failed ? EXIT_CODES.failed : EXIT_CODES.invalid,
+        result: generated,
+      });
+      break;
+    }
+
+    const puzzle = writePuzzle(generated.puzzle, solver.layout, values.output);
+    outcomes.push({
+      code: EXIT_CODES.ok,
+      result: {
+        ...generated,
+        puzzle,
+        solution: writePuzzle(generated.solution, solver.layout, values.output),
+      },
+      text: puzzle,
+    });
+  }
+
+  return outcomes;
+};
+
+/**
+ * Runs the tool with the given command line.
+ *
+ * @param {string[]} argv The command-line arguments, after the program name.
+ * @param {object} io The streams to use.
+ * @param {function} io.readStdin Returns the text of standard input.
+ * @param {function} io.writeOut Writes a line to standard output.
+ * @param {function} io.writeErr Writes a line to standard error.
+ * @returns {number} The code to exit with.
+ */
+const run = (argv, { readStdin, writeOut, writeErr }) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    writeErr(err.message);
+    return EXIT_CODES.invalid;
+  }
+
+  const { values } = parsed;
+  const [command, ...positionals] = parsed.positionals;
+  if (values.help) {
+    writeOut(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  if (
+    command !== "generate" &&
+    Object.prototype.hasOwnProperty.call(COMMANDS, command) === false
+  ) {
+    writeErr(USAGE);
+    return EXIT_CODES.invalid;
+  }
+
+  const solvers = getSolvers(rulesOf(values));
+  if (solvers.error) {
+    writeErr(solvers.error);
+    return EXIT_CODES.invalid;
+  }
+
+  if (isFormat(values.output) === false) {
+    writeErr("Invalid output format");
+    return EXIT_CODES.invalid;
+  }
+
+  // Find the result of each puzzle. The coordinate and value to check come
+  // before any puzzles.
+  let outcomes;
+  if (command === "generate") {
+    outcomes = generate(solvers.solver, values);
+  } else {
+    if (command === "check" && positionals.length < 2) {
+      writeErr(USAGE);
+      return EXIT_CODES.invalid;
+    }
+
+    const args = command === "check" ? positionals.slice(2) : positionals;
+    const read = readPuzzles(
+      args,
+      values.file,
+      solvers.solver.layout,
+      readStdin
+    );
+    if (read.error) {
+      writeErr(read.error);
+      return EXIT_CODES.invalid;
+    }
+
+    outcomes = read.puzzles.map(({ puzzle, error }) =>
+      error
+        ? { code: EXIT_CODES.invalid, result: { error } }
+        : COMMANDS[command](solvers, puzzle, { values, positionals })
+    );
+  }
+
+  // Write the result of each puzzle, numbering them from one in errors.
+  outcomes.forEach(({ result, text }, index) => {
+    if (values.json) {
+      writeOut(JSON.stringify(result));
+    } else if (result.error) {
+      writeErr(`Puzzle ${index + 1}: ${result.error}`);
+    } else {
+      writeOut(text);
+    }
+  });
+
+  return Math.max(...outcomes.map(({ code }) => code));
+};
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2), {
+    readStdin: () => (process.stdin.isTTY ? "" : fs.readFileSync(0, "utf8")),
+    writeOut: (line) => process.stdout.write(`${line}\n`),
+    writeErr: (line) => process.stderr.write(`${line}\n`),
+  });
+}
+
+module.exports = { run, EXIT_CODES };
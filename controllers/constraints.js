@@ -0,0 +1,664 @@
+/**
+ * @file controllers/constraints.js
+ *
+ * Contains the extra rules a sudoku puzzle may declare on top of the usual row,
+ * column and region rules, such as X-Sudoku diagonals or anti-knight.
+ */
+
+/**
+ * @typedef Constraint
+ * @brief An extra rule, resolved for a particular grid layout.
+ * @type {object}
+ * @property {string} name The name of the rule, as reported in conflicts.
+ * @property {number[][]} units Groups of cells which, like a row, must hold every
+ * digit exactly once. Empty for rules which are not made up of such groups.
+ * @property {number[][]} neighbours For each cell, the cells the rule relates it to.
+ * @property {boolean} distinct True if related cells simply must not hold the same digit.
+ * @property {function} forbids Takes a digit and returns the mask of digits which
+ * the cells related to a cell holding that digit may not hold.
+ * @property {function} allows Optional. Takes the digit in each cell, zero for an
+ * empty cell, and the index of an empty cell, and returns the mask of digits the
+ * rule still allows in that cell. Used by rules, such as cage sums, which depend
+ * on more than pairs of cells.
+ */
+
+/**
+ * @typedef Cage
+ * @brief A Killer Sudoku cage: cells whose digits must differ and add up to a sum.
+ * @type {object}
+ * @property {string[]} cells The cells of the cage, in letter-and-number notation.
+ * @property {number} sum The sum of the cage's digits.
+ */
+
+/**
+ * @typedef Markings
+ * @brief The lines and dots drawn on a puzzle, each relating the digits of the
+ * cells they touch. Cells are given in letter-and-number notation.
+ * @type {object}
+ * @property {string[][]} thermometers The cells along each thermometer, from its
+ * bulb. Digits must increase strictly away from the bulb.
+ * @property {{circle: string, cells: string[]}[]} arrows The circle of each
+ * arrow, and the cells along its shaft. The digit in the circle must equal the
+ * sum of the digits along the shaft.
+ * @property {{cells: string[], type: string}[]} kropki The two adjacent cells
+ * either side of each Kropki dot. The digits either side of a 'white' dot are
+ * consecutive; one digit next to a 'black' dot is double the other.
+ * @property {{greater: string, lesser: string}[]} inequalities The two adjacent
+ * cells either side of each greater-than sign, the greater first.
+ */
+
+/**
+ * @typedef ResolveConstraintsResult
+ * @brief The return value of @a resolveConstraints.
+ * @type {object}
+ * @property {Constraint[]} constraints The resolved constraints.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * The moves of a chess knight, as row and column offsets.
+ */
+const KNIGHT_MOVES = [
+  [-2, -1],
+  [-2, 1],
+  [-1, -2],
+  [-1, 2],
+  [1, -2],
+  [1, 2],
+  [2, -1],
+  [2, 1],
+];
+
+/**
+ * The diagonal moves of a chess king, as row and column offsets. Its orthogonal
+ * moves stay within a row or column, so are already covered by the usual rules.
+ */
+const KING_MOVES = [
+  [-1, -1],
+  [-1, 1],
+  [1, -1],
+  [1, 1],
+];
+
+/**
+ * The moves to each orthogonally-adjacent cell, as row and column offsets.
+ */
+const ORTHOGONAL_MOVES = [
+  [-1, 0],
+  [0, -1],
+  [0, 1],
+  [1, 0],
+];
+
+/**
+ * Lists, for each cell, the cells reached by the given moves without leaving
+ * the grid.
+ *
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {number[][]} moves The moves, as row and column offsets.
+ * @returns {number[][]} The cells reached from each cell.
+ */
+const neighboursByMoves = (layout, moves) =>
+  Array.from({ length: layout.cellCount }, (_, cell) => {
+    const row = Math.floor(cell / layout.size);
+    const col = cell % layout.size;
+
+    return moves
+      .map(([dr, dc]) => [row + dr, col + dc])
+      .filter(
+        ([r, c]) => r >= 0 && r < layout.size && c >= 0 && c < layout.size
+      )
+      .map(([r, c]) => r * layout.size + c);
+  });
+
+/**
+ * Lists, for each cell, the other cells sharing one of the given units with it.
+ *
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {number[][]} units The units.
+ * @returns {number[][]} The cells related to each cell.
+ */
+const neighboursByUnits = (layout, units) =>
+  Array.from({ length: layout.cellCount }, (_, cell) => {
+    const neighbours = new Set();
+    for (const unit of units) {
+      if (unit.includes(cell)) {
+        unit.forEach((other) => neighbours.add(other));
+      }
+    }
+
+    neighbours.delete(cell);
+    return [...neighbours];
+  });
+
+/**
+ * The rules a puzzle may declare, keyed by name. Each rule describes, for a
+ * given layout, either the units whose cells must all differ, or the moves
+ * relating each cell to its neighbours. Rules other than simple distinctness
+ * also give the digits they forbid in a related cell.
+ */
+const RULES = {
+  // X-Sudoku: both main diagonals hold every digit once.
+  diagonal: {
+    units: ({ size }) => [
+      Array.from({ length: size }, (_, i) => i * size + i),
+      Array.from({ length: size }, (_, i) => i * size + (size - 1 - i)),
+    ],
+  },
+
+  // Hyper Sudoku, or Windoku: extra regions sit one cell in from the edges of
+  // the grid, with one cell of space between each.
+  windoku: {
+    units: ({ size, boxRows, boxCols }) => {
+      const starts = (boxSize) => {
+        const result = [];
+        for (let start = 1; start + boxSize < size; start += boxSize + 1) {
+          result.push(start);
+        }
+
+        return result;
+      };
+
+      return starts(boxRows).flatMap((top) =>
+        starts(boxCols).map((left) =>
+          Array.from(
+            { length: size },
+            (_, i) =>
+              (top + Math.floor(i / boxCols)) * size + left + (i % boxCols)
+          )
+        )
+      );
+    },
+  },
+
+  // Cells a chess knight's move apart hold different digits.
+  "anti-knight": {
+    moves: KNIGHT_MOVES,
+  },
+
+  // Cells a chess king's move apart hold different digits.
+  "anti-king": {
+    moves: KING_MOVES,
+  },
+
+  // Orthogonally-adjacent cells do not hold consecutive digits.
+  "non-consecutive": {
+    moves: ORTHOGONAL_MOVES,
+    forbids: (digit) => (1 << (digit - 1)) | (1 << (digit + 1)),
+  },
+};
+
+/**
+ * Resolves the rules with the given names for the given grid layout.
+ *
+ * @param {string[]|string} names The names of the rules, as an array or as a
+ * comma-separated string.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {ResolveConstraintsResult} The resolved constraints, or an error.
+ */
+const resolveConstraints = (names = [], layout) => {
+  if (typeof names === "string") {
+    names = names.split(",").map((name) => name.trim());
+  }
+
+  if (Array.isArray(names) === false) {
+    return { error: "Constraints must be a list of names" };
+  }
+
+  const constraints = [];
+  for (const name of new Set(names.filter((name) => name !== ""))) {
+    const rule = RULES[name];
+    if (rule === undefined) {
+      return { error: `Unknown constraint '${name}'` };
+    }
+
+    const units = rule.units ? rule.units(layout) : [];
+    const neighbours = rule.units
+      ? neighboursByUnits(layout, units)
+      : neighboursByMoves(layout, rule.moves);
+
+    constraints.push({
+      name,
+      units,
+      neighbours,
+      distinct: rule.forbids === undefined,
+      forbids: rule.forbids || ((digit) => 1 << digit),
+    });
+  }
+
+  return { constraints };
+};
+
+/**
+ * The combinations of digits which may fill a cage, cached by the number of
+ * digits in the grid, the number of cells in the cage and its sum.
+ */
+const cageCombinations = new Map();
+
+/**
+ * Lists every combination of different digits filling a cage with the given
+ * number of cells and sum.
+ *
+ * @param {number} size The number of digits in the grid.
+ * @param {number} cellCount The number of cells in the cage.
+ * @param {number} sum The sum of the cage.
+ * @returns {number[]} The combinations, as digit masks.
+ */
+const findCageCombinations = (size, cellCount, sum) => {
+  const key = `${size}:${cellCount}:${sum}`;
+  if (cageCombinations.has(key) === false) {
+    const combinations = [];
+    const recurse = (digit, mask, cells, total) => {
+      if (cells === cellCount) {
+        if (total === sum) {
+          combinations.push(mask);
+        }
+        return;
+      }
+
+      for (let next = digit; next <= size && total + next <= sum; ++next) {
+        recurse(next + 1, mask | (1 << next), cells + 1, total + next);
+      }
+    };
+
+    recurse(1, 0, 0, 0);
+    cageCombinations.set(key, combinations);
+  }
+
+  return cageCombinations.get(key);
+};
+
+/**
+ * Returns the mask of digits which may go in an empty cell of the given cage:
+ * those found in a combination of digits making up the cage's sum, which holds
+ * every digit already placed in the cage.
+ *
+ * @param {{cells: number[], combinations: number[]}} cage The cage, with cell
+ * indices and the combinations of digits which may fill it.
+ * @param {Uint8Array|number[]} digits The digit in each cell, or zero if empty.
+ * @returns {number} The mask of digits allowed.
+ */
+const cageAllows = (cage, digits) => {
+  let used = 0;
+  for (const cell of cage.cells) {
+    used |= 1 << digits[cell];
+  }
+  used &= ~1;
+
+  let mask = 0;
+  for (const combination of cage.combinations) {
+    if ((combination & used) === used) {
+      mask |= combination;
+    }
+  }
+
+  return mask & ~used;
+};
+
+/**
+ * Resolves the given Killer Sudoku cages for the given grid layout, as a rule
+ * named 'cage'. No two cells in a cage may hold the same digit, and the digits
+ * in a cage must add up to its sum.
+ *
+ * @param {Cage[]} cages The cages.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {ResolveConstraintsResult} The resolved rule, or none if there are
+ * no cages, or an error.
+ */
+const resolveCages = (cages = [], layout) => {
+  if (Array.isArray(cages) === false) {
+    return { error: "Cages must be a list of cages" };
+  }
+
+  // The index of the cage each cell falls into, or -1 if it is in none.
+  const cageOf = new Array(layout.cellCount).fill(-1);
+  const resolved = [];
+  for (const cage of cages) {
+    if (
+      cage === null ||
+      typeof cage !== "object" ||
+      Array.isArray(cage.cells) === false ||
+      cage.cells.length === 0 ||
+      cage.cells.length > layout.size
+    ) {
+      return { error: "Invalid cage cells" };
+    }
+
+    const cells = cage.cells.map((cell) => layout.parseCoordinate(cell));
+    if (cells.includes(-1)) {
+      return { error: "Invalid cage cells" };
+    }
+
+    const sum = Number(cage.sum);
+    if (Number.isInteger(sum) === false || sum < 1) {
+      return { error: "Invalid cage sum" };
+    }
+
+    if (
+      new Set(cells).size !== cells.length ||
+      cells.some((cell) => cageOf[cell] !== -1)
+    ) {
+      return { error: "Cages must not overlap" };
+    }
+
+    cells.forEach((cell) => (cageOf[cell] = resolved.length));
+    resolved.push({
+      cells,
+      sum,
+      combinations: findCageCombinations(layout.size, cells.length, sum),
+    });
+  }
+
+  if (resolved.length === 0) {
+    return { constraints: [] };
+  }
+
+  const neighbours = cageOf.map((index, cell) =>
+    index === -1 ? [] : resolved[index].cells.filter((other) => other !== cell)
+  );
+
+  return {
+    constraints: [
+      {
+        name: "cage",
+        units: [],
+        neighbours,
+        distinct: true,
+        forbids: (digit) => 1 << digit,
+        allows: (digits, cell) =>
+          cageOf[cell] === -1 ? -1 : cageAllows(resolved[cageOf[cell]], digits),
+      },
+    ],
+  };
+};
+
+/**
+ * Returns the mask of the digits from 'low' to 'high', both inclusive. Digits
+ * below one are left out.
+ *
+ * @param {number} low The lowest digit.
+ * @param {number} high The highest digit, no more than the grid size.
+ * @returns {number} The digit mask, which is empty if 'low' is above 'high'.
+ */
+const rangeMask = (low, high) => {
+  const from = Math.max(low, 1);
+  return from > high ? 0 : (1 << (high + 1)) - (1 << from);
+};
+
+/**
+ * Checks to see if the two given cells touch, either along an edge or, if
+ * allowed, at a corner.
+ *
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {number} cell The index of one cell.
+ * @param {number} other The index of the other cell.
+ * @param {boolean} diagonal Whether cells touching at a corner count.
+ * @returns {boolean} True if the cells touch.
+ */
+const touching = (layout, cell, other, diagonal) => {
+  const rows = Math.abs(
+    Math.floor(cell / layout.size) - Math.floor(other / layout.size)
+  );
+  const cols = Math.abs((cell % layout.size) - (other % layout.size));
+  return diagonal ? Math.max(rows, cols) === 1 : rows + cols === 1;
+};
+
+/**
+ * Parses a list of cells in letter-and-number notation.
+ *
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {string[]} cells The cells.
+ * @returns {number[]|null} The indices of the cells, or null if the list or one
+ * of its cells is invalid.
+ */
+const parseCells = (layout, cells) => {
+  if (Array.isArray(cells) === false) {
+    return null;
+  }
+
+  const indices = cells.map((cell) => layout.parseCoordinate(cell));
+  return indices.includes(-1) ? null : indices;
+};
+
+/**
+ * Creates a rule named after a kind of marking, which allows or disallows the
+ * digits of an empty cell through the given function of the markings touching
+ * that cell.
+ *
+ * @param {string} name The name of the rule.
+ * @param {object[][]} touchingCell The markings touching each cell.
+ * @param {function} allows Takes the digit in each cell, an empty cell, and one
+ * of the markings touching it, and returns the mask of digits the marking
+ * allows in the cell.
+ * @returns {Constraint} The rule.
+ */
+const markingRule = (name, touchingCell, allows) => ({
+  name,
+  units: [],
+  neighbours: touchingCell.map(() => []),
+  distinct: false,
+  forbids: () => 0,
+  allows: (digits, cell) =>
+    touchingCell[cell].reduce(
+      (mask, marking) => mask & allows(digits, cell, marking),
+      -1
+    ),
+});
+
+/**
+ * The kinds of marking a puzzle may carry, keyed by the field of @a Markings
+ * listing them. Each gives the name of its rule and the error reported for an
+ * invalid marking; a function parsing a marking into cell indices, and listing
+ * the cells it touches; and a function giving the digits it allows in an empty
+ * cell.
+ */
+const MARKINGS = {
+  thermometers: {
+    name: "thermometer",
+    error: "Invalid thermometer",
+    parse: (layout, cells) => {
+      const path = parseCells(layout, cells);
+      if (
+        path === null ||
+        path.length < 2 ||
+        new Set(path).size !== path.length ||
+        path.some(
+          (cell, i) => i > 0 && !touching(layout, path[i - 1], cell, true)
+        )
+      ) {
+        return null;
+      }
+
+      return path.map((cell, index) => [cell, { path, index }]);
+    },
+
+    // Each digit must be greater than every digit before it along the path by at
+    // least the number of steps between them, and likewise less than every one
+    // after it.
+    allows: (digits, cell, { path, index }, size) => {
+      let low = index + 1;
+      let high = size - (path.length - 1 - index);
+      path.forEach((other, i) => {
+        if (digits[other] !== 0 && i < index) {
+          low = Math.max(low, digits[other] + index - i);
+        } else if (digits[other] !== 0 && i > index) {
+          high = Math.min(high, digits[other] - (i - index));
+        }
+      });
+
+      return rangeMask(low, high);
+    },
+  },
+
+  arrows: {
+    name: "arrow",
+    error: "Invalid arrow",
+    parse: (layout, arrow) => {
+      const circle =
+        arrow !== null && typeof arrow === "object"
+          ? layout.parseCoordinate(arrow.circle)
+          : -1;
+      const shaft = circle === -1 ? null : parseCells(layout, arrow.cells);
+      const path = [circle, ...(shaft || [])];
+      if (
+        shaft === null ||
+        shaft.length === 0 ||
+        new Set(path).size !== path.length ||
+        path.some(
+          (cell, i) => i > 0 && !touching(layout, path[i - 1], cell, true)
+        )
+      ) {
+        return null;
+      }
+
+      return path.map((cell) => [cell, { circle, shaft }]);
+    },
+
+    // The digit in the circle must lie between the smallest and largest sums the
+    // shaft could still make, and each digit on the shaft must leave the rest of
+    // the shaft able to make up the circle's digit.
+    allows: (digits, cell, { circle, shaft }, size) => {
+      let placed = 0;
+      let empty = 0;
+      for (const other of shaft) {
+        if (other !== cell) {
+          placed += digits[other];
+          empty += digits[other] === 0 ? 1 : 0;
+        }
+      }
+
+      if (cell === circle) {
+        return rangeMask(placed + empty, Math.min(size, placed + empty * size));
+      }
+
+      const total = digits[circle];
+      return total === 0
+        ? rangeMask(1, size - placed - empty)
+        : rangeMask(total - placed - empty * size, total - placed - empty);
+    },
+  },
+
+  kropki: {
+    name: "kropki",
+    error: "Invalid kropki dot",
+    parse: (layout, dot) => {
+      const cells =
+        dot !== null && typeof dot === "object"
+          ? parseCells(layout, dot.cells)
+          : null;
+      if (
+        cells === null ||
+        cells.length !== 2 ||
+        touching(layout, cells[0], cells[1], false) === false ||
+        ["white", "black"].includes(dot.type) === false
+      ) {
+        return null;
+      }
+
+      const [first, second] = cells;
+      return [
+        [first, { other: second, type: dot.type }],
+        [second, { other: first, type: dot.type }],
+      ];
+    },
+
+    // A digit next to a white dot must have a consecutive digit on the other
+    // side, and one next to a black dot its half or double.
+    allows: (digits, cell, { other, type }, size) => {
+      const digit = digits[other];
+      if (type === "white") {
+        return digit === 0 ? -1 : (1 << (digit - 1)) | (1 << (digit + 1));
+      }
+
+      if (digit === 0) {
+        let mask = 0;
+        for (let value = 1; value <= size; ++value) {
+          if (value % 2 === 0 || value * 2 <= size) {
+            mask |= 1 << value;
+          }
+        }
+        return mask;
+      }
+
+      return (1 << (digit * 2)) | (digit % 2 === 0 ? 1 << (digit / 2) : 0);
+    },
+  },
+
+  inequalities: {
+    name: "greater-than",
+    error: "Invalid greater-than sign",
+    parse: (layout, sign) => {
+      const cells =
+        sign !== null && typeof sign === "object"
+          ? parseCells(layout, [sign.greater, sign.lesser])
+          : null;
+      if (
+        cells === null ||
+        touching(layout, cells[0], cells[1], false) === false
+      ) {
+        return null;
+      }
+
+      const [greater, lesser] = cells;
+      return [
+        [greater, { other: lesser, greater: true }],
+        [lesser, { other: greater, greater: false }],
+      ];
+    },
+
+    // The greater digit must be above the lesser one.
+    allows: (digits, cell, { other, greater }, size) => {
+      const digit = digits[other];
+      if (greater) {
+        return rangeMask(digit === 0 ? 2 : digit + 1, size);
+      }
+
+      return rangeMask(1, digit === 0 ? size - 1 : digit - 1);
+    },
+  },
+};
+
+/**
+ * Resolves the lines and dots drawn on a puzzle for the given grid layout, as a
+ * rule for each kind of marking present.
+ *
+ * @param {Markings} markings The markings. Any kind may be left out.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {ResolveConstraintsResult} The resolved rules, or an error.
+ */
+const resolveMarkings = (markings, layout) => {
+  const constraints = [];
+  for (const [field, kind] of Object.entries(MARKINGS)) {
+    const list = markings[field];
+    if (list === undefined) {
+      continue;
+    }
+
+    if (Array.isArray(list) === false) {
+      return { error: kind.error };
+    }
+
+    // List the markings touching each cell.
+    const touchingCell = Array.from({ length: layout.cellCount }, () => []);
+    for (const marking of list) {
+      const parsed = kind.parse(layout, marking);
+      if (parsed === null) {
+        return { error: kind.error };
+      }
+
+      parsed.forEach(([cell, touch]) => touchingCell[cell].push(touch));
+    }
+
+    if (list.length > 0) {
+      constraints.push(
+        markingRule(kind.name, touchingCell, (digits, cell, touch) =>
+          kind.allows(digits, cell, touch, layout.size)
+        )
+      );
+    }
+  }
+
+  return { constraints };
+};
+
+module.exports = { RULES, resolveConstraints, resolveCages, resolveMarkings };
@@ -0,0 +1,233 @@
+/**
+ * @file controllers/dancing-links.js
+ *
+ * Contains a class which solves exact cover problems using Knuth's Algorithm X,
+ * implemented with dancing links.
+ */
+
+/**
+ * A class which solves exact cover problems: given a set of rows, each covering
+ * some of a fixed set of columns, it finds every selection of rows which covers
+ * each column exactly once.
+ *
+ * Secondary columns may also be given. These need not be covered at all, but may
+ * be covered at most once, so they forbid two rows from being chosen together.
+ *
+ * The links are stored in flat arrays indexed by node number. Node zero is the
+ * root; the next 'columnCount' nodes are the primary column headers, followed by
+ * the 'secondaryCount' secondary column headers; every node after that belongs to
+ * a row.
+ */
+class DancingLinks {
+  /**
+   * @param {number} columnCount The number of columns to be covered.
+   * @param {number} secondaryCount The number of columns which may be covered at
+   * most once.
+   */
+  constructor(columnCount, secondaryCount = 0) {
+    this.left = [];
+    this.right = [];
+    this.up = [];
+    this.down = [];
+    this.column = [];
+    this.rowId = [];
+    this.size = [];
+    this.covered = [];
+
+    // Link the root and the primary column headers into a circular list. The
+    // secondary column headers are each linked only to themselves, so that they
+    // are never chosen for branching.
+    for (let node = 0; node <= columnCount + secondaryCount; ++node) {
+      if (node > columnCount) {
+        this.left.push(node);
+        this.right.push(node);
+      } else {
+        this.left.push(node === 0 ? columnCount : node - 1);
+        this.right.push(node === columnCount ? 0 : node + 1);
+      }
+
+      this.up.push(node);
+      this.down.push(node);
+      this.column.push(node);
+      this.rowId.push(-1);
+      this.size.push(0);
+      this.covered.push(false);
+    }
+  }
+
+  /**
+   * Adds a row to the problem.
+   *
+   * @param {*} rowId The identifier reported for this row in solutions.
+   * @param {number[]} columns The base-zero indices of the columns the row covers.
+   * Secondary columns follow the primary columns.
+   * @returns {number} The node number of the row's first node.
+   */
+  addRow(rowId, columns) {
+    const first = this.left.length;
+
+    columns.forEach((columnIndex, i) => {
+      const node = first + i;
+      const header = columnIndex + 1;
+
+      // Link the node into its row.
+      this.left.push(i === 0 ? first + columns.length - 1 : node - 1);
+      this.right.push(i === columns.length - 1 ? first : node + 1);
+
+      // Link the node into the bottom of its column.
+      this.up.push(this.up[header]);
+      this.down.push(header);
+      this.down[this.up[header]] = node;
+      this.up[header] = node;
+
+      this.column.push(header);
+      this.rowId.push(rowId);
+      this.size[header]++;
+    });
+
+    return first;
+  }
+
+  /**
+   * Removes the given column header, and every row covering that column, from
+   * the problem.
+   *
+   * @param {number} header The node number of the column header.
+   */
+  cover(header) {
+    this.covered[header] = true;
+    this.right[this.left[header]] = this.right[header];
+    this.left[this.right[header]] = this.left[header];
+
+    for (let row = this.down[header]; row !== header; row = this.down[row]) {
+      for (let node = this.right[row]; node !== row; node = this.right[node]) {
+        this.down[this.up[node]] = this.down[node];
+        this.up[this.down[node]] = this.up[node];
+        this.size[this.column[node]]--;
+      }
+    }
+  }
+
+  /**
+   * Restores the given column header, and every row covering that column, in
+   * the exact reverse order of 'cover'.
+   *
+   * @param {number} header The node number of the column header.
+   */
+  uncover(header) {
+    for (let row = this.up[header]; row !== header; row = this.up[row]) {
+      for (let node = this.left[row]; node !== row; node = this.left[node]) {
+        this.size[this.column[node]]++;
+        this.down[this.up[node]] = node;
+        this.up[this.down[node]] = node;
+      }
+    }
+
+    this.right[this.left[header]] = header;
+    this.left[this.right[header]] = header;
+    this.covered[header] = false;
+  }
+
+  /**
+   * Selects the row containing the given node as part of every solution, by
+   * covering each of its columns.
+   *
+   * @param {number} row The node number of any node in the row.
+   * @returns {boolean} False if one of the row's columns has already been covered.
+   */
+  select(row) {
+    let node = row;
+    do {
+      const header = this.column[node];
+      if (this.isCovered(header)) {
+        return false;
+      }
+
+      node = this.right[node];
+    } while (node !== row);
+
+    do {
+      this.cover(this.column[node]);
+      node = this.right[node];
+    } while (node !== row);
+
+    return true;
+  }
+
+  /**
+   * Checks to see if the given column has been covered.
+   *
+   * @param {number} header The node number of the column header.
+   * @returns {boolean} True if the column has been covered.
+   */
+  isCovered(header) {
+    return this.covered[header];
+  }
+
+  /**
+   * Searches for exact covers of the remaining columns, always branching on the
+   * column with the fewest rows left.
+   *
+   * @param {number} limit The maximum number of solutions to find.
+   * @param {function} onSolution Called with the row identifiers of each solution.
+   * @param {number} nodeLimit The most nodes the search may visit before giving
+   * up. Defaults to no limit.
+   * @returns {number} The number of solutions found, or -1 if the search reached
+   * its node limit first.
+   */
+  search(limit = Infinity, onSolution = () => {}, nodeLimit = Infinity) {
+    const chosen = [];
+    let found = 0;
+    let nodes = 0;
+
+    const recurse = () => {
+      if (++nodes > nodeLimit) {
+        return;
+      }
+
+      // If every column has been covered, then the chosen rows are a solution.
+      if (this.right[0] === 0) {
+        onSolution(chosen.map((node) => this.rowId[node]));
+        found++;
+        return;
+      }
+
+      // Choose the column with the fewest rows left.
+      let header = this.right[0];
+      for (let c = this.right[header]; c !== 0; c = this.right[c]) {
+        if (this.size[c] < this.size[header]) {
+          header = c;
+        }
+      }
+
+      this.cover(header);
+      for (let row = this.down[header]; row !== header; row = this.down[row]) {
+        chosen.push(row);
+        for (
+          let node = this.right[row];
+          node !== row;
+          node = this.right[node]
+        ) {
+          this.cover(this.column[node]);
+        }
+
+        recurse();
+
+        for (let node = this.left[row]; node !== row; node = this.left[node]) {
+          this.uncover(this.column[node]);
+        }
+        chosen.pop();
+
+        if (found >= limit || nodes > nodeLimit) {
+          break;
+        }
+      }
+      this.uncover(header);
+    };
+
+    recurse();
+    return nodes > nodeLimit ? -1 : found;
+  }
+}
+
+module.exports = DancingLinks;
@@ -0,0 +1,203 @@
+/**
+ * @file controllers/game-board.js
+ *
+ * Contains a class tracking a board as it is played: the values placed into its
+ * cells, and the pencil marks noted in them, move by move.
+ */
+
+/**
+ * @typedef Move
+ * @brief A single move made by a player.
+ * @type {object}
+ * @property {string} type One of 'place', 'erase' or 'pencil'. Placing a value
+ * fills a cell, erasing empties it, and pencilling a value notes it in an empty
+ * cell, or removes it if it was already noted.
+ * @property {string} coordinate The cell, in letter-and-number notation.
+ * @property {number|string} value The value, or its symbol. Not needed to erase.
+ */
+
+/**
+ * @typedef MoveResult
+ * @brief The return value of the @a GameBoard's 'check' and 'apply' methods.
+ * @type {object}
+ * @property {boolean} legal True if the move may be made.
+ * @property {string} error Contains the reason the move may not be made, if so.
+ * @property {string[]} conflict The units and rules a placement breaks, if any.
+ */
+
+/**
+ * @typedef BoardSnapshot
+ * @brief The state of a board at one point in play.
+ * @type {object}
+ * @property {string} board The puzzle string of the board.
+ * @property {Object<string, number[]>} pencil The pencil marks of each cell that
+ * has any, keyed by the cell in letter-and-number notation.
+ */
+
+/**
+ * A class tracking a board as it is played, enforcing the rules of the solver
+ * the board belongs to. The cells given by the starting puzzle may not be changed.
+ */
+class GameBoard {
+  /**
+   * Creates a board from the given puzzle. The puzzle string is assumed to be
+   * valid; use @a GameBoard.create to validate it first.
+   *
+   * @param {SudokuSolver} solver The solver whose rules the board follows.
+   * @param {string} puzzleString The starting puzzle string.
+   */
+  constructor(solver, puzzleString) {
+    const { layout } = solver;
+    this.solver = solver;
+    this.layout = layout;
+
+    const values = [...puzzleString].map((symbol) => layout.valueOf(symbol));
+    this.givens = values.map((value) => value !== 0);
+    this.cells = values.map((value) => layout.symbolOf(value));
+    this.pencil = values.map(() => new Set());
+  }
+
+  /**
+   * Validates the given puzzle string, and creates a board for it.
+   *
+   * @param {SudokuSolver} solver The solver whose rules the board follows.
+   * @param {string} puzzleString The starting puzzle string.
+   * @returns {{board: GameBoard, error: string}} The board, or an error.
+   */
+  static create(solver, puzzleString) {
+    const validation = solver.validate(puzzleString);
+    if (validation.ok === false) {
+      return { error: validation.error };
+    }
+
+    return { board: new GameBoard(solver, puzzleString) };
+  }
+
+  /**
+   * Returns the current puzzle string of the board.
+   *
+   * @returns {string} The puzzle string.
+   */
+  toString() {
+    return this.cells.join("");
+  }
+
+  /**
+   * Returns the current state of the board.
+   *
+   * @returns {BoardSnapshot} The state of the board.
+   */
+  snapshot() {
+    const pencil = {};
+    this.pencil.forEach((values, cell) => {
+      if (values.size > 0) {
+        pencil[this.layout.cellName(cell)] = [...values].sort((a, b) => a - b);
+      }
+    });
+
+    return { board: this.toString(), pencil };
+  }
+
+  /**
+   * Checks to see if the given move may be made on the board as it stands.
+   * Placements must not break any rule of the solver, and no move may change a
+   * cell given by the starting puzzle.
+   *
+   * @param {Move} move The move to check.
+   * @returns {MoveResult} The result of the check.
+   */
+  check(move) {
+    if (move === null || typeof move !== "object") {
+      return { legal: false, error: "Invalid move" };
+    }
+
+    const { type, coordinate, value } = move;
+    if (["place", "erase", "pencil"].includes(type) === false) {
+      return { legal: false, error: "Invalid move type" };
+    }
+
+    const cell = this.layout.parseCoordinate(coordinate);
+    if (cell === -1) {
+      return { legal: false, error: "Invalid coordinate" };
+    }
+
+    if (this.givens[cell]) {
+      return { legal: false, error: "Cannot change a given cell" };
+    }
+
+    if (type === "erase") {
+      return { legal: true };
+    }
+
+    const parsed = this.layout.parseValue(value);
+    if (isNaN(parsed) === true) {
+      return { legal: false, error: "Invalid value" };
+    }
+
+    if (type === "pencil") {
+      return this.layout.valueOf(this.cells[cell]) === 0
+        ? { legal: true }
+        : { legal: false, error: "Cannot pencil a filled cell" };
+    }
+
+    // Name each unit and rule the placement breaks, in the same way as the
+    // '/api/check' route.
+    const board = this.toString();
+    const [row, column] = this.layout.toLetterNumber(cell);
+    const conflict = [
+      ...new Set([
+        ...this.solver
+          .findPlacementConflicts(board, cell, parsed)
+          .map(({ unit }) => unit),
+        ...this.solver.checkConstraintPlacement(board, row, column, parsed)
+          .conflict,
+      ]),
+    ];
+
+    return conflict.length === 0
+      ? { legal: true }
+      : { legal: false, error: "Placement breaks the rules", conflict };
+  }
+
+  /**
+   * Makes the given move, if it may be made. Placing or erasing a value also
+   * clears the cell's pencil marks.
+   *
+   * @param {Move} move The move to make.
+   * @returns {MoveResult} The result of checking the move.
+   */
+  apply(move) {
+    const result = this.check(move);
+    if (result.legal === false) {
+      return result;
+    }
+
+    const { type, coordinate, value } = move;
+    const cell = this.layout.parseCoordinate(coordinate);
+    if (type === "pencil") {
+      const parsed = this.layout.parseValue(value);
+      if (this.pencil[cell].delete(parsed) === false) {
+        this.pencil[cell].add(parsed);
+      }
+    } else {
+      this.cells[cell] =
+        type === "place"
+          ? this.layout.symbolOf(this.layout.parseValue(value))
+          : ".";
+      this.pencil[cell].clear();
+    }
+
+    return result;
+  }
+
+  /**
+   * Checks to see if the board has been solved.
+   *
+   * @returns {boolean} True if every cell is filled, breaking no rule.
+   */
+  isSolved() {
+    return this.solver.checkSolve(this.toString()).solved;
+  }
+}
+
+module.exports = GameBoard;
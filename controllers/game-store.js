@@ -0,0 +1,201 @@
+/**
+ * @file controllers/game-store.js
+ *
+ * Contains the stores which keep games between requests: in memory, or in a
+ * local directory of JSON files so that they survive a restart.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef GameStoreOptions
+ * @brief The options of a game store.
+ * @type {object}
+ * @property {number} lifetime The time, in milliseconds, a game is kept after it
+ * was last saved. Defaults to @a GAME_LIFETIME.
+ * @property {number} limit The most games kept at once. Once there are more, the
+ * games saved longest ago are forgotten. Defaults to @a GAME_LIMIT.
+ */
+
+/**
+ * The time a game is kept after it was last saved, in milliseconds: thirty days.
+ */
+const GAME_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * The most games a store keeps at once, unless another number is given.
+ */
+const GAME_LIMIT = 10000;
+
+/**
+ * The form of the game identifiers the server gives out. Identifiers are also
+ * file names, so no game is looked for under an identifier of any other form,
+ * which could lead outside the store's directory.
+ */
+const GAME_ID = /^[\w-]+$/;
+
+/**
+ * Records that the given game has just been saved, then forgets every game which
+ * has gone unsaved for longer than the store's lifetime, along with the games
+ * saved longest ago while there are more than the store's limit.
+ *
+ * @param {Map<string, number>} savedAt When each game was last saved, in
+ * milliseconds since the epoch, in the order they were saved. It is modified in
+ * place.
+ * @param {string} id The identifier of the game saved.
+ * @param {number} now The current time, in milliseconds since the epoch.
+ * @param {GameStoreOptions} options The options of the store.
+ * @param {function} forget A function called with the identifier of each game
+ * forgotten.
+ */
+const recordSave = (savedAt, id, now, { lifetime, limit }, forget) => {
+  savedAt.delete(id);
+  savedAt.set(id, now);
+
+  for (const [oldest, time] of savedAt) {
+    if (savedAt.size <= limit && now - time <= lifetime) {
+      break;
+    }
+
+    savedAt.delete(oldest);
+    forget(oldest);
+  }
+};
+
+/**
+ * Checks to see if the given game is still kept.
+ *
+ * @param {Map<string, number>} savedAt When each game was last saved.
+ * @param {string} id The game's identifier.
+ * @param {number} now The current time, in milliseconds since the epoch.
+ * @param {GameStoreOptions} options The options of the store.
+ * @returns {boolean} True if the game has been saved within the store's lifetime.
+ */
+const isKept = (savedAt, id, now, { lifetime }) =>
+  savedAt.has(id) && now - savedAt.get(id) <= lifetime;
+
+/**
+ * A store keeping games in memory. Games are copied in and out, so that changes
+ * to a game are only kept once it is saved, as with @a FileGameStore.
+ */
+class MemoryGameStore {
+  /**
+   * @param {GameStoreOptions} options The options of the store.
+   */
+  constructor(options = {}) {
+    this.options = { lifetime: GAME_LIFETIME, limit: GAME_LIMIT, ...options };
+    this.games = new Map();
+    this.savedAt = new Map();
+  }
+
+  /**
+   * Finds the game with the given identifier.
+   *
+   * @param {string} id The game's identifier.
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {GameData|undefined} The game's stored state, if it is kept.
+   */
+  get(id, now = Date.now()) {
+    return isKept(this.savedAt, id, now, this.options)
+      ? JSON.parse(this.games.get(id))
+      : undefined;
+  }
+
+  /**
+   * Saves the given game, replacing any game with the same identifier.
+   *
+   * @param {GameData} game The game's stored state.
+   * @param {number} now The current time, in milliseconds since the epoch.
+   */
+  set(game, now = Date.now()) {
+    this.games.set(game.id, JSON.stringify(game));
+    recordSave(this.savedAt, game.id, now, this.options, (id) =>
+      this.games.delete(id)
+    );
+  }
+}
+
+/**
+ * A store keeping games in a local directory, with each game's stored state in a
+ * JSON file named after its identifier. The directory is created when the first
+ * game is saved.
+ */
+class FileGameStore {
+  /**
+   * @param {string} directory The path of the directory.
+   * @param {GameStoreOptions} options The options of the store.
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.options = { lifetime: GAME_LIFETIME, limit: GAME_LIMIT, ...options };
+    this.savedAt = null;
+  }
+
+  /**
+   * Returns the path of the given game's file.
+   *
+   * @param {string} id The game's identifier.
+   * @returns {string|null} The path, or null if the identifier is not valid.
+   */
+  fileOf(id) {
+    return GAME_ID.test(id) ? path.join(this.directory, `${id}.json`) : null;
+  }
+
+  /**
+   * Returns when each game in the directory was last saved, reading the times
+   * from the files themselves the first time it is called.
+   *
+   * @returns {Map<string, number>} When each game was last saved, in the order
+   * they were saved.
+   */
+  index() {
+    if (this.savedAt === null) {
+      const files = fs.existsSync(this.directory)
+        ? fs
+            .readdirSync(this.directory)
+            .filter((file) => file.endsWith(".json"))
+        : [];
+      const times = files.map((file) => [
+        path.basename(file, ".json"),
+        fs.statSync(path.join(this.directory, file)).mtimeMs,
+      ]);
+      this.savedAt = new Map(times.sort(([, a], [, b]) => a - b));
+    }
+
+    return this.savedAt;
+  }
+
+  get(id, now = Date.now()) {
+    const file = this.fileOf(id);
+    if (
+      file === null ||
+      isKept(this.index(), id, now, this.options) === false
+    ) {
+      return undefined;
+    }
+
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  set(game, now = Date.now()) {
+    const savedAt = this.index();
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.fileOf(game.id), JSON.stringify(game));
+    recordSave(savedAt, game.id, now, this.options, (id) =>
+      fs.rmSync(this.fileOf(id), { force: true })
+    );
+  }
+}
+
+/**
+ * Creates the store to keep games in.
+ *
+ * @param {string} directory The path of the directory to keep games in, or
+ * nothing to keep them in memory.
+ * @returns {MemoryGameStore|FileGameStore} The store.
+ */
+const createGameStore = (directory) =>
+  directory ? new FileGameStore(directory) : new MemoryGameStore();
+
+module.exports = { MemoryGameStore, FileGameStore, createGameStore };
@@ -0,0 +1,230 @@
+/**
+ * @file controllers/game.js
+ *
+ * Contains a class describing a game in progress: the puzzle being played, the
+ * moves made so far, which may be undone and redone, and the time taken.
+ */
+
+const GameBoard = require("./game-board.js");
+
+/**
+ * @typedef GameData
+ * @brief The state of a game, as kept in a game store.
+ * @type {object}
+ * @property {string} id The game's identifier.
+ * @property {string} puzzle The starting puzzle string.
+ * @property {object} rules The grid layout and rules the puzzle follows, as the
+ * fields of an API request body.
+ * @property {Move[]} history Every move made, including those undone.
+ * @property {number} position The number of moves in the history which are
+ * currently made. Moves after this have been undone, and may be redone.
+ * @property {number} startedAt When the game started, in milliseconds since the
+ * epoch.
+ * @property {number|null} completedAt When the board was solved, in milliseconds
+ * since the epoch, or null if it is not solved.
+ */
+
+/**
+ * @typedef GameState
+ * @brief The state of a game, as reported to players.
+ * @type {object}
+ * @property {string} id The game's identifier.
+ * @property {string} puzzle The starting puzzle string.
+ * @property {string} board The puzzle string of the board.
+ * @property {Object<string, number[]>} pencil The pencil marks of each cell that
+ * has any, keyed by the cell in letter-and-number notation.
+ * @property {number} moves The number of moves currently made.
+ * @property {boolean} canUndo True if there is a move to undo.
+ * @property {boolean} canRedo True if there is an undone move to redo.
+ * @property {number} elapsed The time spent on the game, in milliseconds. The
+ * clock stops once the board is solved.
+ * @property {boolean} solved True if the board is solved.
+ */
+
+/**
+ * A class describing a game in progress. The board is rebuilt by replaying the
+ * moves currently made, so that moves may be undone and redone freely.
+ */
+class Game {
+  /**
+   * Creates a game from its stored state. The puzzle and moves are assumed to be
+   * valid; use @a Game.create to start a new game.
+   *
+   * @param {SudokuSolver} solver The solver whose rules the game follows.
+   * @param {GameData} data The stored state of the game.
+   */
+  constructor(solver, data) {
+    this.solver = solver;
+    this.id = data.id;
+    this.puzzle = data.puzzle;
+    this.rules = data.rules;
+    this.history = [...data.history];
+    this.position = data.position;
+    this.startedAt = data.startedAt;
+    this.completedAt = data.completedAt;
+    this.replay();
+  }
+
+  /**
+   * Starts a new game of the given puzzle.
+   *
+   * @param {SudokuSolver} solver The solver whose rules the game follows.
+   * @param {string} id The game's identifier.
+   * @param {string} puzzleString The starting puzzle string.
+   * @param {object} rules The grid layout and rules the puzzle follows.
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {{game: Game, error: string}} The game, or an error if the puzzle is
+   * invalid.
+   */
+  static create(solver, id, puzzleString, rules = {}, now = Date.now()) {
+    const { error } = GameBoard.create(solver, puzzleString);
+    if (error) {
+      return { error };
+    }
+
+    return {
+      game: new Game(solver, {
+        id,
+        puzzle: puzzleString,
+        rules,
+        history: [],
+        position: 0,
+        startedAt: now,
+        completedAt: null,
+      }),
+    };
+  }
+
+  /**
+   * Rebuilds the board from the starting puzzle and the moves currently made.
+   */
+  replay() {
+    this.board = new GameBoard(this.solver, this.puzzle);
+    this.history
+      .slice(0, this.position)
+      .forEach((move) => this.board.apply(move));
+  }
+
+  /**
+   * Stops the clock if the board has just been solved, or restarts it if it is
+   * no longer solved.
+   *
+   * @param {number} now The current time, in milliseconds since the epoch.
+   */
+  updateClock(now) {
+    const solved = this.board.isSolved();
+    if (solved && this.completedAt === null) {
+      this.completedAt = now;
+    } else if (solved === false) {
+      this.completedAt = null;
+    }
+  }
+
+  /**
+   * Makes the given move, if it may be made. Any undone moves are discarded.
+   *
+   * @param {Move} move The move to make.
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {MoveResult} The result of checking the move.
+   */
+  move(move, now = Date.now()) {
+    const result = this.board.apply(move);
+    if (result.legal === false) {
+      return result;
+    }
+
+    const { type, coordinate, value } = move;
+    this.history.splice(this.position, Infinity, { type, coordinate, value });
+    this.position++;
+    this.updateClock(now);
+    return result;
+  }
+
+  /**
+   * Undoes the last move made.
+   *
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {{error: string}} An error if there is no move to undo.
+   */
+  undo(now = Date.now()) {
+    if (this.position === 0) {
+      return { error: "Nothing to undo" };
+    }
+
+    this.position--;
+    this.replay();
+    this.updateClock(now);
+    return {};
+  }
+
+  /**
+   * Makes the last move undone again.
+   *
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {{error: string}} An error if there is no move to redo.
+   */
+  redo(now = Date.now()) {
+    if (this.position === this.history.length) {
+      return { error: "Nothing to redo" };
+    }
+
+    this.board.apply(this.history[this.position]);
+    this.position++;
+    this.updateClock(now);
+    return {};
+  }
+
+  /**
+   * Clears every move, returning the board to the starting puzzle. The clock
+   * keeps running.
+   *
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {{error: string}} Never an error; returned like 'undo' and 'redo'.
+   */
+  reset(now = Date.now()) {
+    this.history = [];
+    this.position = 0;
+    this.replay();
+    this.updateClock(now);
+    return {};
+  }
+
+  /**
+   * Returns the state of the game, as reported to players.
+   *
+   * @param {number} now The current time, in milliseconds since the epoch.
+   * @returns {GameState} The state of the game.
+   */
+  state(now = Date.now()) {
+    return {
+      id: this.id,
+      puzzle: this.puzzle,
+      ...this.board.snapshot(),
+      moves: this.position,
+      canUndo: this.position > 0,
+      canRedo: this.position < this.history.length,
+      elapsed:
+        (this.completedAt === null ? now : this.completedAt) - this.startedAt,
+      solved: this.completedAt !== null,
+    };
+  }
+
+  /**
+   * Returns the state of the game, as kept in a game store.
+   *
+   * @returns {GameData} The stored state of the game.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      puzzle: this.puzzle,
+      rules: this.rules,
+      history: this.history,
+      position: this.position,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+    };
+  }
+}
+
+module.exports = Game;
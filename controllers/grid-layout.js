@@ -0,0 +1,366 @@
+/**
+ * @file controllers/grid-layout.js
+ *
+ * Contains a class describing the shape of a sudoku grid: its size, the shape of
+ * its regions, the symbols placed in its cells and the notation of its cells.
+ */
+
+/**
+ * @typedef LayoutOptions
+ * @brief The options describing a grid's shape.
+ * @type {object}
+ * @property {number} size The number of rows, columns and regions in the grid.
+ * @property {number} boxRows The number of rows in each region.
+ * @property {number} boxCols The number of columns in each region.
+ * @property {string} regionMap Optional. For a jigsaw grid, one character for
+ * each cell, naming the region it falls into. Regions may then take any
+ * connected shape, in place of boxes.
+ */
+
+/**
+ * @typedef CreateLayoutResult
+ * @brief The return value of the @a GridLayout.create method.
+ * @type {object}
+ * @property {GridLayout} layout The grid layout, if the options were valid.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * The symbols placed in the cells of a grid, in order of their value. A grid of
+ * size N uses the first N symbols. Grids larger than 9x9 go on from 9 with
+ * letters, so a 16x16 grid uses 1-9 and A-G rather than hexadecimal 0-F: a zero
+ * always marks an empty cell.
+ */
+const SYMBOLS = "123456789ABCDEFG";
+
+/**
+ * The letters naming the rows of a grid, from top to bottom.
+ */
+const ROW_LETTERS = "ABCDEFGHIJKLMNOP";
+
+/**
+ * The default region shape, as rows by columns, of each commonly-used grid size.
+ */
+const DEFAULT_BOX_SHAPES = {
+  4: [2, 2],
+  6: [2, 3],
+  8: [2, 4],
+  9: [3, 3],
+  10: [2, 5],
+  12: [3, 4],
+  16: [4, 4],
+};
+
+/**
+ * Numbers the regions named in the given region map, in the order their first
+ * cells appear.
+ *
+ * @param {string} regionMap The region map, with one character for each cell.
+ * @returns {number[]} The index of the region each cell falls into.
+ */
+const numberRegions = (regionMap) => {
+  const indices = new Map();
+  return [...regionMap].map((name) => {
+    if (indices.has(name) === false) {
+      indices.set(name, indices.size);
+    }
+
+    return indices.get(name);
+  });
+};
+
+/**
+ * Checks to see if every region of a grid is connected: that each of its cells
+ * can be reached from any other through orthogonally-adjacent cells of the same
+ * region.
+ *
+ * @param {number[]} regionOf The index of the region each cell falls into.
+ * @param {number} size The number of rows and columns in the grid.
+ * @returns {boolean} True if every region is connected.
+ */
+const regionsConnected = (regionOf, size) => {
+  const reached = new Array(regionOf.length).fill(false);
+  const seen = new Set();
+
+  for (let start = 0; start < regionOf.length; ++start) {
+    if (reached[start]) {
+      continue;
+    }
+
+    // A second, unreached part of a region already seen means it is split.
+    if (seen.has(regionOf[start])) {
+      return false;
+    }
+    seen.add(regionOf[start]);
+
+    const stack = [start];
+    reached[start] = true;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const row = Math.floor(cell / size);
+      const col = cell % size;
+      const adjacent = [
+        row > 0 ? cell - size : -1,
+        row < size - 1 ? cell + size : -1,
+        col > 0 ? cell - 1 : -1,
+        col < size - 1 ? cell + 1 : -1,
+      ];
+
+      for (const other of adjacent) {
+        if (
+          other !== -1 &&
+          reached[other] === false &&
+          regionOf[other] === regionOf[cell]
+        ) {
+          reached[other] = true;
+          stack.push(other);
+        }
+      }
+    }
+  }
+
+  return true;
+};
+
+/**
+ * A class describing the shape of a sudoku grid, and the cells, units and symbols
+ * making it up.
+ */
+class GridLayout {
+  /**
+   * Creates a grid layout. The options given are assumed to be valid; use
+   * @a GridLayout.create to validate them first.
+   *
+   * @param {LayoutOptions} options The shape of the grid.
+   */
+  constructor({ size = 9, boxRows, boxCols, regionMap } = {}) {
+    const [defaultRows, defaultCols] = DEFAULT_BOX_SHAPES[size] || [];
+
+    this.size = size;
+    this.boxRows = boxRows || defaultRows;
+    this.boxCols = boxCols || defaultCols;
+    this.regionMap = regionMap;
+    this.cellCount = size * size;
+    this.symbols = SYMBOLS.slice(0, size);
+    this.rowLetters = ROW_LETTERS.slice(0, size);
+
+    // For each cell, the indices of the row, column and region it falls into.
+    // Regions come from the region map if one was given, or are boxes otherwise.
+    const regionOf = regionMap === undefined ? null : numberRegions(regionMap);
+    this.cellUnits = Array.from({ length: this.cellCount }, (_, cell) => {
+      const row = Math.floor(cell / size);
+      const col = cell % size;
+      const region =
+        regionOf !== null
+          ? regionOf[cell]
+          : (size / this.boxCols) * Math.floor(row / this.boxRows) +
+            Math.floor(col / this.boxCols);
+
+      return [row, col, region];
+    });
+
+    // The indices of the cells in each row, column and region.
+    const [rows, columns, regions] = [0, 1, 2].map((type) =>
+      Array.from({ length: size }, (_, unit) =>
+        this.cellUnits.flatMap((units, cell) =>
+          units[type] === unit ? [cell] : []
+        )
+      )
+    );
+    this.units = {
+      rows,
+      columns,
+      regions,
+      all: [...rows, ...columns, ...regions],
+    };
+
+    // For each cell, the indices into 'units.all' of the units it falls into.
+    this.unitsOf = this.cellUnits.map(([row, col, region]) => [
+      row,
+      size + col,
+      2 * size + region,
+    ]);
+
+    // For each cell, the indices of every other cell sharing a unit with it.
+    this.peers = this.cellUnits.map(([row, col, region], cell) => {
+      const peers = new Set([
+        ...rows[row],
+        ...columns[col],
+        ...regions[region],
+      ]);
+      peers.delete(cell);
+      return peers;
+    });
+  }
+
+  /**
+   * Validates the given grid shape, and creates a layout for it.
+   *
+   * @param {LayoutOptions} options The shape of the grid.
+   * @returns {CreateLayoutResult} The layout, or an error.
+   */
+  static create({ size = 9, boxRows, boxCols, regionMap } = {}) {
+    if (Number.isInteger(size) === false || size < 1 || size > SYMBOLS.length) {
+      return { error: "Invalid grid size" };
+    }
+
+    // A jigsaw grid must have as many regions as it has rows, each of as many
+    // cells, and each in one piece.
+    if (regionMap !== undefined) {
+      if (typeof regionMap !== "string" || regionMap.length !== size * size) {
+        return {
+          error: `Expected region map to be ${size * size} characters long`,
+        };
+      }
+
+      const regionOf = numberRegions(regionMap);
+      const cellCounts = new Array(size * size).fill(0);
+      regionOf.forEach((region) => cellCounts[region]++);
+      if (
+        new Set(regionOf).size !== size ||
+        cellCounts.slice(0, size).some((count) => count !== size)
+      ) {
+        return {
+          error: `Region map must describe ${size} regions of ${size} cells`,
+        };
+      }
+
+      if (regionsConnected(regionOf, size) === false) {
+        return { error: "Regions must be connected" };
+      }
+
+      // The box shape is not needed for the regions, so is only checked if given.
+      if (boxRows === undefined && boxCols === undefined) {
+        return { layout: new GridLayout({ size, regionMap }) };
+      }
+    }
+
+    // Regions take the default shape for this size unless one was given.
+    const [defaultRows, defaultCols] = DEFAULT_BOX_SHAPES[size] || [];
+    if (boxRows === undefined && boxCols === undefined) {
+      boxRows = defaultRows;
+      boxCols = defaultCols;
+    }
+
+    if (
+      Number.isInteger(boxRows) === false ||
+      Number.isInteger(boxCols) === false ||
+      boxRows < 1 ||
+      boxCols < 1 ||
+      boxRows * boxCols !== size
+    ) {
+      return { error: "Invalid box shape" };
+    }
+
+    return { layout: new GridLayout({ size, boxRows, boxCols, regionMap }) };
+  }
+
+  /**
+   * Returns the value of the given cell symbol.
+   *
+   * @param {string} symbol The symbol, or a period or zero for an empty cell.
+   * @returns {number} The symbol's value between 1 and the grid size, zero for an
+   * empty cell, or -1 if the symbol is not used by this grid.
+   */
+  valueOf(symbol) {
+    if (symbol === "." || symbol === "0") {
+      return 0;
+    }
+
+    const index = this.symbols.indexOf(`${symbol}`.toUpperCase());
+    return index === -1 || `${symbol}`.length !== 1 ? -1 : index + 1;
+  }
+
+  /**
+   * Returns the symbol representing the given value.
+   *
+   * @param {number} value The value, between 1 and the grid size, or zero.
+   * @returns {string} The value's symbol, or a period for zero.
+   */
+  symbolOf(value) {
+    return value === 0 ? "." : this.symbols[value - 1];
+  }
+
+  /**
+   * Parses a placement value, given either as a number or as a cell symbol.
+   *
+   * @param {number|string} value The value to parse.
+   * @returns {number} The value between 1 and the grid size, or NaN if it is invalid.
+   */
+  parseValue(value) {
+    if (/^\d+$/.test(`${value}`)) {
+      const number = parseInt(value);
+      return number >= 1 && number <= this.size ? number : NaN;
+    }
+
+    const symbolValue = this.valueOf(value);
+    return symbolValue > 0 ? symbolValue : NaN;
+  }
+
+  /**
+   * Converts the given cell index into its row letter and column number.
+   *
+   * @param {number} cell The index of the cell in the puzzle string.
+   * @returns {[string, number]} The row letter and column number.
+   */
+  toLetterNumber(cell) {
+    return [
+      this.rowLetters[Math.floor(cell / this.size)],
+      (cell % this.size) + 1,
+    ];
+  }
+
+  /**
+   * Returns the name of the given cell in letter-and-number notation.
+   *
+   * @param {number} cell The index of the cell in the puzzle string.
+   * @returns {string} The cell's name.
+   */
+  cellName(cell) {
+    return this.toLetterNumber(cell).join("");
+  }
+
+  /**
+   * Converts the given row letter and column number into base-zero X and Y
+   * coordinates, along with the index of the cell.
+   *
+   * @param {string} rowLetter The letter of the row.
+   * @param {number} colNumber The number of the column, starting at one.
+   * @returns {number[]|boolean} The X and Y coordinates and cell index, or false if
+   * the row letter or column number is not in the grid.
+   */
+  toBaseZero(rowLetter, colNumber) {
+    const rowCoord = this.rowLetters.indexOf(`${rowLetter}`.toUpperCase());
+    const colCoord = +colNumber - 1;
+
+    if (
+      `${rowLetter}`.length !== 1 ||
+      rowCoord === -1 ||
+      Number.isInteger(colCoord) === false ||
+      colCoord < 0 ||
+      colCoord >= this.size
+    ) {
+      return false;
+    }
+
+    return [colCoord, rowCoord, this.size * rowCoord + colCoord];
+  }
+
+  /**
+   * Parses a coordinate in letter-and-number notation, such as 'A1' or 'P16'.
+   *
+   * @param {string} coordinate The coordinate to parse.
+   * @returns {number} The index of the cell, or -1 if the coordinate is invalid.
+   */
+  parseCoordinate(coordinate) {
+    const match = /^([A-Z])([1-9]\d?)$/.exec(`${coordinate}`);
+    if (match === null) {
+      return -1;
+    }
+
+    const coord = this.toBaseZero(match[1], +match[2]);
+    return coord === false ? -1 : coord[2];
+  }
+}
+
+module.exports = GridLayout;
@@ -0,0 +1,944 @@
+/**
+ * @file controllers/logical-solver.js
+ *
+ * Contains a class which solves sudoku puzzles step by step, using the same
+ * named techniques a human player would, and explains each of its deductions.
+ */
+
+const SudokuSolver = require("./sudoku-solver.js");
+const GridLayout = require("./grid-layout.js");
+
+/**
+ * @typedef Elimination
+ * @brief A set of candidates removed from a single cell by a deduction.
+ * @type {object}
+ * @property {string} cell The cell, in letter-and-number notation.
+ * @property {number[]} values The candidates which were removed from the cell.
+ */
+
+/**
+ * @typedef Deduction
+ * @brief A single step taken by the @a LogicalSolver.
+ * @type {object}
+ * @property {string} technique The name of the technique which was applied.
+ * @property {string} description A human-readable explanation of the step.
+ * @property {string[]} cells The cells making up the pattern, in letter-and-number notation.
+ * @property {number[]} values The digits making up the pattern.
+ * @property {{cell: string, value: number}} placement The value placed by the
+ * step, if it places one.
+ * @property {Elimination[]} eliminations The candidates removed by the step.
+ */
+
+/**
+ * @typedef ExplainResult
+ * @brief The return value of the @a LogicalSolver's 'explain' method.
+ * @type {object}
+ * @property {Deduction[]} steps The deductions made, in order.
+ * @property {boolean} solved True if the deductions solve the puzzle.
+ * @property {string} puzzle The puzzle string after applying the deductions.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef RateResult
+ * @brief The return value of the @a LogicalSolver's 'rate' method.
+ * @type {object}
+ * @property {string} difficulty One of 'easy', 'medium', 'hard' or 'expert'.
+ * @property {number} score The numeric difficulty score of the puzzle.
+ * @property {string} hardestTechnique The hardest technique needed to solve the puzzle.
+ * @property {number} steps The number of deductions made.
+ * @property {boolean} requiresGuessing True if the puzzle cannot be finished
+ * without guessing.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef CandidatesResult
+ * @brief The return value of the @a LogicalSolver's 'candidates' method.
+ * @type {object}
+ * @property {Object<string, number[]>} candidates The candidates of each empty
+ * cell, keyed by the cell in letter-and-number notation.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * The score added to puzzles which cannot be finished without guessing.
+ */
+const GUESSING_SCORE = 500;
+
+/**
+ * The techniques a careful player applies while pencilling in candidates.
+ */
+const BASIC_TECHNIQUES = ["Hidden Single", "Naked Single", "Pointing Pair"];
+
+/**
+ * Returns every combination of the given size drawn from the given array.
+ *
+ * @param {Array} array The array to draw from.
+ * @param {number} size The size of each combination.
+ * @returns {Array[]} The combinations.
+ */
+const combinations = (array, size) => {
+  if (size === 0) {
+    return [[]];
+  }
+
+  const result = [];
+  for (let i = 0; i <= array.length - size; ++i) {
+    for (const rest of combinations(array.slice(i + 1), size - 1)) {
+      result.push([array[i], ...rest]);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Returns the union of the given sets, as a sorted array.
+ *
+ * @param {Set[]} sets The sets to unite.
+ * @returns {number[]} The sorted union.
+ */
+const union = (sets) => {
+  const result = new Set();
+  sets.forEach((set) => set.forEach((value) => result.add(value)));
+  return [...result].sort((a, b) => a - b);
+};
+
+/**
+ * A class which solves sudoku puzzles using named, human-style techniques, and
+ * records each of its deductions.
+ */
+class LogicalSolver {
+  /**
+   * @param {GridLayout} layout The layout of the grids this solver works on.
+   * Defaults to a standard 9x9 grid.
+   * @param {Constraint[]} constraints The extra rules the grids must follow, as
+   * resolved for the layout by @a resolveConstraints.
+   */
+  constructor(layout = new GridLayout(), constraints = []) {
+    this.layout = layout;
+    this.validator = new SudokuSolver(layout, constraints);
+
+    // The digits which may be placed in a cell.
+    this.digits = Array.from({ length: layout.size }, (_, i) => i + 1);
+
+    // Every unit (row, column and region) of the grid, along with the units of
+    // any extra rules, each with a name and the indices of the cells it contains.
+    const name = (type, units, label) =>
+      units.map((cells, i) => ({ type, name: `${type} ${label(i)}`, cells }));
+    const rows = name("row", layout.units.rows, (i) => layout.rowLetters[i]);
+    const columns = name("column", layout.units.columns, (i) => i + 1);
+    const regions = name("region", layout.units.regions, (i) => i + 1);
+    const extra = constraints.flatMap((constraint) =>
+      name(constraint.name, constraint.units, (i) => i + 1)
+    );
+    this.units = {
+      rows,
+      columns,
+      regions,
+      all: [...rows, ...columns, ...regions, ...extra],
+    };
+
+    // For each cell, the indices of every other cell which may not hold the same
+    // value: those sharing a unit with it, and those related to it by an extra
+    // rule that forbids repeated digits.
+    const distinct = constraints.filter((constraint) => constraint.distinct);
+    this.peers = layout.peers.map(
+      (peers, cell) =>
+        new Set([
+          ...peers,
+          ...distinct.flatMap((constraint) => constraint.neighbours[cell]),
+        ])
+    );
+
+    // The extra rules forbidding more than repeated digits, such as
+    // non-consecutive, whose eliminations cannot be made through peers.
+    this.relations = constraints.filter((constraint) => !constraint.distinct);
+
+    // The techniques this solver knows, in the order they are tried. Easier
+    // techniques are always tried before harder ones. Each technique carries the
+    // difficulty of puzzles requiring it, and the score added for each use of it.
+    this.techniques = [
+      {
+        name: "Hidden Single",
+        difficulty: "easy",
+        score: 1,
+        find: (grid) => this.findHiddenSingle(grid),
+      },
+      {
+        name: "Naked Single",
+        difficulty: "easy",
+        score: 2,
+        find: (grid) => this.findNakedSingle(grid),
+      },
+      {
+        name: "Pointing Pair",
+        difficulty: "medium",
+        score: 5,
+        find: (grid) => this.findPointing(grid),
+      },
+      {
+        name: "Box/Line Reduction",
+        difficulty: "medium",
+        score: 5,
+        find: (grid) => this.findBoxLine(grid),
+      },
+      {
+        name: "Naked Pair",
+        difficulty: "medium",
+        score: 10,
+        find: (grid) => this.findNakedSubset(grid, 2),
+      },
+      {
+        name: "Hidden Pair",
+        difficulty: "hard",
+        score: 15,
+        find: (grid) => this.findHiddenSubset(grid, 2),
+      },
+      {
+        name: "Naked Triple",
+        difficulty: "hard",
+        score: 20,
+        find: (grid) => this.findNakedSubset(grid, 3),
+      },
+      {
+        name: "Hidden Triple",
+        difficulty: "hard",
+        score: 25,
+        find: (grid) => this.findHiddenSubset(grid, 3),
+      },
+      {
+        name: "X-Wing",
+        difficulty: "expert",
+        score: 40,
+        find: (grid) => this.findFish(grid, 2),
+      },
+      {
+        name: "XY-Wing",
+        difficulty: "expert",
+        score: 50,
+        find: (grid) => this.findXYWing(grid),
+      },
+      {
+        name: "Swordfish",
+        difficulty: "expert",
+        score: 60,
+        find: (grid) => this.findFish(grid, 3),
+      },
+    ];
+  }
+
+  /**
+   * Returns the name of the given cell in letter-and-number notation.
+   *
+   * @param {number} cell The index of the cell in the puzzle string.
+   * @returns {string} The cell's name.
+   */
+  cellName(cell) {
+    return this.layout.cellName(cell);
+  }
+
+  /**
+   * Lists the symbols of the given values, separated by slashes.
+   *
+   * @param {number[]} values The values.
+   * @returns {string} The list of symbols.
+   */
+  symbols(values) {
+    return values.map((value) => this.layout.symbolOf(value)).join("/");
+  }
+
+  /**
+   * Creates the working grid for the given puzzle string: the value of each
+   * cell, and the candidates of each empty cell.
+   *
+   * @param {string} puzzleString The puzzle string.
+   * @returns {{values: number[], candidates: Set[]}} The working grid.
+   */
+  createGrid(puzzleString) {
+    const values = [...puzzleString].map((c) => this.layout.valueOf(c));
+    const candidates = values.map((value, cell) => {
+      if (value !== 0) {
+        return new Set();
+      }
+
+      const possible = new Set(this.digits);
+      this.peers[cell].forEach((peer) => possible.delete(values[peer]));
+      for (const { neighbours, forbids } of this.relations) {
+        for (const neighbour of neighbours[cell]) {
+          if (values[neighbour] > 0) {
+            this.forbidden(forbids, values[neighbour]).forEach((value) =>
+              possible.delete(value)
+            );
+          }
+        }
+      }
+
+      return possible;
+    });
+
+    return { values, candidates };
+  }
+
+  /**
+   * Places the given value into the given cell of the working grid, removing
+   * it from the candidates of the cell's peers.
+   *
+   * @param {object} grid The working grid.
+   * @param {number} cell The index of the cell.
+   * @param {number} value The value to place.
+   */
+  place(grid, cell, value) {
+    grid.values[cell] = value;
+    grid.candidates[cell] = new Set();
+    this.peers[cell].forEach((peer) => grid.candidates[peer].delete(value));
+
+    for (const { neighbours, forbids } of this.relations) {
+      const forbidden = this.forbidden(forbids, value);
+      neighbours[cell].forEach((neighbour) =>
+        forbidden.forEach((other) => grid.candidates[neighbour].delete(other))
+      );
+    }
+  }
+
+  /**
+   * Lists the values an extra rule forbids next to a cell holding the given value.
+   *
+   * @param {function} forbids The rule's function mapping a value to the mask of
+   * values it forbids.
+   * @param {number} value The value.
+   * @returns {number[]} The forbidden values.
+   */
+  forbidden(forbids, value) {
+    const mask = forbids(value);
+    return this.digits.filter((digit) => (mask & (1 << digit)) !== 0);
+  }
+
+  /**
+   * Applies the given deduction to the working grid.
+   *
+   * @param {object} grid The working grid.
+   * @param {object} deduction The deduction, as found by one of the techniques.
+   */
+  apply(grid, deduction) {
+    if (deduction.placement) {
+      this.place(grid, deduction.placement.cell, deduction.placement.value);
+    }
+
+    for (const { cell, values } of deduction.eliminations) {
+      values.forEach((value) => grid.candidates[cell].delete(value));
+    }
+  }
+
+  /**
+   * Collects the eliminations of the given values from the given cells, leaving
+   * out any cell which does not have one of the values as a candidate.
+   *
+   * @param {object} grid The working grid.
+   * @param {number[]} cells The indices of the cells to eliminate from.
+   * @param {number[]} values The values to eliminate.
+   * @returns {{cell: number, values: number[]}[]} The eliminations.
+   */
+  eliminate(grid, cells, values) {
+    const eliminations = [];
+    for (const cell of cells) {
+      const removed = values.filter((value) =>
+        grid.candidates[cell].has(value)
+      );
+      if (removed.length > 0) {
+        eliminations.push({ cell, values: removed });
+      }
+    }
+
+    return eliminations;
+  }
+
+  /**
+   * Looks for a unit in which a digit can go in only one cell.
+   */
+  findHiddenSingle(grid) {
+    for (const unit of this.units.all) {
+      for (const digit of this.digits) {
+        const cells = unit.cells.filter((cell) =>
+          grid.candidates[cell].has(digit)
+        );
+
+        if (cells.length === 1) {
+          return {
+            cells,
+            values: [digit],
+            placement: { cell: cells[0], value: digit },
+            eliminations: [],
+            description: `${this.layout.symbolOf(
+              digit
+            )} can only go in ${this.cellName(cells[0])} within ${unit.name}`,
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for a cell which has only one candidate left.
+   */
+  findNakedSingle(grid) {
+    for (let cell = 0; cell < this.layout.cellCount; ++cell) {
+      if (grid.candidates[cell].size === 1) {
+        const [digit] = grid.candidates[cell];
+        return {
+          cells: [cell],
+          values: [digit],
+          placement: { cell, value: digit },
+          eliminations: [],
+          description: `${this.cellName(
+            cell
+          )} can only be ${this.layout.symbolOf(digit)}`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for a digit which, within a region, is confined to a single row or
+   * column, so it can be removed from the rest of that row or column.
+   */
+  findPointing(grid) {
+    for (const region of this.units.regions) {
+      for (const digit of this.digits) {
+        const cells = region.cells.filter((cell) =>
+          grid.candidates[cell].has(digit)
+        );
+
+        if (cells.length < 2 || cells.length > 3) {
+          continue;
+        }
+
+        for (const line of [...this.units.rows, ...this.units.columns]) {
+          if (cells.every((cell) => line.cells.includes(cell)) === false) {
+            continue;
+          }
+
+          const others = line.cells.filter(
+            (cell) => !region.cells.includes(cell)
+          );
+          const eliminations = this.eliminate(grid, others, [digit]);
+          if (eliminations.length > 0) {
+            return {
+              technique:
+                cells.length === 2 ? "Pointing Pair" : "Pointing Triple",
+              cells,
+              values: [digit],
+              eliminations,
+              description: `${this.layout.symbolOf(digit)} in ${
+                region.name
+              } is confined to ${line.name}`,
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for a digit which, within a row or column, is confined to a single
+   * region, so it can be removed from the rest of that region.
+   */
+  findBoxLine(grid) {
+    for (const line of [...this.units.rows, ...this.units.columns]) {
+      for (const digit of this.digits) {
+        const cells = line.cells.filter((cell) =>
+          grid.candidates[cell].has(digit)
+        );
+
+        if (cells.length < 2 || cells.length > 3) {
+          continue;
+        }
+
+        const region = this.units.regions.find((unit) =>
+          cells.every((cell) => unit.cells.includes(cell))
+        );
+        if (region === undefined) {
+          continue;
+        }
+
+        const others = region.cells.filter(
+          (cell) => !line.cells.includes(cell)
+        );
+        const eliminations = this.eliminate(grid, others, [digit]);
+        if (eliminations.length > 0) {
+          return {
+            cells,
+            values: [digit],
+            eliminations,
+            description: `${this.layout.symbolOf(digit)} in ${
+              line.name
+            } is confined to ${region.name}`,
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for a set of cells within a unit which, between them, have exactly as
+   * many candidates as there are cells. Those candidates can be removed from
+   * the rest of the unit.
+   *
+   * @param {object} grid The working grid.
+   * @param {number} size The number of cells in the set.
+   */
+  findNakedSubset(grid, size) {
+    for (const unit of this.units.all) {
+      const empty = unit.cells.filter((cell) => grid.candidates[cell].size > 0);
+      const possible = empty.filter(
+        (cell) => grid.candidates[cell].size <= size
+      );
+
+      for (const cells of combinations(possible, size)) {
+        const values = union(cells.map((cell) => grid.candidates[cell]));
+        if (values.length !== size) {
+          continue;
+        }
+
+        const others = empty.filter((cell) => !cells.includes(cell));
+        const eliminations = this.eliminate(grid, others, values);
+        if (eliminations.length > 0) {
+          return {
+            cells,
+            values,
+            eliminations,
+            description: `${cells
+              .map((cell) => this.cellName(cell))
+              .join(", ")} can only be ${this.symbols(values)} within ${
+              unit.name
+            }`,
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for a set of digits within a unit which, between them, can only go in
+   * exactly as many cells as there are digits. Every other candidate can be
+   * removed from those cells.
+   *
+   * @param {object} grid The working grid.
+   * @param {number} size The number of digits in the set.
+   */
+  findHiddenSubset(grid, size) {
+    for (const unit of this.units.all) {
+      // Find the cells each digit can still go in, leaving out digits which
+      // have already been placed in this unit.
+      const positions = new Map();
+      for (const digit of this.digits) {
+        const cells = unit.cells.filter((cell) =>
+          grid.candidates[cell].has(digit)
+        );
+        if (cells.length > 0 && cells.length <= size) {
+          positions.set(digit, new Set(cells));
+        }
+      }
+
+      for (const values of combinations([...positions.keys()], size)) {
+        const cells = union(values.map((value) => positions.get(value)));
+        if (cells.length !== size) {
+          continue;
+        }
+
+        const others = this.digits.filter((digit) => !values.includes(digit));
+        const eliminations = this.eliminate(grid, cells, others);
+        if (eliminations.length > 0) {
+          return {
+            cells,
+            values,
+            eliminations,
+            description: `${this.symbols(values)} can only go in ${cells
+              .map((cell) => this.cellName(cell))
+              .join(", ")} within ${unit.name}`,
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for a fish pattern: a digit which, in each of a set of rows (or
+   * columns), is confined to the same number of columns (or rows). The digit can
+   * be removed from the rest of those columns (or rows). A fish of size two is
+   * an X-Wing; a fish of size three is a Swordfish.
+   *
+   * @param {object} grid The working grid.
+   * @param {number} size The number of rows or columns in the pattern.
+   */
+  findFish(grid, size) {
+    const orientations = [
+      [this.units.rows, this.units.columns],
+      [this.units.columns, this.units.rows],
+    ];
+
+    for (const digit of this.digits) {
+      for (const [bases, covers] of orientations) {
+        // Find the base lines in which this digit has few enough positions,
+        // recording the cover lines those positions fall in.
+        const candidates = [];
+        for (const base of bases) {
+          const cells = base.cells.filter((cell) =>
+            grid.candidates[cell].has(digit)
+          );
+          if (cells.length >= 2 && cells.length <= size) {
+            const coverIndices = cells.map((cell) =>
+              covers.findIndex((cover) => cover.cells.includes(cell))
+            );
+            candidates.push({
+              base,
+              cells,
+              coverIndices: new Set(coverIndices),
+            });
+          }
+        }
+
+        for (const chosen of combinations(candidates, size)) {
+          const coverIndices = union(chosen.map((c) => c.coverIndices));
+          if (coverIndices.length !== size) {
+            continue;
+          }
+
+          const patternCells = chosen.flatMap((c) => c.cells);
+          const others = coverIndices
+            .flatMap((index) => covers[index].cells)
+            .filter((cell) => !patternCells.includes(cell));
+          const eliminations = this.eliminate(grid, others, [digit]);
+          if (eliminations.length > 0) {
+            return {
+              cells: patternCells.sort((a, b) => a - b),
+              values: [digit],
+              eliminations,
+              description: `${this.layout.symbolOf(digit)} in ${chosen
+                .map((c) => c.base.name)
+                .join(", ")} is confined to ${coverIndices
+                .map((index) => covers[index].name)
+                .join(", ")}`,
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for an XY-Wing: a pivot cell with candidates XY, which sees two pincer
+   * cells with candidates XZ and YZ. Whichever value the pivot takes, one of the
+   * pincers must be Z, so Z can be removed from every cell seeing both pincers.
+   */
+  findXYWing(grid) {
+    const bivalue = [];
+    for (let cell = 0; cell < this.layout.cellCount; ++cell) {
+      if (grid.candidates[cell].size === 2) {
+        bivalue.push(cell);
+      }
+    }
+
+    for (const pivot of bivalue) {
+      const [x, y] = grid.candidates[pivot];
+      const pincers = bivalue.filter((cell) => this.peers[pivot].has(cell));
+
+      for (const first of pincers) {
+        const firstValues = grid.candidates[first];
+        if (firstValues.has(x) === false || firstValues.has(y) === true) {
+          continue;
+        }
+
+        const [z] = [...firstValues].filter((value) => value !== x);
+        for (const second of pincers) {
+          const secondValues = grid.candidates[second];
+          if (
+            second === first ||
+            secondValues.has(y) === false ||
+            secondValues.has(z) === false
+          ) {
+            continue;
+          }
+
+          const others = [...this.peers[first]].filter(
+            (cell) => cell !== pivot && this.peers[second].has(cell)
+          );
+          const eliminations = this.eliminate(grid, others, [z]);
+          if (eliminations.length > 0) {
+            return {
+              cells: [pivot, first, second],
+              values: [x, y, z],
+              eliminations,
+              description: `Whichever value ${this.cellName(
+                pivot
+              )} takes, ${this.cellName(first)} or ${this.cellName(
+                second
+              )} must be ${this.layout.symbolOf(z)}`,
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the next deduction which can be made on the working grid, trying the
+   * easiest techniques first.
+   *
+   * @param {object} grid The working grid.
+   * @param {object[]} techniques The techniques to try. Defaults to every
+   * technique this solver knows.
+   * @returns {object|null} The deduction, with cell indices and the index of
+   * its technique as its level, or null if no technique applies.
+   */
+  findNextDeduction(grid, techniques = this.techniques) {
+    for (const technique of techniques) {
+      const deduction = technique.find(grid);
+      if (deduction !== null) {
+        const level = this.techniques.indexOf(technique);
+        return { technique: technique.name, ...deduction, level };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts a deduction's cell indices into letter-and-number notation.
+   *
+   * @param {object} deduction The deduction, with cell indices.
+   * @returns {Deduction} The deduction, as returned to callers.
+   */
+  describe(deduction) {
+    const described = {
+      technique: deduction.technique,
+      description: deduction.description,
+      cells: deduction.cells.map((cell) => this.cellName(cell)),
+      values: deduction.values,
+      eliminations: deduction.eliminations.map(({ cell, values }) => ({
+        cell: this.cellName(cell),
+        values,
+      })),
+    };
+
+    if (deduction.placement) {
+      described.placement = {
+        cell: this.cellName(deduction.placement.cell),
+        value: deduction.placement.value,
+      };
+    }
+
+    return described;
+  }
+
+  /**
+   * Validates the given puzzle string and creates its working grid.
+   *
+   * @param {string} puzzleString The puzzle string.
+   * @returns {{grid: object, error: string}} The working grid, or an error.
+   */
+  prepare(puzzleString) {
+    const validation = this.validator.validate(puzzleString);
+    if (validation.ok === false) {
+      return { error: validation.error };
+    }
+
+    if (this.validator.checkGivens(puzzleString) === false) {
+      return { error: "Puzzle cannot be solved" };
+    }
+
+    return { grid: this.createGrid(puzzleString) };
+  }
+
+  /**
+   * Applies deductions to the working grid until it is solved, or until no
+   * technique applies.
+   *
+   * @param {object} grid The working grid.
+   * @param {object[]} techniques The techniques to try. Defaults to every
+   * technique this solver knows.
+   * @returns {object[]} The deductions made, with cell indices, in order.
+   */
+  run(grid, techniques = this.techniques) {
+    const deductions = [];
+    let deduction = this.findNextDeduction(grid, techniques);
+    while (deduction !== null) {
+      deductions.push(deduction);
+      this.apply(grid, deduction);
+      deduction = this.findNextDeduction(grid, techniques);
+    }
+
+    return deductions;
+  }
+
+  /**
+   * Lists the candidates of every empty cell of the given puzzle string. These
+   * may be narrowed down by the basic techniques a careful player applies while
+   * pencilling them in: singles and pointing pairs. A cell found to need a single
+   * digit then has only that candidate, though it is left empty.
+   *
+   * @param {string} puzzleString The puzzle string.
+   * @param {boolean} eliminate Whether to apply the basic techniques.
+   * @returns {CandidatesResult} The candidates of each empty cell.
+   */
+  candidates(puzzleString, eliminate = false) {
+    const { grid, error } = this.prepare(puzzleString);
+    if (error) {
+      return { error };
+    }
+
+    const empty = grid.values.map((value) => value === 0);
+    if (eliminate === true) {
+      this.run(
+        grid,
+        this.techniques.filter(({ name }) => BASIC_TECHNIQUES.includes(name))
+      );
+    }
+
+    const candidates = {};
+    empty.forEach((isEmpty, cell) => {
+      if (isEmpty) {
+        const value = grid.values[cell];
+        candidates[this.cellName(cell)] =
+          value === 0
+            ? [...grid.candidates[cell]].sort((a, b) => a - b)
+            : [value];
+      }
+    });
+
+    return { candidates };
+  }
+
+  /**
+   * Solves the given puzzle string as far as logic allows, recording each of
+   * the deductions made along the way.
+   *
+   * @param {string} puzzleString The puzzle string to explain.
+   * @returns {ExplainResult} The result of the explanation.
+   */
+  explain(puzzleString) {
+    const { grid, error } = this.prepare(puzzleString);
+    if (error) {
+      return { error };
+    }
+
+    const steps = this.run(grid).map((deduction) => this.describe(deduction));
+    return {
+      steps,
+      solved: grid.values.includes(0) === false,
+      puzzle: grid.values.map((value) => this.layout.symbolOf(value)).join(""),
+    };
+  }
+
+  /**
+   * Rates the difficulty of the given puzzle string. The difficulty is that of
+   * the hardest technique needed to solve the puzzle, and the score adds up the
+   * score of every step taken.
+   *
+   * @param {string} puzzleString The puzzle string to rate.
+   * @param {number} nodeLimit The most nodes the search for a solution may visit,
+   * should logic alone not finish the puzzle, before giving up with an error.
+   * Defaults to no limit.
+   * @returns {RateResult} The result of the rating.
+   */
+  rate(puzzleString, nodeLimit = Infinity) {
+    const { grid, error } = this.prepare(puzzleString);
+    if (error) {
+      return { error };
+    }
+
+    const deductions = this.run(grid);
+
+    // If logic alone could not finish the puzzle, make sure there is a solution
+    // to be guessed at, at all.
+    const requiresGuessing = grid.values.includes(0);
+    if (requiresGuessing === true) {
+      const solve = this.validator.solve(
+        puzzleString,
+        false,
+        "backtrack",
+        null,
+        nodeLimit
+      );
+      if (solve.error) {
+        return { error: solve.error };
+      }
+    }
+
+    // Find the hardest technique used. Techniques are listed from easiest to
+    // hardest, so this is the deduction with the highest level.
+    const hardest = deductions.reduce(
+      (hardest, deduction) =>
+        hardest === null || deduction.level > hardest.level
+          ? deduction
+          : hardest,
+      null
+    );
+
+    let score = deductions.reduce(
+      (sum, deduction) => sum + this.techniques[deduction.level].score,
+      0
+    );
+
+    // Puzzles which cannot be finished without guessing are rated as expert,
+    // whichever techniques got them that far.
+    let difficulty = "easy";
+    if (requiresGuessing === true) {
+      difficulty = "expert";
+      score += GUESSING_SCORE;
+    } else if (hardest !== null) {
+      difficulty = this.techniques[hardest.level].difficulty;
+    }
+
+    return {
+      difficulty,
+      score,
+      hardestTechnique: hardest === null ? null : hardest.technique,
+      steps: deductions.length,
+      requiresGuessing,
+    };
+  }
+
+  /**
+   * Finds only the next deduction which can be made on the given puzzle string.
+   *
+   * @param {string} puzzleString The puzzle string to find a hint for.
+   * @returns {{hint: Deduction, error: string}} The next deduction, or an error.
+   */
+  hint(puzzleString) {
+    const { grid, error } = this.prepare(puzzleString);
+    if (error) {
+      return { error };
+    }
+
+    if (grid.values.includes(0) === false) {
+      return { error: "Puzzle is already solved" };
+    }
+
+    const deduction = this.findNextDeduction(grid);
+    if (deduction === null) {
+      return { error: "No logical deduction could be found" };
+    }
+
+    return { hint: this.describe(deduction) };
+  }
+}
+
+module.exports = LogicalSolver;
@@ -0,0 +1,208 @@
+/**
+ * @file controllers/multi-grid.js
+ *
+ * Contains a class describing a puzzle made of several overlapping sudoku grids,
+ * such as a Samurai Sudoku, as a single set of cells and units.
+ */
+
+/**
+ * @typedef SubGrid
+ * @brief One of the grids making up a multi-grid puzzle.
+ * @type {object}
+ * @property {string} puzzle The puzzle string of the grid.
+ * @property {number} row The row of the whole puzzle in which the grid's top row
+ * lies, starting at zero.
+ * @property {number} col The column of the whole puzzle in which the grid's left
+ * column lies, starting at zero.
+ */
+
+/**
+ * @typedef CreateMultiGridResult
+ * @brief The return value of the @a MultiGridLayout.create method.
+ * @type {object}
+ * @property {MultiGridLayout} layout The multi-grid layout, if the offsets were valid.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * A class describing a puzzle made of several grids of the same layout, each
+ * placed at an offset within the whole puzzle. Grids may overlap, in which case
+ * the cells they share must follow the rules of each of them.
+ *
+ * The cells of the whole puzzle are numbered in reading order, counting each
+ * shared cell once. Like a @a GridLayout, the layout lists every unit of every
+ * grid, and the units each cell falls into, so that the solver can work on the
+ * whole puzzle at once.
+ */
+class MultiGridLayout {
+  /**
+   * Creates a multi-grid layout. The offsets given are assumed to be valid; use
+   * @a MultiGridLayout.create to validate them first.
+   *
+   * @param {GridLayout} grid The layout of each grid.
+   * @param {{row: number, col: number}[]} offsets The offset of each grid.
+   */
+  constructor(grid, offsets) {
+    this.grid = grid;
+    this.offsets = offsets;
+    this.size = grid.size;
+    this.symbols = grid.symbols;
+
+    // Find the position of each cell of each grid within the whole puzzle.
+    const positions = offsets.map(({ row, col }) =>
+      Array.from({ length: grid.cellCount }, (_, cell) => [
+        row + Math.floor(cell / grid.size),
+        col + (cell % grid.size),
+      ])
+    );
+
+    // Number the distinct positions in reading order.
+    const key = ([row, col]) => `${row},${col}`;
+    const ordered = [
+      ...new Map(
+        positions.flat().map((position) => [key(position), position])
+      ).values(),
+    ].sort(([rowA, colA], [rowB, colB]) => rowA - rowB || colA - colB);
+    const indices = new Map(
+      ordered.map((position, cell) => [key(position), cell])
+    );
+
+    this.cellCount = ordered.length;
+
+    // For each grid, the index within the whole puzzle of each of its cells.
+    this.cellsOf = positions.map((cells) =>
+      cells.map((position) => indices.get(key(position)))
+    );
+
+    // Every unit of every grid, in cells of the whole puzzle. Units shared by
+    // two grids, such as the corner boxes of a Samurai Sudoku, are listed once.
+    const units = new Map();
+    this.cellsOf.forEach((cells) =>
+      grid.units.all.forEach((unit) => {
+        const unitCells = unit.map((cell) => cells[cell]);
+        units.set(unitCells.join(","), unitCells);
+      })
+    );
+    this.units = { all: [...units.values()] };
+
+    // For each cell, the indices into 'units.all' of the units it falls into.
+    this.unitsOf = Array.from({ length: this.cellCount }, () => []);
+    this.units.all.forEach((unit, index) =>
+      unit.forEach((cell) => this.unitsOf[cell].push(index))
+    );
+  }
+
+  /**
+   * Validates the given grid offsets, and creates a layout for them.
+   *
+   * @param {GridLayout} grid The layout of each grid.
+   * @param {{row: number, col: number}[]} offsets The offset of each grid.
+   * @returns {CreateMultiGridResult} The layout, or an error.
+   */
+  static create(grid, offsets) {
+    if (Array.isArray(offsets) === false || offsets.length === 0) {
+      return { error: "Grids must be a list of sub-grids" };
+    }
+
+    if (
+      offsets.some(
+        (offset) =>
+          offset === null ||
+          typeof offset !== "object" ||
+          Number.isInteger(offset.row) === false ||
+          Number.isInteger(offset.col) === false ||
+          offset.row < 0 ||
+          offset.col < 0
+      )
+    ) {
+      return { error: "Invalid grid offset" };
+    }
+
+    return {
+      layout: new MultiGridLayout(
+        grid,
+        offsets.map(({ row, col }) => ({ row, col }))
+      ),
+    };
+  }
+
+  /**
+   * Returns the value of the given cell symbol, as used by each grid.
+   *
+   * @param {string} symbol The symbol, or a period for an empty cell.
+   * @returns {number} The symbol's value, zero for an empty cell, or -1 if the
+   * symbol is not used.
+   */
+  valueOf(symbol) {
+    return this.grid.valueOf(symbol);
+  }
+
+  /**
+   * Returns the symbol representing the given value, as used by each grid.
+   *
+   * @param {number} value The value, or zero.
+   * @returns {string} The value's symbol, or a period for zero.
+   */
+  symbolOf(value) {
+    return this.grid.symbolOf(value);
+  }
+
+  /**
+   * Combines the puzzle strings of each grid into a single puzzle string for the
+   * whole puzzle.
+   *
+   * @param {string[]} puzzles The puzzle string of each grid, in the order of the
+   * offsets.
+   * @returns {{puzzle: string, error: string}} The combined puzzle string, or an
+   * error if two grids give different values for a cell they share.
+   */
+  combine(puzzles) {
+    const combined = new Array(this.cellCount).fill(".");
+    for (let index = 0; index < puzzles.length; ++index) {
+      for (let cell = 0; cell < this.grid.cellCount; ++cell) {
+        const value = this.valueOf(puzzles[index][cell]);
+        const target = this.cellsOf[index][cell];
+        if (value === 0) {
+          continue;
+        }
+
+        const existing = this.valueOf(combined[target]);
+        if (existing !== 0 && existing !== value) {
+          return { error: "Sub-grids disagree at overlapping cells" };
+        }
+
+        combined[target] = this.symbolOf(value);
+      }
+    }
+
+    return { puzzle: combined.join("") };
+  }
+
+  /**
+   * Splits a puzzle string for the whole puzzle into the puzzle string of each
+   * grid.
+   *
+   * @param {string|string[]} puzzleString The puzzle string of the whole puzzle.
+   * @returns {string[]} The puzzle string of each grid.
+   */
+  split(puzzleString) {
+    return this.cellsOf.map((cells) =>
+      cells.map((cell) => puzzleString[cell]).join("")
+    );
+  }
+
+  /**
+   * Finds every grid containing the given cell of the whole puzzle.
+   *
+   * @param {number} cell The index of the cell in the whole puzzle.
+   * @returns {{grid: number, cell: number}[]} The index of each grid containing
+   * the cell, along with the cell's index within that grid.
+   */
+  locate(cell) {
+    return this.cellsOf.flatMap((cells, grid) =>
+      cells.includes(cell) ? [{ grid, cell: cells.indexOf(cell) }] : []
+    );
+  }
+}
+
+module.exports = MultiGridLayout;
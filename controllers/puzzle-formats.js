@@ -0,0 +1,332 @@
+/**
+ * @file controllers/puzzle-formats.js
+ *
+ * Contains functions which read puzzles written in common sudoku text and file
+ * formats into puzzle strings, and write puzzle strings back out in them.
+ */
+
+/**
+ * @typedef ParsePuzzleResult
+ * @brief The return value of @a parsePuzzle.
+ * @type {object}
+ * @property {string} puzzle The puzzle string, with a period for each empty cell.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef ParsePuzzlesResult
+ * @brief The return value of @a parsePuzzles.
+ * @type {object}
+ * @property {string[]} puzzles The puzzle strings, with a period for each empty cell.
+ * @property {number[]} indices The index of each puzzle within a collection.
+ * @property {{index: number, error: string}[]} errors The index and error of each
+ * line of a collection which does not hold a whole puzzle.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * Characters other than the period used to mark an empty cell. No grid uses a
+ * zero as a symbol; see @a GridLayout.
+ */
+const BLANKS = /[0_*]/g;
+
+/**
+ * Characters which only separate the cells of a row, such as the bars between
+ * boxes in a drawn grid.
+ */
+const CELL_SEPARATORS = /[\s|+]/g;
+
+/**
+ * Lines which only separate rows, such as '------+-------+------'.
+ */
+const ROW_SEPARATOR = /^[\s|+=-]*[=-][\s|+=-]*$/;
+
+/**
+ * Splits the given list into consecutive groups of the given length, such as the
+ * cells of a puzzle into rows, or its rows into bands of boxes.
+ *
+ * @param {Array} items The list to split.
+ * @param {number} length The number of items in each group.
+ * @returns {Array[]} The groups.
+ */
+const splitInto = (items, length) =>
+  Array.from({ length: Math.ceil(items.length / length) }, (_, index) =>
+    items.slice(index * length, (index + 1) * length)
+  );
+
+/**
+ * Splits the given puzzle string into the symbol of each cell in each row.
+ *
+ * @param {string} puzzle The puzzle string.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {string} blank The symbol written for an empty cell.
+ * @returns {string[][]} The symbols of each row.
+ */
+const toRows = (puzzle, layout, blank) =>
+  splitInto(
+    [...puzzle].map((symbol) => {
+      const value = layout.valueOf(symbol);
+      return value === 0 ? blank : layout.symbolOf(value);
+    }),
+    layout.size
+  );
+
+/**
+ * Writes the given rows as a drawn grid, with the given separators between boxes.
+ * Grids without boxes, such as jigsaw grids, are written without separators.
+ *
+ * @param {string[][]} rows The symbols of each row.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {string} cellSeparator The text written between cells.
+ * @param {string} boxSeparator The text written between boxes.
+ * @param {string} crossing The text written where separators cross.
+ * @returns {string} The drawn grid.
+ */
+const drawGrid = (rows, layout, cellSeparator, boxSeparator, crossing) => {
+  const boxed = layout.regionMap === undefined && layout.boxRows !== undefined;
+  const bandHeight = boxed ? layout.boxRows : layout.size;
+  const stackWidth = boxed ? layout.boxCols : layout.size;
+
+  const lines = splitInto(rows, bandHeight).map((band) =>
+    band.map((row) =>
+      splitInto(row, stackWidth)
+        .map((stack) => stack.join(cellSeparator))
+        .join(`${cellSeparator}|${cellSeparator}`)
+    )
+  );
+
+  // Draw each row separator to line up with the bars between the boxes.
+  const separator = lines[0][0]
+    .split("|")
+    .map((part) => boxSeparator.repeat(part.length))
+    .join(crossing);
+
+  return lines.map((band) => band.join("\n")).join(`\n${separator}\n`);
+};
+
+/**
+ * The formats a puzzle may be written in, by name. Each takes a puzzle string and
+ * the grid's layout.
+ */
+const FORMATS = {
+  // The usual puzzle string, with a period for each empty cell.
+  string: (puzzle, layout) => toRows(puzzle, layout, ".").flat().join(""),
+  // A puzzle string with a zero for each empty cell.
+  zeros: (puzzle, layout) => toRows(puzzle, layout, "0").flat().join(""),
+  // A drawn grid, with bars and dashes between the boxes.
+  grid: (puzzle, layout) =>
+    drawGrid(toRows(puzzle, layout, "."), layout, " ", "-", "+"),
+  // A SadMan Sudoku file: one line for each row.
+  sdk: (puzzle, layout) =>
+    toRows(puzzle, layout, ".")
+      .map((row) => row.join(""))
+      .join("\n"),
+  // A line of a SadMan Sudoku collection: a puzzle string with zeros.
+  sdm: (puzzle, layout) => toRows(puzzle, layout, "0").flat().join(""),
+  // A Simple Sudoku file: one line for each row, with bars between boxes.
+  ss: (puzzle, layout) =>
+    drawGrid(toRows(puzzle, layout, "."), layout, "", "-", "-"),
+  // A list of rows, each a list of numbers, with zero for each empty cell.
+  json: (puzzle, layout) =>
+    splitInto(
+      [...puzzle].map((symbol) => Math.max(0, layout.valueOf(symbol))),
+      layout.size
+    ),
+};
+
+/**
+ * Returns the symbol for a cell's value given in a list. Numbers stand for their
+ * values, and zero, null or an empty string for an empty cell. Anything else is
+ * kept as a symbol, to be validated later.
+ *
+ * @param {*} value The value of the cell.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {string} The cell's symbol.
+ */
+const cellSymbol = (value, layout) => {
+  if (value === null || value === "" || value === 0) {
+    return ".";
+  }
+
+  if (Number.isInteger(value)) {
+    return value >= 1 && value <= layout.size ? layout.symbolOf(value) : "?";
+  }
+
+  return typeof value === "string" && value.length === 1
+    ? value.replace(BLANKS, ".")
+    : "?";
+};
+
+/**
+ * Reads a grid given as a list into a puzzle string. The list may hold each of
+ * the grid's rows, as a list of values or a string of symbols, or else the value
+ * of each of its cells.
+ *
+ * @param {Array} list The rows or cells of the grid.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {ParsePuzzleResult} The puzzle string, or an error.
+ */
+const parseList = (list, layout) => {
+  const isRow = (row) =>
+    Array.isArray(row) || (typeof row === "string" && row.length > 1);
+  if (list.some(isRow) === false) {
+    return {
+      puzzle: list.map((value) => cellSymbol(value, layout)).join(""),
+    };
+  }
+
+  if (
+    list.length !== layout.size ||
+    list.some((row) => isRow(row) === false || row.length !== layout.size)
+  ) {
+    return { error: "Invalid puzzle grid" };
+  }
+
+  return {
+    puzzle: list
+      .flatMap((row) => [...row].map((value) => cellSymbol(value, layout)))
+      .join(""),
+  };
+};
+
+/**
+ * Returns the result of reading a single puzzle with @a parsePuzzles.
+ *
+ * @param {string} puzzle The puzzle string.
+ * @returns {ParsePuzzlesResult} The result holding the puzzle string alone.
+ */
+const single = (puzzle) => ({ puzzles: [puzzle], indices: [0], errors: [] });
+
+/**
+ * Reads one or more puzzles, given in any of the supported formats, into puzzle
+ * strings. Puzzles may be given as:
+ *
+ * - a puzzle string, with a period or a zero for each empty cell;
+ * - a drawn grid over several lines, with bars and dashes between the boxes, as
+ *   in Simple Sudoku (.ss) files;
+ * - one line for each row, as in SadMan Sudoku (.sdk) files, whose '#' metadata
+ *   lines are skipped;
+ * - one puzzle string on each line, as in SadMan Sudoku collections (.sdm), in
+ *   which each line not holding a whole puzzle is reported on its own;
+ * - a list of rows, each a list of numbers or a string, or its JSON text;
+ * - a list of the values of each cell.
+ *
+ * Text which matches none of these is returned as a single puzzle string, so that
+ * its errors are reported when it is validated.
+ *
+ * @param {string|Array[]} input The puzzles to read.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {ParsePuzzlesResult} The puzzle strings, or an error.
+ */
+const parsePuzzles = (input, layout) => {
+  if (Array.isArray(input)) {
+    const parsed = parseList(input, layout);
+    return parsed.error ? parsed : single(parsed.puzzle);
+  }
+
+  if (typeof input !== "string") {
+    return { error: "Puzzle must be a string or a list of rows" };
+  }
+
+  if (input.trim().startsWith("[")) {
+    let rows;
+    try {
+      rows = JSON.parse(input);
+    } catch (err) {
+      return { error: "Invalid puzzle grid" };
+    }
+
+    return Array.isArray(rows)
+      ? parsePuzzles(rows, layout)
+      : { error: "Invalid puzzle grid" };
+  }
+
+  // Drop the metadata lines, blank lines and row separators, then the cell
+  // separators within each line.
+  const lines = input
+    .split(/\r?\n/)
+    .filter(
+      (line) =>
+        line.trim() !== "" &&
+        line.startsWith("#") === false &&
+        ROW_SEPARATOR.test(line) === false
+    )
+    .map((line) => line.replace(CELL_SEPARATORS, "").replace(BLANKS, "."));
+
+  // A collection gives a whole puzzle on each line. Lines of any other length
+  // are reported, rather than keeping the rest of the collection from being read.
+  if (
+    lines.length > 1 &&
+    lines.some((line) => line.length === layout.cellCount)
+  ) {
+    const collection = { puzzles: [], indices: [], errors: [] };
+    lines.forEach((line, index) => {
+      if (line.length === layout.cellCount) {
+        collection.puzzles.push(line);
+        collection.indices.push(index);
+      } else {
+        collection.errors.push({
+          index,
+          error: `Expected puzzle to be ${layout.cellCount} characters long`,
+        });
+      }
+    });
+
+    return collection;
+  }
+
+  return single(lines.join(""));
+};
+
+/**
+ * Reads a single puzzle, given in any of the formats supported by
+ * @a parsePuzzles, into a puzzle string.
+ *
+ * @param {string|Array[]} input The puzzle to read.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {ParsePuzzleResult} The puzzle string, or an error.
+ */
+const parsePuzzle = (input, layout) => {
+  const { puzzles, errors, error } = parsePuzzles(input, layout);
+  if (error) {
+    return { error };
+  }
+
+  return puzzles.length === 1 && errors.length === 0
+    ? { puzzle: puzzles[0] }
+    : { error: "Expected a single puzzle" };
+};
+
+/**
+ * Checks to see if puzzles can be written in the named format.
+ *
+ * @param {string} format The name of the format.
+ * @returns {boolean} True if the format is one of those in @a FORMATS.
+ */
+const isFormat = (format) =>
+  Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+/**
+ * Writes the given puzzle string in the named format.
+ *
+ * @param {string} puzzle The puzzle string, assumed to be valid.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {string} format The name of the format, one of those in @a FORMATS.
+ * @returns {{output: string|number[][], error: string}} The written puzzle, or an
+ * error if the format is not known.
+ */
+const formatPuzzle = (puzzle, layout, format = "string") => {
+  if (isFormat(format) === false) {
+    return { error: "Invalid output format" };
+  }
+
+  return { output: FORMATS[format](puzzle, layout) };
+};
+
+module.exports = {
+  FORMATS,
+  isFormat,
+  parsePuzzle,
+  parsePuzzles,
+  formatPuzzle,
+};
@@ -0,0 +1,374 @@
+/**
+ * @file controllers/puzzle-library.js
+ *
+ * Contains a class keeping a library of puzzles, each with its solution, its
+ * difficulty and tags, which may be searched and browsed a page at a time.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const SudokuSolver = require("./sudoku-solver.js");
+const LogicalSolver = require("./logical-solver.js");
+const GridLayout = require("./grid-layout.js");
+const { puzzlesAndSolutions } = require("./puzzle-strings.js");
+
+/**
+ * @typedef LibraryPuzzle
+ * @brief A puzzle kept in the library.
+ * @type {object}
+ * @property {string} id The puzzle's identifier, which is derived from the puzzle
+ * itself, so the same puzzle always has the same identifier.
+ * @property {string} puzzle The puzzle string.
+ * @property {string} solution The puzzle's solution.
+ * @property {number} size The size of the puzzle's grid.
+ * @property {string} difficulty One of 'easy', 'medium', 'hard' or 'expert'.
+ * @property {number} clues The number of cells given.
+ * @property {string} source Where the puzzle came from.
+ * @property {string[]} tags The puzzle's tags.
+ */
+
+/**
+ * @typedef AddPuzzleOptions
+ * @brief The options of a puzzle being added to the library.
+ * @type {object}
+ * @property {string} puzzle The puzzle string.
+ * @property {number} size The size of the puzzle's grid. Defaults to 9.
+ * @property {string} source Where the puzzle came from. Defaults to 'user'.
+ * @property {string[]} tags The puzzle's tags.
+ */
+
+/**
+ * @typedef PuzzleAnalysis
+ * @brief The return value of the @a PuzzleLibrary's 'analyse' method.
+ * @type {object}
+ * @property {string} puzzle The puzzle string, in its usual form.
+ * @property {string} solution The puzzle's solution.
+ * @property {number} size The size of the puzzle's grid.
+ * @property {string} difficulty One of 'easy', 'medium', 'hard' or 'expert'.
+ * @property {number} clues The number of cells given.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef PuzzleFilters
+ * @brief The filters and page of a search of the library.
+ * @type {object}
+ * @property {string} difficulty Only puzzles of this difficulty.
+ * @property {string|string[]} tags Only puzzles with this tag, or all of these.
+ * @property {string|string[]} tag The same as 'tags'.
+ * @property {string} source Only puzzles from this source.
+ * @property {number} size Only puzzles of this grid size.
+ * @property {number} minClues Only puzzles with at least this many clues.
+ * @property {number} maxClues Only puzzles with at most this many clues.
+ * @property {number} page The page to return, starting at one.
+ * @property {number} limit The number of puzzles on each page.
+ */
+
+/**
+ * @typedef FindPuzzlesResult
+ * @brief The return value of the @a PuzzleLibrary's 'find' method.
+ * @type {object}
+ * @property {LibraryPuzzle[]} puzzles The puzzles on the requested page.
+ * @property {number} total The number of puzzles matching the filters.
+ * @property {number} page The page returned.
+ * @property {number} limit The number of puzzles on each page.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * The number of puzzles on each page, unless another number is requested.
+ */
+const DEFAULT_PAGE_LIMIT = 20;
+
+/**
+ * The most puzzles which may be returned on a page.
+ */
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * The source recorded for the puzzles the library is seeded with.
+ */
+const SEED_SOURCE = "built-in";
+
+// The solvers for each grid size the library has been given puzzles of.
+const solvers = new Map();
+
+/**
+ * A class keeping a library of puzzles, in memory or in a local JSON file. A new
+ * library is seeded with the built-in puzzles.
+ */
+class PuzzleLibrary {
+  /**
+   * Opens the library kept in the given file, creating it if need be.
+   *
+   * @param {string} path The path of the file to keep puzzles in, or nothing to
+   * keep them in memory.
+   */
+  constructor(path) {
+    this.path = path;
+    this.records =
+      path && fs.existsSync(path)
+        ? JSON.parse(fs.readFileSync(path, "utf8"))
+        : [];
+
+    if (this.records.length === 0) {
+      this.import(
+        puzzlesAndSolutions.map(([puzzle]) => puzzle),
+        { source: SEED_SOURCE }
+      );
+    }
+  }
+
+  /**
+   * Returns the identifier of the given puzzle.
+   *
+   * @param {string} puzzleString The puzzle string.
+   * @param {number} size The size of the puzzle's grid.
+   * @returns {string} The identifier.
+   */
+  static idOf(puzzleString, size) {
+    return crypto
+      .createHash("sha1")
+      .update(`${size}:${puzzleString}`)
+      .digest("hex")
+      .slice(0, 12);
+  }
+
+  /**
+   * Finds the solvers for grids of the given size, creating them if need be.
+   *
+   * @param {number} size The size of the grid.
+   * @returns {{solver: SudokuSolver, logicalSolver: LogicalSolver, error: string}}
+   * The solvers, or an error if the size is invalid.
+   */
+  static solversFor(size) {
+    if (solvers.has(size) === false) {
+      const { layout, error } = GridLayout.create({ size });
+      if (error) {
+        return { error };
+      }
+
+      solvers.set(size, {
+        solver: new SudokuSolver(layout),
+        logicalSolver: new LogicalSolver(layout),
+      });
+    }
+
+    return solvers.get(size);
+  }
+
+  /**
+   * Solves and rates a puzzle, finding the details the library records of it.
+   * This is the slow part of adding a puzzle, so it may be run by a solver
+   * worker, apart from the library itself.
+   *
+   * @param {AddPuzzleOptions} options The puzzle and the size of its grid.
+   * @param {number} nodeLimit The most nodes each search may visit before giving
+   * up with an error. Defaults to no limit.
+   * @returns {PuzzleAnalysis} The puzzle's details, or an error if it is invalid
+   * or has no unique solution.
+   */
+  static analyse({ puzzle, size = 9 }, nodeLimit = Infinity) {
+    const { solver, logicalSolver, error } = PuzzleLibrary.solversFor(
+      Number(size)
+    );
+    if (error) {
+      return { error };
+    }
+
+    const solve = solver.solve(puzzle, true, "backtrack", null, nodeLimit);
+    if (solve.error) {
+      return { error: solve.error };
+    }
+
+    if (solve.unique === false) {
+      return { error: "Puzzle does not have a unique solution" };
+    }
+
+    // Keep puzzles in their usual form, so that the same puzzle always has the
+    // same identifier.
+    const { layout } = solver;
+    const puzzleString = [...puzzle]
+      .map((symbol) => layout.symbolOf(layout.valueOf(symbol)))
+      .join("");
+
+    const rating = logicalSolver.rate(puzzleString, nodeLimit);
+    if (rating.error) {
+      return { error: rating.error };
+    }
+
+    return {
+      puzzle: puzzleString,
+      solution: solve.solution,
+      size: layout.size,
+      difficulty: rating.difficulty,
+      clues: [...puzzleString].filter((symbol) => symbol !== ".").length,
+    };
+  }
+
+  /**
+   * Writes the library to its file, if it is kept in one.
+   */
+  save() {
+    if (this.path) {
+      fs.writeFileSync(this.path, JSON.stringify(this.records));
+    }
+  }
+
+  /**
+   * Adds a puzzle to the library, solving and rating it. A puzzle already in the
+   * library keeps its record, gaining any new tags.
+   *
+   * @param {AddPuzzleOptions} options The puzzle and its details.
+   * @param {boolean} save Whether to write the library to its file afterwards.
+   * @returns {{puzzle: LibraryPuzzle, error: string}} The puzzle's record, or an
+   * error if it is invalid or has no unique solution.
+   */
+  add(options, save = true) {
+    return this.record(options, PuzzleLibrary.analyse(options), save);
+  }
+
+  /**
+   * Adds a puzzle already solved and rated by @a analyse to the library. A
+   * puzzle already in the library keeps its record, gaining any new tags.
+   *
+   * @param {AddPuzzleOptions} options The puzzle and its details.
+   * @param {PuzzleAnalysis} analysis The puzzle's analysis.
+   * @param {boolean} save Whether to write the library to its file afterwards.
+   * @returns {{puzzle: LibraryPuzzle, error: string}} The puzzle's record, or an
+   * error if it is invalid or has no unique solution.
+   */
+  record({ source = "user", tags = [] }, analysis, save = true) {
+    if (
+      Array.isArray(tags) === false ||
+      tags.some((tag) => typeof tag !== "string")
+    ) {
+      return { error: "Tags must be a list of strings" };
+    }
+
+    if (analysis.error) {
+      return { error: analysis.error };
+    }
+
+    const { puzzle, solution, size, difficulty, clues } = analysis;
+    const id = PuzzleLibrary.idOf(puzzle, size);
+
+    const existing = this.get(id);
+    if (existing) {
+      existing.tags = [...new Set([...existing.tags, ...tags])];
+    } else {
+      this.records.push({
+        id,
+        puzzle,
+        solution,
+        size,
+        difficulty,
+        clues,
+        source,
+        tags: [...new Set(tags)],
+      });
+    }
+
+    if (save) {
+      this.save();
+    }
+
+    return { puzzle: this.get(id) };
+  }
+
+  /**
+   * Adds each of the given puzzles to the library. One invalid puzzle does not
+   * stop the rest from being added.
+   *
+   * @param {(string|AddPuzzleOptions)[]} puzzles The puzzle strings, or the
+   * puzzles and their details.
+   * @param {object} defaults The details of any puzzle which does not give its
+   * own, such as its source or tags.
+   * @param {PuzzleAnalysis[]} analyses The analysis of each puzzle, if it has
+   * already been made, such as by a solver worker. Puzzles without one are
+   * analysed here.
+   * @returns {{puzzles: LibraryPuzzle[], errors: {index: number, error: string}[]}}
+   * The records of the puzzles added, and the errors of those which were not.
+   */
+  import(puzzles, defaults = {}, analyses = []) {
+    const added = [];
+    const errors = [];
+    puzzles.forEach((item, index) => {
+      const options =
+        item !== null && typeof item === "object"
+          ? { ...defaults, ...item }
+          : { ...defaults, puzzle: item };
+
+      const { puzzle, error } = this.record(
+        options,
+        analyses[index] || PuzzleLibrary.analyse(options),
+        false
+      );
+      if (error) {
+        errors.push({ index, error });
+      } else {
+        added.push(puzzle);
+      }
+    });
+
+    this.save();
+    return { puzzles: added, errors };
+  }
+
+  /**
+   * Finds the puzzle with the given identifier.
+   *
+   * @param {string} id The puzzle's identifier.
+   * @returns {LibraryPuzzle|undefined} The puzzle's record, if it exists.
+   */
+  get(id) {
+    return this.records.find((record) => record.id === id);
+  }
+
+  /**
+   * Finds the puzzles matching the given filters, a page at a time, in the order
+   * they were added.
+   *
+   * @param {PuzzleFilters} filters The filters and page.
+   * @returns {FindPuzzlesResult} The puzzles on the page, or an error.
+   */
+  find(filters = {}) {
+    const { difficulty, source, size, minClues, maxClues } = filters;
+    const { page = 1, limit = DEFAULT_PAGE_LIMIT } = filters;
+    const tags = [].concat(
+      filters.tags !== undefined ? filters.tags : filters.tag || []
+    );
+
+    if (Number.isInteger(page) === false || page < 1) {
+      return { error: "Invalid page" };
+    }
+
+    if (
+      Number.isInteger(limit) === false ||
+      limit < 1 ||
+      limit > MAX_PAGE_LIMIT
+    ) {
+      return { error: "Invalid page limit" };
+    }
+
+    const matching = this.records.filter(
+      (record) =>
+        (difficulty === undefined || record.difficulty === difficulty) &&
+        (source === undefined || record.source === source) &&
+        (size === undefined || record.size === size) &&
+        (minClues === undefined || record.clues >= minClues) &&
+        (maxClues === undefined || record.clues <= maxClues) &&
+        tags.every((tag) => record.tags.includes(tag))
+    );
+
+    return {
+      puzzles: matching.slice((page - 1) * limit, page * limit),
+      total: matching.length,
+      page,
+      limit,
+    };
+  }
+}
+
+module.exports = PuzzleLibrary;
@@ -0,0 +1,633 @@
+/**
+ * @file controllers/puzzle-requests.js
+ *
+ * Contains the functions which read the grid layout, rules and puzzle given by
+ * an API request body, and which carry out requests shared by the routes and
+ * the command-line tool: checking placements, and those heavy enough to be run
+ * by a solver worker, such as solving, generating, rating and diagnosing puzzles,
+ * and analysing those added to the library.
+ */
+
+const SudokuSolver = require("./sudoku-solver.js");
+const LogicalSolver = require("./logical-solver.js");
+const GridLayout = require("./grid-layout.js");
+const PuzzleLibrary = require("./puzzle-library.js");
+const {
+  resolveConstraints,
+  resolveCages,
+  resolveMarkings,
+} = require("./constraints.js");
+const { isFormat, parsePuzzle, formatPuzzle } = require("./puzzle-formats.js");
+
+/**
+ * The most steps of a search which a traced solve reports. The search carries on
+ * past this, but only its result is given.
+ */
+const MAX_TRACE_STEPS = 20000;
+
+/**
+ * The number of steps of a traced solve reported together.
+ */
+const TRACE_BATCH_SIZE = 100;
+
+// The solvers for each grid layout and set of extra rules requested so far,
+// keyed by the layout's shape and the names of the rules.
+const solvers = new Map();
+
+/**
+ * Finds the solvers for the grid layout described by the 'size', 'boxRows',
+ * 'boxCols' and 'regionMap' fields of the given request body, following the
+ * extra rules named
+ * in its 'constraints' field, creating them if need be. A standard 9x9 grid
+ * with no extra rules is used if none of the fields are given.
+ *
+ * Jigsaw region maps given in the 'regionMap' field, Killer Sudoku cages given
+ * in the 'cages' field, and the lines and dots given in the 'thermometers',
+ * 'arrows', 'kropki' and 'inequalities' fields, belong to a single puzzle, so
+ * solvers following them are created afresh rather than kept.
+ *
+ * @param {object} body The request body.
+ * @returns {{solver: SudokuSolver, logicalSolver: LogicalSolver, error: string}}
+ * The solvers, or an error if the layout or the rules are invalid.
+ */
+const getSolvers = (body) => {
+  // Sizes may arrive as strings from form submissions, so convert them into
+  // numbers if they were given.
+  const [size, boxRows, boxCols] = [body.size, body.boxRows, body.boxCols].map(
+    (field) => (field === undefined ? undefined : Number(field))
+  );
+
+  const { regionMap } = body;
+  const { layout, error } = GridLayout.create({
+    size,
+    boxRows,
+    boxCols,
+    regionMap,
+  });
+  if (error) {
+    return { error };
+  }
+
+  const resolved = resolveConstraints(body.constraints, layout);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const { constraints } = resolved;
+
+  const puzzleRules = [
+    resolveCages(body.cages, layout),
+    resolveMarkings(body, layout),
+  ];
+  const failed = puzzleRules.find((rules) => rules.error);
+  if (failed) {
+    return { error: failed.error };
+  }
+
+  if (
+    layout.regionMap !== undefined ||
+    puzzleRules.some((rules) => rules.constraints.length > 0)
+  ) {
+    const rules = [
+      ...constraints,
+      ...puzzleRules.flatMap((rules) => rules.constraints),
+    ];
+    return {
+      solver: new SudokuSolver(layout, rules),
+      logicalSolver: new LogicalSolver(layout, rules),
+    };
+  }
+
+  const names = constraints.map(({ name }) => name).sort();
+  const key = [
+    layout.size,
+    `${layout.boxRows}x${layout.boxCols}`,
+    names,
+  ].join(":");
+  if (solvers.has(key) === false) {
+    solvers.set(key, {
+      solver: new SudokuSolver(layout, constraints),
+      logicalSolver: new LogicalSolver(layout, constraints),
+    });
+  }
+
+  return solvers.get(key);
+};
+
+/**
+ * Reads the puzzle, or the puzzle of each grid of a multi-grid puzzle, given in
+ * any of the formats supported by @a parsePuzzle, into puzzle strings.
+ *
+ * @param {{puzzle: *, grids: SubGrid[]}} fields The puzzle or grids given.
+ * @param {GridLayout} layout The layout of the grid, or of each sub-grid.
+ * @returns {{puzzle: string, grids: SubGrid[], error: string}} The puzzle
+ * string or grids, or an error if a puzzle could not be read.
+ */
+const readPuzzles = ({ puzzle, grids }, layout) => {
+  if (grids !== undefined && Array.isArray(grids) === false) {
+    return { grids };
+  }
+
+  // A puzzle may be left out when its rules alone describe it, as with a
+  // Killer Sudoku given by its cages.
+  if (grids === undefined) {
+    return puzzle ? parsePuzzle(puzzle, layout) : {};
+  }
+
+  // Grids which are not even objects, or which give no puzzle, are left for
+  // the solver to report.
+  const read = [];
+  for (const [index, grid] of grids.entries()) {
+    if (grid === null || typeof grid !== "object" || !grid.puzzle) {
+      read.push(grid);
+      continue;
+    }
+
+    const parsed = parsePuzzle(grid.puzzle, layout);
+    if (parsed.error) {
+      return { error: `${parsed.error} (grid ${index})` };
+    }
+
+    read.push({ ...grid, puzzle: parsed.puzzle });
+  }
+
+  return { grids: read };
+};
+
+/**
+ * Checks placing a value at a coordinate of the puzzle described by the given
+ * request body, following the grid layout and rules it gives, as for the
+ * '/api/check' route.
+ *
+ * @param {object} body The request body.
+ * @returns {object} Whether the placement is valid, along with the types of unit
+ * and the pairs of cells it conflicts with, or an error.
+ */
+const checkPlacement = (body) => {
+  // Pull the puzzle string, a coordinate, and the value to check from
+  // the request body. A multi-grid puzzle gives its grids instead of a puzzle
+  // string, along with the index of the grid the coordinate refers to.
+  let { puzzle, coordinate, value } = body;
+  const { grids, grid = 0 } = body;
+
+  // Make sure all of the above are present in the request body.
+  if ((!puzzle && !grids) || !coordinate || !value) {
+    return { error: "Required field(s) missing" };
+  }
+
+  // Make sure the data is of the proper type. The puzzle itself may be given in
+  // any of the supported formats, and is read once the grid layout is known.
+  if (typeof coordinate !== "string") {
+    return { error: "Coordinate must be a string" };
+  }
+
+  // Find the solver for the requested grid layout.
+  const { solver, error } = getSolvers(body);
+  if (error) {
+    return { error };
+  }
+
+  // Read the puzzle, or each grid's puzzle, into a puzzle string.
+  const read = readPuzzles(body, solver.layout);
+  if (read.error) {
+    return { error: read.error };
+  }
+  puzzle = read.puzzle;
+
+  // Make sure the value given is a number between 1 and the grid size (9 for a
+  // 9x9 grid), or one of the grid's symbols.
+  value = solver.layout.parseValue(value);
+  if (isNaN(value) === true) {
+    return { error: "Invalid value" };
+  }
+
+  // Check a multi-grid placement within every grid sharing the cell.
+  if (grids) {
+    if (solver.layout.parseCoordinate(coordinate) === -1) {
+      return { error: "Invalid coordinate" };
+    }
+
+    const check = solver.checkMultiGridPlacement(
+      read.grids,
+      Number(grid),
+      coordinate[0],
+      +coordinate.slice(1),
+      value
+    );
+    if (check.error) {
+      return { error: check.error };
+    }
+
+    return check.valid ? { valid: true } : check;
+  }
+
+  // Make sure the puzzle string given is valid.
+  const validation = solver.validate(puzzle);
+  if (validation.ok === false) {
+    return { error: validation.error };
+  }
+
+  // Make sure the coordinate contains a row letter followed by a column number,
+  // both within the grid (A-I and 1-9 for a 9x9 grid).
+  if (solver.layout.parseCoordinate(coordinate) === -1) {
+    return { error: "Invalid coordinate" };
+  }
+
+  // Pull the row letter and the column number from the coordinate.
+  const rowLetter = coordinate[0];
+  const columnNumber = +coordinate.slice(1);
+
+  // Validate the row, column and region placement of the given value.
+  const rowCheck = solver.checkRowPlacement(
+    puzzle,
+    rowLetter,
+    columnNumber,
+    value
+  );
+
+  const columnCheck = solver.checkColPlacement(
+    puzzle,
+    rowLetter,
+    columnNumber,
+    value
+  );
+
+  const regionCheck = solver.checkRegionPlacement(
+    puzzle,
+    rowLetter,
+    columnNumber,
+    value
+  );
+
+  // Validate the placement against any extra rules, such as the diagonals.
+  const constraintCheck = solver.checkConstraintPlacement(
+    puzzle,
+    rowLetter,
+    columnNumber,
+    value
+  );
+
+  // Create an array and populate it with any conflicts that occured in the checks above.
+  const conflicts = [];
+  if (rowCheck.valid === false) {
+    conflicts.push("row");
+  }
+  if (columnCheck.valid === false) {
+    conflicts.push("column");
+  }
+  if (regionCheck.valid === false) {
+    conflicts.push("region");
+  }
+  conflicts.push(...constraintCheck.conflict);
+
+  // Create the response. A conflicting placement also lists each cell it
+  // clashes with, paired with the placement's own cell.
+  const response = { valid: conflicts.length === 0 };
+  if (response.valid === false) {
+    response.conflict = conflicts;
+
+    const cell = solver.layout.parseCoordinate(coordinate);
+    const cellName = solver.layout.cellName(cell);
+    response.conflicts = solver
+      .findPlacementConflicts(puzzle, cell, value)
+      .map(({ cell: other, unit }) => ({
+        cells: [cellName, solver.layout.cellName(other)],
+        unit,
+      }));
+  }
+
+  // Return the response.
+  return response;
+};
+
+/**
+ * Solves the puzzle described by the given request body, following the grid
+ * layout and rules it gives, as for the '/api/solve' route.
+ *
+ * @param {object} body The request body.
+ * @param {number} nodeLimit The most nodes the search may visit before giving up
+ * with an error. Defaults to no limit.
+ * @returns {object} The solve result, or an error.
+ */
+const solvePuzzle = (body, nodeLimit = Infinity) => {
+  // Pull the puzzle string, and the optional search engine and output format,
+  // from the request body.
+  const { engine = "backtrack", output = "string", cages, grids } = body;
+  let { puzzle } = body;
+
+  // Make sure a puzzle was provided. A Killer Sudoku puzzle may be given by its
+  // cages alone, and a multi-grid puzzle by its grids.
+  if (!puzzle && !cages && !grids) {
+    return { error: "Required field missing" };
+  }
+
+  // Find the solver for the requested grid layout.
+  const { solver, error } = getSolvers(body);
+  if (error) {
+    return { error };
+  }
+
+  // Make sure the solution can be written in the requested format.
+  const { layout } = solver;
+  if (isFormat(output) === false) {
+    return { error: "Invalid output format" };
+  }
+
+  // Read the puzzle, or each grid's puzzle, into a puzzle string.
+  const read = readPuzzles(body, layout);
+  if (read.error) {
+    return { error: read.error };
+  }
+
+  // Solve every grid of a multi-grid puzzle together, so that the cells they
+  // share agree.
+  if (grids) {
+    const multiSolve = solver.solveMultiGrid(read.grids, engine, nodeLimit);
+    if (multiSolve.solutions) {
+      multiSolve.solutions = multiSolve.solutions.map(
+        (solution) => formatPuzzle(solution, layout, output).output
+      );
+    }
+
+    return multiSolve;
+  }
+
+  puzzle = read.puzzle || ".".repeat(layout.cellCount);
+
+  // Attempt to solve the puzzle. Calling 'solve' will validate the puzzle string, first.
+  // The result also reports whether the solution is unique, along with the number of
+  // solutions found (capped at the solver's solution count limit).
+  const solve = solver.solve(puzzle, true, engine, null, nodeLimit);
+  if (solve.error) {
+    return solve;
+  }
+
+  solve.solution = formatPuzzle(solve.solution, layout, output).output;
+  return solve;
+};
+
+/**
+ * Solves the puzzle described by the given request body, following the grid
+ * layout and rules it gives, and reports each step of the search as it is taken,
+ * as for the '/api/solve/stream' route.
+ *
+ * @param {object} body The request body.
+ * @param {number} nodeLimit The most nodes the search may visit before giving up
+ * with an error. Defaults to no limit.
+ * @param {function} report A function called with each batch of @a TraceStep
+ * objects, in order.
+ * @returns {object} The solve result, along with the number of steps the search
+ * took, and whether only some were reported, or an error.
+ */
+const tracePuzzle = (body, nodeLimit = Infinity, report = () => {}) => {
+  // Make sure a puzzle was provided.
+  const { puzzle, engine = "backtrack" } = body;
+  if (!puzzle) {
+    return { error: "Required field missing" };
+  }
+
+  // Find the solver for the requested grid layout.
+  const { solver, error } = getSolvers(body);
+  if (error) {
+    return { error };
+  }
+
+  // Read the puzzle into a puzzle string.
+  const read = parsePuzzle(puzzle, solver.layout);
+  if (read.error) {
+    return { error: read.error };
+  }
+
+  // Solve the puzzle, reporting the steps in batches as the search takes them.
+  // Calling 'solve' will validate the puzzle string, first.
+  let steps = 0;
+  let batch = [];
+  const trace = (step) => {
+    if (steps < MAX_TRACE_STEPS) {
+      batch.push(step);
+      if (batch.length === TRACE_BATCH_SIZE) {
+        report(batch);
+        batch = [];
+      }
+    }
+    ++steps;
+  };
+  const solve = solver.solve(read.puzzle, true, engine, trace, nodeLimit);
+  if (batch.length > 0) {
+    report(batch);
+  }
+
+  if (solve.error) {
+    return solve;
+  }
+
+  // Report how many steps the search took, and whether only some were sent.
+  return {
+    ...solve,
+    steps,
+    ...(steps > MAX_TRACE_STEPS ? { truncated: true } : {}),
+  };
+};
+
+/**
+ * Generates a puzzle with the options given by the request body, following the
+ * grid layout and rules it gives, as for the '/api/generate' route.
+ *
+ * @param {object} body The request body.
+ * @param {number} nodeLimit The most nodes each search for a solution may visit
+ * before giving up with an error. Defaults to no limit.
+ * @returns {GenerateResult} The result of the generation.
+ */
+const generatePuzzle = (body, nodeLimit = Infinity) => {
+  // Pull the generation options from the request body. All of them are optional.
+  const { difficulty, symmetry } = body;
+  let { minClues, maxClues, killer, seed } = body;
+
+  // Clue counts may arrive as strings from form submissions, so convert them
+  // into numbers if they were given.
+  if (minClues !== undefined) {
+    minClues = Number(minClues);
+  }
+  if (maxClues !== undefined) {
+    maxClues = Number(maxClues);
+  }
+
+  // Likewise, the killer flag and the seed may arrive as strings.
+  killer = killer === true || killer === "true";
+  if (seed !== undefined) {
+    seed = Number(seed);
+  }
+
+  // Find the solver for the requested grid layout.
+  const { solver, error } = getSolvers(body);
+  if (error) {
+    return { error };
+  }
+
+  // Attempt to generate the puzzle. Calling 'generatePuzzle' will validate the
+  // options, first.
+  return solver.generatePuzzle({
+    difficulty,
+    symmetry,
+    minClues,
+    maxClues,
+    killer,
+    seed,
+    nodeLimit,
+  });
+};
+
+/**
+ * Finds the logical solver for the grid layout and rules given by the request
+ * body, and reads the puzzle it gives into a puzzle string.
+ *
+ * @param {object} body The request body.
+ * @returns {{logicalSolver: LogicalSolver, puzzle: string, error: string}} The
+ * logical solver and the puzzle string, or an error.
+ */
+const readLogicalPuzzle = (body) => {
+  // Make sure a puzzle was provided.
+  const { puzzle } = body;
+  if (!puzzle) {
+    return { error: "Required field missing" };
+  }
+
+  // Find the logical solver for the requested grid layout.
+  const { logicalSolver, error } = getSolvers(body);
+  if (error) {
+    return { error };
+  }
+
+  // Read the puzzle into a puzzle string.
+  const read = parsePuzzle(puzzle, logicalSolver.layout);
+  if (read.error) {
+    return { error: read.error };
+  }
+
+  return { logicalSolver, puzzle: read.puzzle };
+};
+
+/**
+ * Solves the puzzle described by the given request body as far as logic allows,
+ * following the grid layout and rules it gives, as for the '/api/explain' route.
+ *
+ * @param {object} body The request body.
+ * @returns {ExplainResult} The explanation, or an error.
+ */
+const explainPuzzle = (body) => {
+  const { logicalSolver, puzzle, error } = readLogicalPuzzle(body);
+  if (error) {
+    return { error };
+  }
+
+  // Solve the puzzle step by step. Calling 'explain' will validate the puzzle
+  // string, first.
+  return logicalSolver.explain(puzzle);
+};
+
+/**
+ * Finds the next deduction which can be made on the puzzle described by the
+ * given request body, following the grid layout and rules it gives, as for the
+ * '/api/hint' route.
+ *
+ * @param {object} body The request body.
+ * @returns {{hint: Deduction, error: string}} The next deduction, or an error.
+ */
+const hintPuzzle = (body) => {
+  const { logicalSolver, puzzle, error } = readLogicalPuzzle(body);
+  if (error) {
+    return { error };
+  }
+
+  // Find the next deduction. Calling 'hint' will validate the puzzle string,
+  // first.
+  return logicalSolver.hint(puzzle);
+};
+
+/**
+ * Rates the difficulty of the puzzle described by the given request body,
+ * following the grid layout and rules it gives, as for the '/api/rate' route.
+ *
+ * @param {object} body The request body.
+ * @param {number} nodeLimit The most nodes the search for a solution may visit
+ * before giving up with an error. Defaults to no limit.
+ * @returns {RateResult} The rating, or an error.
+ */
+const ratePuzzle = (body, nodeLimit = Infinity) => {
+  const { logicalSolver, puzzle, error } = readLogicalPuzzle(body);
+  if (error) {
+    return { error };
+  }
+
+  // Rate the puzzle. Calling 'rate' will validate the puzzle string, first.
+  return logicalSolver.rate(puzzle, nodeLimit);
+};
+
+/**
+ * Explains why the puzzle described by the given request body cannot be solved,
+ * following the grid layout and rules it gives, as for the '/api/diagnose'
+ * route.
+ *
+ * @param {object} body The request body.
+ * @param {number} nodeLimit The most nodes each search may visit before giving
+ * up with an error. Defaults to no limit.
+ * @returns {DiagnoseResult} The diagnosis, or an error.
+ */
+const diagnosePuzzle = (body, nodeLimit = Infinity) => {
+  // Make sure a puzzle was provided. A Killer Sudoku puzzle may be given by its
+  // cages alone.
+  const { puzzle, cages } = body;
+  if (!puzzle && !cages) {
+    return { error: "Required field missing" };
+  }
+
+  // Find the solver for the requested grid layout.
+  const { solver, error } = getSolvers(body);
+  if (error) {
+    return { error };
+  }
+
+  // Read the puzzle into a puzzle string.
+  const { layout } = solver;
+  const read = puzzle ? parsePuzzle(puzzle, layout) : {};
+  if (read.error) {
+    return { error: read.error };
+  }
+
+  // Diagnose the puzzle. Calling 'diagnose' will validate the puzzle string,
+  // first.
+  return solver.diagnose(
+    read.puzzle || ".".repeat(layout.cellCount),
+    nodeLimit
+  );
+};
+
+/**
+ * The requests a solver worker can carry out, each a function taking the
+ * request body, the search node limit and a function to report progress with,
+ * and returning the result.
+ */
+const TASKS = {
+  solve: solvePuzzle,
+  trace: tracePuzzle,
+  generate: generatePuzzle,
+  explain: explainPuzzle,
+  hint: hintPuzzle,
+  rate: ratePuzzle,
+  diagnose: diagnosePuzzle,
+  analyse: (body, nodeLimit) => PuzzleLibrary.analyse(body, nodeLimit),
+};
+
+module.exports = {
+  getSolvers,
+  readPuzzles,
+  checkPlacement,
+  solvePuzzle,
+  tracePuzzle,
+  generatePuzzle,
+  explainPuzzle,
+  hintPuzzle,
+  ratePuzzle,
+  diagnosePuzzle,
+  TASKS,
+};
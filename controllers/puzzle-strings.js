@@ -1,4 +1,4 @@
-export const puzzlesAndSolutions = [
+const puzzlesAndSolutions = [
   [
     '1.5..2.84..63.12.7.2..5.....9..1....8.2.3674.3.7.2..9.47...8..1..16....926914.37.',
     '135762984946381257728459613694517832812936745357824196473298561581673429269145378'
@@ -20,3 +20,5 @@ export const puzzlesAndSolutions = [
     '827549163531672894649831527496157382218396475753284916962415738185763249374928651'
   ]
 ];
+
+module.exports = { puzzlesAndSolutions };
@@ -0,0 +1,106 @@
+/**
+ * @file controllers/random.js
+ *
+ * Contains a seedable pseudo-random number generator, so that anything generated
+ * from a seed, such as a puzzle, can be generated again from the same seed.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * The number of distinct seeds. Seeds are unsigned 32-bit integers.
+ */
+const SEED_COUNT = 2 ** 32;
+
+/**
+ * A seedable pseudo-random number generator, using the Mulberry32 algorithm. The
+ * same seed always produces the same sequence of numbers, on any machine.
+ */
+class Random {
+  /**
+   * @param {number} seed The seed, an integer from 0 up to, but not including,
+   * 2^32. Defaults to a new random seed.
+   */
+  constructor(seed = Random.createSeed()) {
+    this.seed = seed;
+    this.state = seed;
+  }
+
+  /**
+   * Creates a new random seed.
+   *
+   * @returns {number} The seed.
+   */
+  static createSeed() {
+    return crypto.randomInt(SEED_COUNT);
+  }
+
+  /**
+   * Checks to see if the given value may be used as a seed.
+   *
+   * @param {*} seed The value to check.
+   * @returns {boolean} True if the value is a valid seed.
+   */
+  static isSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed < SEED_COUNT;
+  }
+
+  /**
+   * Derives a seed from the given text, using the 32-bit FNV-1a hash, so that
+   * the same text always gives the same seed.
+   *
+   * @param {string} text The text to derive the seed from.
+   * @returns {number} The seed.
+   */
+  static seedFrom(text) {
+    let hash = 0x811c9dc5;
+    for (const char of text) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+
+    return hash;
+  }
+
+  /**
+   * Generates the next number in the sequence.
+   *
+   * @returns {number} A number from 0 up to, but not including, 1.
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_COUNT;
+  }
+
+  /**
+   * Generates a random integer between the given lower- and upper-bound range,
+   * both inclusive.
+   *
+   * @param {number} min The lower-bound value.
+   * @param {number} max The upper-bound value.
+   * @returns {number} The randomly-generated integer.
+   */
+  integer(min, max) {
+    return Math.floor(this.next() * (max - min + 1) + min);
+  }
+
+  /**
+   * Returns a copy of the given array with its elements in a random order.
+   *
+   * @param {Array} array The array to shuffle.
+   * @returns {Array} The shuffled copy of the array.
+   */
+  shuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; --i) {
+      const j = this.integer(0, i);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+}
+
+module.exports = Random;
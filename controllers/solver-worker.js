@@ -0,0 +1,29 @@
+/**
+ * @file controllers/solver-worker.js
+ *
+ * Contains the script run by each worker of the solver pool. Each message is a
+ * request to carry out, as {type, body, nodeLimit}, and is answered with its
+ * result. Requests which report on their progress, such as a traced solve, send
+ * it beforehand as {progress}.
+ */
+
+const { parentPort } = require("worker_threads");
+const { TASKS } = require("./puzzle-requests.js");
+
+parentPort.on("message", ({ type, body, nodeLimit }) => {
+  if (Object.prototype.hasOwnProperty.call(TASKS, type) === false) {
+    return parentPort.postMessage({ error: "Invalid task" });
+  }
+
+  // An unexpected failure only fails this request, rather than the worker.
+  let result;
+  try {
+    result = TASKS[type](body, nodeLimit, (progress) =>
+      parentPort.postMessage({ progress })
+    );
+  } catch (err) {
+    result = { error: "Could not complete the request" };
+  }
+
+  return parentPort.postMessage(result);
+});
@@ -4,6 +4,12 @@
  * Contains a class with functions that validate and solve sudoku puzzles.
  */
 
+const DancingLinks = require("./dancing-links.js");
+const GridLayout = require("./grid-layout.js");
+const MultiGridLayout = require("./multi-grid.js");
+const Random = require("./random.js");
+const { resolveCages } = require("./constraints.js");
+
 /**
  * @typedef ValidateResult
  * @brief The return value of the @a SudokuSolver.validate method.
@@ -20,6 +26,15 @@
  * @property {string} error Contains an error if one has occured.
  */
 
+/**
+ * @typedef CheckConstraintsResult
+ * @brief The return value of the @a SudokuSolver's 'checkConstraintPlacement' method.
+ * @type {object}
+ * @property {boolean} valid True if the placement breaks none of the extra rules.
+ * @property {string[]} conflict The names of the rules the placement breaks.
+ * @property {string} error Contains an error if one has occured.
+ */
+
 /**
  * @typedef CheckSolvedResult
  * @brief The return value of the @a SudokuSolver's 'checkSolve' method.
@@ -30,132 +45,1103 @@
  */
 
 /**
- * Generates a random number between the given lower- and upper-bound range,
- * both inclusive.
+ * @typedef Conflict
+ * @brief Two cells whose values may not appear together.
+ * @type {object}
+ * @property {string[]} cells The two cells, in letter-and-number notation.
+ * @property {string} unit The unit the cells share: 'row', 'column' or 'region',
+ * or else the name of the extra rule relating them.
+ */
+
+/**
+ * @typedef FindConflictsResult
+ * @brief The return value of the @a SudokuSolver's 'findConflicts' method.
+ * @type {object}
+ * @property {Conflict[]} conflicts Every conflict on the board.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef CountSolutionsResult
+ * @brief The return value of the @a SudokuSolver's 'countSolutions' method.
+ * @type {object}
+ * @property {number} count The number of solutions found, capped at the limit given.
+ * @property {string[]} solutions The solutions which were found.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef SolveResult
+ * @brief The return value of the @a SudokuSolver's 'solve' method.
+ * @type {object}
+ * @property {string} solution The first solution found for the puzzle.
+ * @property {boolean} unique True if the puzzle has exactly one solution.
+ * @property {number} solutionCount The number of solutions found, capped at
+ * @a SOLUTION_COUNT_LIMIT.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef DiagnoseResult
+ * @brief The return value of the @a SudokuSolver's 'diagnose' method.
+ * @type {object}
+ * @property {boolean} solvable True if the puzzle has a solution.
+ * @property {string} reason Why the puzzle cannot be solved: 'duplicate-givens',
+ * 'no-candidates', 'no-place' or 'contradiction'.
+ * @property {string} explanation The reason, described in words.
+ * @property {Conflict[]} conflicts The pairs of givens which conflict, for
+ * 'duplicate-givens'.
+ * @property {string} cell The cell left with no candidates, for 'no-candidates'.
+ * @property {string} value The symbol with nowhere to go, for 'no-place'.
+ * @property {string} unit The unit it has nowhere to go in, for 'no-place': 'row',
+ * 'column' or 'region', or else the name of the extra rule the unit belongs to.
+ * @property {string[]} cells The cells of that unit, for 'no-place'.
+ * @property {string[]} givens A set of givens which together leave the puzzle
+ * with no solution, and from which no given can be left out, for
+ * 'contradiction'.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef TraceStep
+ * @brief A single step of the search, as passed to the trace function given to
+ * the @a SudokuSolver's 'solve' method.
+ * @type {object}
+ * @property {string} type One of 'candidates', 'place', 'backtrack' or
+ * 'solution'. The search lists the candidates of the cell it branches on, places
+ * each of them in turn, and takes back each placement which led nowhere. Each
+ * solution is reported as it is reached.
+ * @property {string} cell The cell, in letter-and-number notation. Not given for
+ * a solution.
+ * @property {number[]} candidates The candidates of the cell, in the order they
+ * will be tried. An empty list means the search has reached a dead end.
+ * @property {number} value The value placed or taken back.
+ * @property {string} solution The solution found.
+ */
+
+/**
+ * @typedef MultiGridSolveResult
+ * @brief The return value of the @a SudokuSolver's 'solveMultiGrid' method.
+ * @type {object}
+ * @property {string[]} solutions The first solution found, as the solution of
+ * each grid in the order given.
+ * @property {boolean} unique True if the puzzle has exactly one solution.
+ * @property {number} solutionCount The number of solutions found, capped at
+ * @a SOLUTION_COUNT_LIMIT.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * @typedef MultiGridCheckResult
+ * @brief The return value of the @a SudokuSolver's 'checkMultiGridPlacement' method.
+ * @type {object}
+ * @property {boolean} valid True if the placement is valid in every grid.
+ * @property {string[]} conflict The types of unit the placement conflicts with,
+ * in any grid.
+ * @property {{grid: number, coordinate: string, conflict: string[]}[]} grids For
+ * each grid in which the placement conflicts, the index of the grid, the cell's
+ * coordinate within it, and the types of unit the placement conflicts with.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * The maximum number of solutions the solver will search for before it stops
+ * counting.
+ */
+const SOLUTION_COUNT_LIMIT = 10;
+
+/**
+ * @typedef GenerateOptions
+ * @brief The options accepted by the @a SudokuSolver's 'generatePuzzle' method.
+ * @type {object}
+ * @property {string} difficulty One of 'easy', 'medium', 'hard' or 'expert', as
+ * rated by the @a LogicalSolver.
+ * @property {number} minClues The fewest clues the puzzle may have. Defaults to
+ * the lower bound of the difficulty's clue range.
+ * @property {number} maxClues The most clues the puzzle may have. Defaults to
+ * the upper bound of the difficulty's clue range.
+ * @property {string} symmetry One of 'none', 'rotational', 'mirror' or 'diagonal'.
+ * @property {boolean} killer True to generate a Killer Sudoku puzzle, whose cages
+ * are returned alongside it. Its clues are removed for as long as the puzzle
+ * stays uniquely solvable, and default to a range of just a few.
+ * @property {number} seed The seed of the random number generator, an integer
+ * from 0 up to, but not including, 2^32. The same seed and options always
+ * generate the same puzzle. Defaults to a new random seed.
+ * @property {number} nodeLimit The most nodes each search for a solution may
+ * visit before giving up, failing the generation with an error. Defaults to no
+ * limit.
+ */
+
+/**
+ * @typedef GenerateResult
+ * @brief The return value of the @a SudokuSolver's 'generatePuzzle' method.
+ * @type {object}
+ * @property {string} puzzle The generated puzzle string.
+ * @property {string} solution The unique solution of the generated puzzle.
+ * @property {string} difficulty The difficulty of the puzzle, as rated by the
+ * @a LogicalSolver. This is the requested difficulty, unless no puzzle could be
+ * generated at it, in which case the hardest puzzle found below it is given.
+ * Killer Sudoku puzzles are not rated, and give the requested difficulty.
+ * @property {string} symmetry The symmetry of the puzzle's clues.
+ * @property {number} clues The number of clues in the puzzle.
+ * @property {Cage[]} cages The cages of a Killer Sudoku puzzle.
+ * @property {number} seed The seed the puzzle was generated from.
+ * @property {string} error Contains an error if one has occured.
+ */
+
+/**
+ * The fewest clues a 9x9 Sudoku puzzle can have while still having a unique
+ * solution.
+ */
+const MINIMUM_CLUES = 17;
+
+/**
+ * The number of solved grids the generator will try for a 9x9 puzzle before
+ * giving up on the requested options. Few grids dig down to a puzzle needing a
+ * given set of techniques, so many are tried. Larger grids take longer to try,
+ * so fewer of them are.
+ */
+const GENERATE_ATTEMPTS = 100;
+
+/**
+ * The number of nodes the first search for a random solved grid may visit before
+ * it is restarted with other random choices. Under rules which few grids meet,
+ * such as anti-knight with diagonals, a search can go astray early and take
+ * seconds to recover, whereas a fresh one often finds a grid at once.
+ */
+const FILL_RESTART_NODES = 1000;
+
+/**
+ * The number of restarts after which the node budget of each search for a random
+ * solved grid doubles, so that a grid needing a longer search is still found,
+ * and one which has none is still given up on.
+ */
+const FILL_RESTARTS_PER_DOUBLING = 10;
+
+/**
+ * The default range of clues, both inclusive, for each puzzle difficulty. These
+ * are given for 9x9 puzzles, and are scaled for other grid sizes.
+ */
+const DIFFICULTY_CLUE_RANGES = {
+  easy: [36, 45],
+  medium: [26, 35],
+  hard: [22, 31],
+  expert: [22, 25],
+};
+
+/**
+ * The puzzle difficulties, from easiest to hardest, as rated by the
+ * @a LogicalSolver.
+ */
+const DIFFICULTY_LEVELS = ["easy", "medium", "hard", "expert"];
+
+/**
+ * The most clues a generated 9x9 Killer Sudoku puzzle keeps by default. Random
+ * cages seldom pin down a single solution on their own, so a few clues may be
+ * needed alongside them.
+ */
+const KILLER_MAX_CLUES = 4;
+
+/**
+ * The most nodes each search checking that a Killer Sudoku puzzle still has one
+ * solution, once clues are removed from it, may visit. Cages leave some of these
+ * searches long, so clues whose removal cannot be checked in time are kept.
+ */
+const KILLER_CHECK_NODES = 5000;
+
+/**
+ * The largest cage the generator builds for Killer Sudoku puzzles of each
+ * difficulty. Larger cages give away less about the digits inside them.
+ */
+const KILLER_CAGE_SIZES = {
+  easy: 3,
+  medium: 4,
+  hard: 5,
+  expert: 5,
+};
+
+/**
+ * For each supported symmetry, a function mapping a cell index, in a grid of
+ * the given size, to the index of the cell mirroring it.
+ */
+const SYMMETRY_PARTNERS = {
+  none: (cell) => cell,
+  rotational: (cell, size) => size * size - 1 - cell,
+  mirror: (cell, size) =>
+    size * Math.floor(cell / size) + (size - 1 - (cell % size)),
+  diagonal: (cell, size) => size * (cell % size) + Math.floor(cell / size),
+};
+
+/**
+ * Scales a clue count given for a 9x9 puzzle to a grid of the given layout, in
+ * proportion to its number of cells.
+ *
+ * @param {number} clues The clue count for a 9x9 puzzle.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {number} The scaled clue count.
+ */
+const scaleClues = (clues, layout) =>
+  Math.round((clues * layout.cellCount) / 81);
+
+/**
+ * Scales a difficulty's clue count given for a 9x9 puzzle to a grid of the given
+ * layout. Grids larger than 9x9 need proportionally more clues to keep a unique
+ * solution, so their counts are raised further as the grid grows.
+ *
+ * @param {number} clues The clue count for a 9x9 puzzle.
+ * @param {GridLayout} layout The layout of the grid.
+ * @returns {number} The scaled clue count.
+ */
+const scaleDifficultyClues = (clues, layout) =>
+  Math.min(
+    layout.cellCount,
+    Math.round(scaleClues(clues, layout) * Math.max(1, layout.size / 9) ** 0.6)
+  );
+
+/**
+ * Splits the given solved grid into random cages. Each cage is grown from a
+ * random cell into orthogonally-adjacent cells holding different digits, until
+ * it reaches a random size no larger than the one given.
+ *
+ * A cage of one cell would give its digit away, so a cell left on its own is
+ * merged into the smallest adjacent cage without its digit, which may take that
+ * cage one cell past the size given. Should every adjacent cage hold its digit,
+ * the grid is split again.
+ *
+ * @param {string|string[]} solution The solved grid.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {number} maxSize The most cells a cage may have.
+ * @param {Random} random The random number generator to use.
+ * @returns {Cage[]} The cages, covering every cell of the grid.
+ */
+const createCages = (solution, layout, maxSize, random) => {
+  const { size, cellCount } = layout;
+
+  const adjacent = (cell) => {
+    const [row, col] = layout.cellUnits[cell];
+    return [
+      row > 0 ? cell - size : -1,
+      row < size - 1 ? cell + size : -1,
+      col > 0 ? cell - 1 : -1,
+      col < size - 1 ? cell + 1 : -1,
+    ].filter((other) => other !== -1);
+  };
+
+  for (;;) {
+    const cageOf = new Array(cellCount).fill(-1);
+    const groups = [];
+
+    for (const start of random.shuffle([...Array(cellCount).keys()])) {
+      if (cageOf[start] !== -1) {
+        continue;
+      }
+
+      const cells = [start];
+      cageOf[start] = groups.length;
+
+      const targetSize = random.integer(2, maxSize);
+      while (cells.length < targetSize) {
+        const used = cells.map((cell) => solution[cell]);
+        const options = cells
+          .flatMap(adjacent)
+          .filter(
+            (other) => cageOf[other] === -1 && !used.includes(solution[other])
+          );
+        if (options.length === 0) {
+          break;
+        }
+
+        const next = options[random.integer(0, options.length - 1)];
+        cageOf[next] = groups.length;
+        cells.push(next);
+      }
+
+      groups.push(cells);
+    }
+
+    // Merge each cell left on its own into an adjacent cage.
+    let merged = true;
+    for (const [index, cells] of groups.entries()) {
+      if (cells.length !== 1) {
+        continue;
+      }
+
+      const [cell] = cells;
+      const options = adjacent(cell)
+        .map((other) => groups[cageOf[other]])
+        .filter(
+          (group) =>
+            group.length > 1 &&
+            group.every((other) => solution[other] !== solution[cell])
+        );
+      if (options.length === 0) {
+        merged = false;
+        break;
+      }
+
+      const group = options.reduce((smallest, option) =>
+        option.length < smallest.length ? option : smallest
+      );
+      group.push(cell);
+      cageOf[cell] = cageOf[group[0]];
+      groups[index] = [];
+    }
+
+    if (merged === false) {
+      continue;
+    }
+
+    return groups
+      .filter((cells) => cells.length > 0)
+      .map((cells) => {
+        cells.sort((a, b) => a - b);
+        return {
+          cells: cells.map((cell) => layout.cellName(cell)),
+          sum: cells.reduce(
+            (sum, cell) => sum + layout.valueOf(solution[cell]),
+            0
+          ),
+        };
+      });
+  }
+};
+
+/**
+ * @typedef Board
+ * @brief The working state of the solver: the digit in each cell, along with a
+ * bitmask of the digits used in each row, column and region. Bit 'd' of a mask
+ * is set if the digit 'd' has been placed in that unit.
+ * @type {object}
+ * @property {GridLayout} layout The layout of the grid.
+ * @property {Uint8Array} cells The digit in each cell, or zero if it is empty.
+ * @property {Uint32Array} used The mask of digits used in each of the layout's
+ * units, in the order of 'layout.units.all'.
+ * @property {number} allDigits A mask with the bit of every digit in the grid set.
+ * @property {Constraint[]} constraints The extra rules the grid must follow.
+ * @property {number[][]} units The units searched for hidden singles: the rows,
+ * columns and regions, along with any units of the extra rules.
+ * @property {boolean} conflict True if any two given cells conflict.
+ * @property {number} nodes The number of nodes the search has visited so far.
+ * @property {number} nodeLimit The most nodes the search may visit before giving
+ * up.
+ */
+
+/**
+ * Counts the bits set in the given digit mask.
  *
- * @param {number} min The lower-bound value.
- * @param {number} max The upper-bound value.
- * @returns The randomly-generated number
+ * @param {number} mask The digit mask.
+ * @returns {number} The number of digits in the mask.
  */
-const getRandomValue = (min, max) => {
-  return Math.floor(Math.random() * (max - min + 1) + min);
+const countDigits = (mask) => {
+  let count = 0;
+  for (; mask !== 0; mask &= mask - 1) {
+    ++count;
+  }
+
+  return count;
 };
 
 /**
- * Converts the given row letter and column number into a base-zero X and Y coordinate,
- * and retrieves the cell, as well.
+ * Lists the digits in the given digit mask, in ascending order.
  *
- * @param {string} rowLetter A letter, between A and I, representing the row.
- * @param {number} colNumber A number, between 1 and 9, representing the column.
- * @return {number[]|boolean} The converted X and Y coordinate and cell number, or false if the row letter or
- * column number is invalid.
+ * @param {number} mask The digit mask.
+ * @returns {number[]} The digits in the mask.
  */
-const toBaseZeroCoordinate = (rowLetter, colNumber) => {
-  const capiatalACode = "A".charCodeAt();
-  const rowCoord = rowLetter.charCodeAt() - capiatalACode;
-  const colCoord = colNumber - 1;
+const maskToDigits = (mask) => {
+  const digits = [];
+  for (let digit = 1; mask >> digit !== 0; ++digit) {
+    if (mask & (1 << digit)) {
+      digits.push(digit);
+    }
+  }
 
-  if (rowCoord < 0 || rowCoord > 8 || colCoord < 0 || colCoord > 8) {
-    return false;
+  return digits;
+};
+
+/**
+ * Places the given digit into the given cell of the board.
+ *
+ * @param {Board} board The board.
+ * @param {number} cell The index of the cell.
+ * @param {number} digit The digit to place.
+ */
+const placeDigit = (board, cell, digit) => {
+  const bit = 1 << digit;
+  board.cells[cell] = digit;
+  for (const unit of board.layout.unitsOf[cell]) {
+    board.used[unit] |= bit;
+  }
+};
+
+/**
+ * Removes the digit in the given cell of the board.
+ *
+ * @param {Board} board The board.
+ * @param {number} cell The index of the cell.
+ */
+const clearDigit = (board, cell) => {
+  const mask = ~(1 << board.cells[cell]);
+  board.cells[cell] = 0;
+  for (const unit of board.layout.unitsOf[cell]) {
+    board.used[unit] &= mask;
+  }
+};
+
+/**
+ * Returns the mask of digits which can be placed in the given cell of the board.
+ *
+ * @param {Board} board The board.
+ * @param {number} cell The index of the cell.
+ * @returns {number} The mask of candidate digits.
+ */
+const candidateMask = (board, cell) => {
+  let mask = board.allDigits;
+  for (const unit of board.layout.unitsOf[cell]) {
+    mask &= ~board.used[unit];
+  }
+
+  // Remove the digits forbidden by the extra rules' neighbours of the cell, and
+  // any the rules otherwise do not allow.
+  for (const { neighbours, forbids, allows } of board.constraints) {
+    for (const neighbour of neighbours[cell]) {
+      if (board.cells[neighbour] !== 0) {
+        mask &= ~forbids(board.cells[neighbour]);
+      }
+    }
+
+    if (allows !== undefined) {
+      mask &= allows(board.cells, cell);
+    }
+  }
+
+  return mask;
+};
+
+/**
+ * Creates a board from the given puzzle string or array.
+ *
+ * @param {string|string[]} puzzleString The puzzle string or array.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {Constraint[]} constraints The extra rules the grid must follow.
+ * @returns {Board} The board.
+ */
+const createBoard = (puzzleString, layout, constraints = []) => {
+  const board = {
+    layout,
+    cells: new Uint8Array(layout.cellCount),
+    used: new Uint32Array(layout.units.all.length),
+    allDigits: (1 << (layout.size + 1)) - 2,
+    constraints,
+    units: [
+      ...layout.units.all,
+      ...constraints.flatMap((constraint) => constraint.units),
+    ],
+    conflict: false,
+    nodes: 0,
+    nodeLimit: Infinity,
+  };
+
+  for (let cell = 0; cell < layout.cellCount; ++cell) {
+    const digit = layout.valueOf(puzzleString[cell]);
+    if (digit <= 0) {
+      continue;
+    }
+
+    if ((candidateMask(board, cell) & (1 << digit)) === 0) {
+      board.conflict = true;
+    }
+
+    placeDigit(board, cell, digit);
+  }
+
+  return board;
+};
+
+/**
+ * Converts the given board into a puzzle string.
+ *
+ * @param {Board} board The board.
+ * @returns {string} The puzzle string.
+ */
+const boardToString = (board) =>
+  Array.from(board.cells, (digit) => board.layout.symbolOf(digit)).join("");
+
+/**
+ * Finds the hidden single with the given unit: a digit which has not yet been
+ * placed in the unit, and which can go in only one of its cells.
+ *
+ * @param {Board} board The board.
+ * @param {number[]} cells The indices of the cells in the unit.
+ * @returns {{cell: number, mask: number, count: number}|null} The cell and the
+ * mask of its only digit; a count of zero if some digit cannot go anywhere in
+ * the unit; or null if there is no hidden single.
+ */
+const findHiddenSingle = (board, cells) => {
+  let placed = 0;
+  let seenOnce = 0;
+  let seenTwice = 0;
+  for (const cell of cells) {
+    if (board.cells[cell] !== 0) {
+      placed |= 1 << board.cells[cell];
+    } else {
+      const mask = candidateMask(board, cell);
+      seenTwice |= seenOnce & mask;
+      seenOnce |= mask;
+    }
+  }
+
+  if ((placed | seenOnce) !== board.allDigits) {
+    return { cell: cells[0], mask: 0, count: 0 };
+  }
+
+  const hidden = seenOnce & ~seenTwice;
+  if (hidden === 0) {
+    return null;
+  }
+
+  const bit = hidden & -hidden;
+  const cell = cells.find(
+    (cell) => board.cells[cell] === 0 && candidateMask(board, cell) & bit
+  );
+  return { cell, mask: bit, count: 1 };
+};
+
+/**
+ * Finds the empty cell on the board with the fewest candidates. Should no cell
+ * be down to a single candidate, a hidden single is looked for instead, and
+ * returned as a cell with that one candidate.
+ *
+ * @param {Board} board The board.
+ * @returns {{cell: number, mask: number, count: number}|false} The cell, its
+ * candidate mask and the number of candidates, or false if the board is full.
+ */
+const findMostConstrainedCell = (board) => {
+  let best = false;
+  for (let cell = 0; cell < board.cells.length; ++cell) {
+    if (board.cells[cell] !== 0) {
+      continue;
+    }
+
+    const mask = candidateMask(board, cell);
+    const count = countDigits(mask);
+    if (best === false || count < best.count) {
+      best = { cell, mask, count };
+
+      // A cell with one candidate or fewer cannot be beaten.
+      if (count <= 1) {
+        return best;
+      }
+    }
+  }
+
+  if (best !== false) {
+    for (const cells of board.units) {
+      const single = findHiddenSingle(board, cells);
+      if (single !== null) {
+        return single;
+      }
+    }
   }
 
-  return [colCoord, rowCoord, 9 * rowCoord + colCoord];
+  return best;
 };
 
 /**
- * Converts the given cell index number into a letter-and-number notation
- * coordinate.
+ * Recursively searches the board for solutions, always branching on the most
+ * constrained empty cell. Cells with a single candidate are thereby filled in
+ * before any guess is made, and cells with none end the branch at once.
  *
- * @param {number} cellNumber The index of the cell in the puzzle string.
- * @returns {[string, number]} The letter-and-number notation coordinate.
+ * @param {Board} board The board. It is modified in place, but restored before
+ * this function returns.
+ * @param {number} limit The maximum number of solutions to collect.
+ * @param {string[]} solutions The array to collect the solutions into.
+ * @param {function} order A function ordering the candidate digits to try.
+ * @param {function} trace A function called with each @a TraceStep of the
+ * search, or null.
+ * @returns {string[]} The solutions found so far. The search stops early once it
+ * has visited more than the board's node limit.
  */
-const toLetterNumberCoordinate = (cellNumber) => {
-  const rowLetters = "ABCDEFGHI";
+const searchBoard = (
+  board,
+  limit,
+  solutions,
+  order = (digits) => digits,
+  trace = null
+) => {
+  if (++board.nodes > board.nodeLimit) {
+    return solutions;
+  }
+
+  const next = findMostConstrainedCell(board);
+  if (next === false) {
+    const solution = boardToString(board);
+    solutions.push(solution);
+    if (trace !== null) {
+      trace({ type: "solution", solution });
+    }
+    return solutions;
+  }
+
+  const { cell, mask } = next;
+  const name = trace === null ? null : board.layout.cellName(cell);
+  const digits = order(maskToDigits(mask));
+  if (trace !== null) {
+    trace({ type: "candidates", cell: name, candidates: digits });
+  }
+
+  for (const digit of digits) {
+    placeDigit(board, cell, digit);
+    if (trace !== null) {
+      trace({ type: "place", cell: name, value: digit });
+    }
+
+    searchBoard(board, limit, solutions, order, trace);
+    clearDigit(board, cell);
+
+    if (solutions.length >= limit || board.nodes > board.nodeLimit) {
+      break;
+    }
 
-  // return `${rowLetters[Math.floor(cellNumber / 9)]}${(cellNumber % 9) + 1}`;
-  return [rowLetters[Math.floor(cellNumber / 9)], (cellNumber % 9) + 1];
+    if (trace !== null) {
+      trace({ type: "backtrack", cell: name, value: digit });
+    }
+  }
+
+  return solutions;
 };
 
+/**
+ * Searches for solutions to the given puzzle by treating it as an exact cover
+ * problem, and solving that with dancing links.
+ *
+ * Each row places one digit into one cell: 729 of them in a 9x9 grid. Each
+ * column is one constraint which must be met exactly once: every cell holds a
+ * digit, and every row, column and region holds each digit. A 9x9 grid has 324
+ * of them.
+ *
+ * Extra rules add a column for each of their units and digits, in the same way.
+ * Rules relating pairs of cells add a secondary column for each related pair of
+ * cells and each pair of digits they may not hold together.
+ *
+ * @param {string|string[]} puzzleString The puzzle string or array.
+ * @param {number} limit The maximum number of solutions to collect.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {Constraint[]} constraints The extra rules the grid must follow.
+ * @param {SearchOptions} options The options of the search.
+ * @returns {string[]|null} The solutions found, or null if the search reached
+ * its node limit first.
+ */
+const searchDancingLinks = (
+  puzzleString,
+  limit,
+  layout,
+  constraints = [],
+  { nodeLimit = Infinity } = {}
+) => {
+  const { size, cellCount } = layout;
+  const allDigits = (1 << (size + 1)) - 2;
+
+  // The extra columns covered by the row placing each digit into each cell,
+  // indexed by 'size * cell + digit - 1'.
+  const extraColumns = Array.from({ length: cellCount * size }, () => []);
+  let columnCount = cellCount + size * layout.units.all.length;
+
+  for (const { units } of constraints) {
+    for (const unit of units) {
+      for (let digit = 1; digit <= size; ++digit) {
+        unit.forEach((cell) =>
+          extraColumns[size * cell + digit - 1].push(columnCount)
+        );
+        columnCount++;
+      }
+    }
+  }
+
+  const primaryCount = columnCount;
+  for (const { units, neighbours, forbids } of constraints) {
+    if (units.length > 0) {
+      continue;
+    }
+
+    for (let cell = 0; cell < cellCount; ++cell) {
+      for (const neighbour of neighbours[cell].filter(
+        (other) => other > cell
+      )) {
+        for (let digit = 1; digit <= size; ++digit) {
+          for (const other of maskToDigits(forbids(digit) & allDigits)) {
+            extraColumns[size * cell + digit - 1].push(columnCount);
+            extraColumns[size * neighbour + other - 1].push(columnCount);
+            columnCount++;
+          }
+        }
+      }
+    }
+  }
+
+  const links = new DancingLinks(primaryCount, columnCount - primaryCount);
+  const givenRows = [];
+  for (let cell = 0; cell < cellCount; ++cell) {
+    for (let digit = 1; digit <= size; ++digit) {
+      const node = links.addRow({ cell, digit }, [
+        cell,
+        ...layout.unitsOf[cell].map(
+          (unit) => cellCount + size * unit + digit - 1
+        ),
+        ...extraColumns[size * cell + digit - 1],
+      ]);
+
+      if (layout.valueOf(puzzleString[cell]) === digit) {
+        givenRows.push(node);
+      }
+    }
+  }
+
+  // Select the rows of the given cells up front. If one of them can no longer be
+  // selected, then the givens conflict.
+  for (const node of givenRows) {
+    if (links.select(node) === false) {
+      return [];
+    }
+  }
+
+  const solutions = [];
+  const found = links.search(
+    limit,
+    (rows) => {
+      const solution = [...puzzleString];
+      rows.forEach(
+        ({ cell, digit }) => (solution[cell] = layout.symbolOf(digit))
+      );
+      solutions.push(solution.join(""));
+    },
+    nodeLimit
+  );
+
+  return found === -1 ? null : solutions;
+};
+
+/**
+ * Searches for solutions to the given puzzle by backtracking over the cells'
+ * candidates, as described for @a searchBoard.
+ *
+ * @param {string|string[]} puzzleString The puzzle string or array.
+ * @param {number} limit The maximum number of solutions to collect.
+ * @param {GridLayout} layout The layout of the grid.
+ * @param {Constraint[]} constraints The extra rules the grid must follow.
+ * @param {SearchOptions} options The options of the search.
+ * @returns {string[]|null} The solutions found, or null if the search reached
+ * its node limit first.
+ */
+const searchBacktracking = (
+  puzzleString,
+  limit,
+  layout,
+  constraints = [],
+  { trace = null, nodeLimit = Infinity } = {}
+) => {
+  const board = createBoard(puzzleString, layout, constraints);
+  board.nodeLimit = nodeLimit;
+  const solutions = searchBoard(board, limit, [], undefined, trace);
+  return board.nodes > nodeLimit ? null : solutions;
+};
+
+/**
+ * @typedef SearchOptions
+ * @brief The options of a search engine.
+ * @type {object}
+ * @property {function} trace A function called with each @a TraceStep of the
+ * search, or null. Only the backtracking engine takes a trace function.
+ * @property {number} nodeLimit The most nodes the search may visit before giving
+ * up. Defaults to no limit.
+ */
+
+/**
+ * The search engines the solver may use, each a function taking a puzzle string
+ * or array, a solution limit, the grid layout, its extra rules and the
+ * @a SearchOptions, and returning the solutions it finds.
+ */
+const SEARCH_ENGINES = {
+  backtrack: searchBacktracking,
+  dlx: searchDancingLinks,
+};
+
+/**
+ * The error returned when a search visits more nodes than it may.
+ */
+const NODE_LIMIT_ERROR = "Solve exceeded the search node limit";
+
+/**
+ * The error returned when a search made while generating a puzzle visits more
+ * nodes than it may.
+ */
+const GENERATE_NODE_LIMIT_ERROR = "Generation exceeded the search node limit";
+
 /**
  * A class containing functions used for validating, place-checking and solving
  * sudoku puzzles.
  */
 class SudokuSolver {
   /**
-   * Generates a random Sudoku puzzle string.
-   * @returns {string} The generated puzzle string.
+   * @param {GridLayout} layout The layout of the grids this solver works on.
+   * Defaults to a standard 9x9 grid.
+   * @param {Constraint[]} constraints The extra rules the grids must follow, as
+   * resolved for the layout by @a resolveConstraints.
    */
-  generate() {
-    // An array containing our puzzle.
-    let puzzle = [];
-
-    // An array of the indices which should be hidden.
-    let hidden = [];
-
-    // Iterate over each cell of the board.
-    let cursor = 0;
-    while (cursor < 81) {
-      // Get the letter-and-number notation of the cursor.
-      const [row, col] = toLetterNumberCoordinate(cursor);
-
-      // Keep a flag to indicate whether this sudoku is solvable.
-      let solvable = true;
-
-      // Keep an array of single-digits to randomly draw from, if we should
-      // fill this cell.
-      const digits = [1, 2, 3, 4, 5, 6, 7, 8, 9];
-
-      // Draw a random number between 1 and 1000. If the number is above 500,
-      // then we should fill this cell. Otherwise, leave it alone.
-      while (true) {
-        // Randomly draw a valid index within the 'digits' array in its current
-        // state.
-        const randomIndex = getRandomValue(0, digits.length - 1);
-        const digit = digits[randomIndex];
-
-        // Fill this current cell with this value if it can be placed here.
-        const canBePlaced =
-          this.checkPlacement(puzzle.join(""), row, col, digit).valid === true;
-        if (canBePlaced) {
-          puzzle.push(digit);
-
-          // Randomly decide whether this cell should be hidden.
-          const shouldBeHidden = getRandomValue(1, 1000) >= 500;
-          if (shouldBeHidden) {
-            hidden.push(cursor);
-          }
+  constructor(layout = new GridLayout(), constraints = []) {
+    this.layout = layout;
+    this.constraints = constraints;
+  }
+
+  /**
+   * Fills the given puzzle array with a random, completely-solved grid.
+   *
+   * The search is restarted with other random choices whenever it visits more
+   * nodes than its budget, which doubles every few restarts. See
+   * @a FILL_RESTART_NODES.
+   *
+   * @param {string[]} puzzleArray The puzzle, as an array of characters. It is
+   * modified in place.
+   * @param {Random} random The random number generator to use. Defaults to one
+   * with a new random seed.
+   * @param {number} nodeLimit The most nodes the searches may visit in all before
+   * giving up. Defaults to no limit.
+   * @returns {boolean} True if the puzzle array could be filled.
+   */
+  fillRandomGrid(puzzleArray, random = new Random(), nodeLimit = Infinity) {
+    const board = createBoard(puzzleArray, this.layout, this.constraints);
+    if (board.conflict) {
+      return false;
+    }
+
+    let nodes = 0;
+    for (let restart = 0; nodes < nodeLimit; ++restart) {
+      // Search for a single solution, trying each cell's candidates in a random
+      // order, within this restart's budget and what is left of the node limit.
+      const budget =
+        FILL_RESTART_NODES *
+        2 ** Math.floor(restart / FILL_RESTARTS_PER_DOUBLING);
+      board.nodes = 0;
+      board.nodeLimit = Math.min(budget, nodeLimit - nodes);
+      const [solution] = searchBoard(board, 1, [], (digits) =>
+        random.shuffle(digits)
+      );
+      if (solution !== undefined) {
+        puzzleArray.splice(0, solution.length, ...solution);
+        return true;
+      }
 
+      // A search which ended within its budget has tried every candidate, so
+      // the puzzle has no solution.
+      if (board.nodes <= board.nodeLimit) {
+        return false;
+      }
+      nodes += board.nodeLimit;
+    }
+
+    return false;
+  }
+
+  /**
+   * Generates a random Sudoku puzzle with a unique solution.
+   *
+   * A random solved grid is generated first. Clues are then removed from it, in
+   * groups determined by the requested symmetry, for as long as the puzzle remains
+   * uniquely solvable and the clue count stays within the requested range. Each
+   * removal is rated by the @a LogicalSolver, and undone if it makes the puzzle
+   * harder than requested, until the puzzle is rated at the requested difficulty.
+   *
+   * @param {GenerateOptions} options The options for the generated puzzle.
+   * @returns {GenerateResult} The result of the generation.
+   */
+  generatePuzzle(options = {}) {
+    const {
+      difficulty = "medium",
+      symmetry = "none",
+      killer = false,
+      seed = Random.createSeed(),
+      nodeLimit = Infinity,
+    } = options;
+
+    // Make sure the requested difficulty and symmetry are known.
+    if (Object.keys(DIFFICULTY_CLUE_RANGES).includes(difficulty) === false) {
+      return { error: "Invalid difficulty" };
+    }
+
+    if (Object.keys(SYMMETRY_PARTNERS).includes(symmetry) === false) {
+      return { error: "Invalid symmetry" };
+    }
+
+    // Use the difficulty's clue range for any bound which was not given. Killer
+    // puzzles are given mostly by their cages, so need few clues, if any.
+    const { cellCount, size } = this.layout;
+    const [defaultMin, defaultMax] = killer
+      ? [0, scaleClues(KILLER_MAX_CLUES, this.layout)]
+      : DIFFICULTY_CLUE_RANGES[difficulty].map((clues) =>
+          scaleDifficultyClues(clues, this.layout)
+        );
+    const { minClues = defaultMin, maxClues = defaultMax } = options;
+
+    if (
+      Number.isInteger(minClues) === false ||
+      Number.isInteger(maxClues) === false ||
+      minClues < (killer ? 0 : scaleClues(MINIMUM_CLUES, this.layout)) ||
+      maxClues > cellCount ||
+      minClues > maxClues
+    ) {
+      return { error: "Invalid clue count range" };
+    }
+
+    if (Random.isSeed(seed) === false) {
+      return { error: "Invalid seed" };
+    }
+
+    // The logical solver requires this module, so it is only loaded once both
+    // are ready. Killer puzzles are not rated, as the logical solver does not
+    // reason about cage sums: their difficulty sets the size of their cages.
+    if (killer === false && this.rater === undefined) {
+      const LogicalSolver = require("./logical-solver.js");
+      this.rater = new LogicalSolver(this.layout, this.constraints);
+    }
+    const targetLevel = DIFFICULTY_LEVELS.indexOf(difficulty);
+
+    // The puzzle rated closest to the requested difficulty so far, in case none
+    // is rated at it. Small grids, for instance, seldom need more than singles.
+    let closest = null;
+
+    // Every random choice is drawn from the one seeded generator, so that the
+    // same seed always generates the same puzzle.
+    const random = new Random(seed);
+    const attempts = Math.ceil(GENERATE_ATTEMPTS * Math.min(1, 81 / cellCount));
+    for (let attempt = 0; attempt < attempts; ++attempt) {
+      // Start with a random, completely-solved grid. A grid which cannot be
+      // filled within the node limit is tried again with other random choices.
+      const puzzle = [...".".repeat(cellCount)];
+      if (this.fillRandomGrid(puzzle, random, nodeLimit) === false) {
+        continue;
+      }
+      const solution = puzzle.join("");
+
+      // A killer puzzle is split into cages, which the puzzle must be uniquely
+      // solvable with.
+      let checker = this;
+      let cages;
+      if (killer) {
+        cages = createCages(
+          solution,
+          this.layout,
+          KILLER_CAGE_SIZES[difficulty],
+          random
+        );
+        checker = new SudokuSolver(this.layout, [
+          ...this.constraints,
+          ...resolveCages(cages, this.layout).constraints,
+        ]);
+      }
+
+      // Group the cells by the requested symmetry, so that the clues in each
+      // group are removed together.
+      const visited = new Set();
+      const groups = [];
+      for (let i = 0; i < cellCount; ++i) {
+        if (visited.has(i) === false) {
+          const group = [...new Set([i, SYMMETRY_PARTNERS[symmetry](i, size)])];
+          group.forEach((cell) => visited.add(cell));
+          groups.push(group);
+        }
+      }
+
+      // Remove groups of clues in a random order, keeping each removal only if
+      // the puzzle still has exactly one solution, and is no harder than
+      // requested once it is within the clue range. Removal stops once a
+      // randomly-chosen clue count within the range has been reached, and the
+      // puzzle is rated at the requested difficulty. Killer puzzles lose as many
+      // clues as they can instead.
+      const targetClues = killer
+        ? minClues
+        : random.integer(minClues, maxClues);
+      let clues = cellCount;
+      let level = 0;
+      for (const group of random.shuffle(groups)) {
+        if (clues <= targetClues && (killer || level === targetLevel)) {
           break;
-        } else {
-          // Otherwise, splice the selected digit out of the digits array and
-          // try another digit.
-          digits.splice(randomIndex, 1);
-
-          // If, as a result, there are no more digits to try, then the puzzle
-          // being generated is unsolvable.
-          if (digits.length === 0) {
-            solvable = false;
-            break;
+        }
+
+        if (clues - group.length < minClues) {
+          continue;
+        }
+
+        group.forEach((cell) => (puzzle[cell] = "."));
+        const counted = checker.countSolutions(
+          puzzle,
+          2,
+          "backtrack",
+          null,
+          killer ? Math.min(nodeLimit, KILLER_CHECK_NODES) : nodeLimit
+        );
+        if (counted.error && killer === false) {
+          return { error: GENERATE_NODE_LIMIT_ERROR };
+        }
+
+        let keep = counted.count === 1;
+        if (keep && killer === false && clues - group.length <= maxClues) {
+          const rating = this.rater.rate(puzzle.join(""), nodeLimit);
+          if (rating.error) {
+            return { error: GENERATE_NODE_LIMIT_ERROR };
           }
+
+          const rated = DIFFICULTY_LEVELS.indexOf(rating.difficulty);
+          keep = rated <= targetLevel;
+          if (keep) {
+            level = rated;
+          }
+        }
+
+        if (keep) {
+          clues -= group.length;
+        } else {
+          group.forEach((cell) => (puzzle[cell] = solution[cell]));
         }
       }
 
-      // If the sudoku at any point becomes un-solvable, clear the board,
-      // re-set the cursor to zero and start generating over.
-      if (solvable === false) {
-        puzzle = [];
-        hidden = [];
-        cursor = 0;
-      } else {
-        cursor++;
+      // If enough clues could be removed, and the puzzle is as hard as requested,
+      // then this puzzle is done. Otherwise, start over with a new grid.
+      if (clues > maxClues) {
+        continue;
+      }
+
+      const generated = {
+        puzzle: puzzle.join(""),
+        solution,
+        difficulty: killer ? difficulty : DIFFICULTY_LEVELS[level],
+        symmetry,
+        clues,
+        ...(killer ? { cages } : {}),
+        seed,
+      };
+      if (killer || level === targetLevel) {
+        return generated;
+      }
+
+      if (closest === null || level > closest.level) {
+        closest = { level, generated };
       }
     }
 
-    for (let i = 0; i < hidden.length; ++i) {
-      puzzle[hidden[i]] = ".";
+    if (closest !== null) {
+      return closest.generated;
     }
 
-    return puzzle.join("");
+    return { error: "Could not generate a puzzle with the requested options" };
+  }
+
+  /**
+   * Generates a random Sudoku puzzle string with a unique solution.
+   *
+   * @param {GenerateOptions} options The options for the generated puzzle.
+   * @returns {string} The generated puzzle string.
+   */
+  generate(options = {}) {
+    return this.generatePuzzle(options).puzzle;
   }
 
   /**
@@ -174,17 +1160,18 @@ class SudokuSolver {
 
     for (let i = 0; i < puzzle.length; ++i) {
       // If this cell is blank, then the puzzle is not solved.
-      if (puzzle[i] === ".") {
+      if (this.layout.valueOf(puzzle[i]) === 0) {
         return { solved: false, error: "Puzzle is not solved" };
       }
 
       // Get the letter-and-number notation of this cell.
-      const [row, col] = toLetterNumberCoordinate(i);
+      const [row, col] = this.layout.toLetterNumber(i);
 
       // Check the validity of this cell's rol, column and region placement.
-      const cr = this.checkRowPlacement(puzzle, row, col, +puzzle[i]);
-      const cc = this.checkColPlacement(puzzle, row, col, +puzzle[i]);
-      const cg = this.checkRegionPlacement(puzzle, row, col, +puzzle[i]);
+      const cr = this.checkRowPlacement(puzzle, row, col, puzzle[i]);
+      const cc = this.checkColPlacement(puzzle, row, col, puzzle[i]);
+      const cg = this.checkRegionPlacement(puzzle, row, col, puzzle[i]);
+      const cx = this.checkConstraintPlacement(puzzle, row, col, puzzle[i]);
 
       // Check for conflicts.
       const conflicts = [];
@@ -197,6 +1184,7 @@ class SudokuSolver {
       if (cg.valid === false) {
         conflicts.push("region");
       }
+      conflicts.push(...cx.conflict);
 
       if (conflicts.length > 0) {
         return {
@@ -211,27 +1199,43 @@ class SudokuSolver {
   }
 
   /**
-   * Checks to see if the given puzzle string contains exactly 81 valid characters.
-   * Valid characters include the numbers 0 - 9, and the period (.).
+   * Checks to see if the given puzzle string contains exactly one valid character
+   * for each cell of the grid: 81 of them for a 9x9 grid. Valid characters include
+   * the symbols used by the grid (the numbers 1 - 9 for a 9x9 grid, going on
+   * with letters for larger grids), and the period (.) or zero (0) for an empty
+   * cell.
    * @param {string} puzzleString The puzzle string to validate
    * @return {ValidateResult} The result of the validation.
    */
   validate(puzzleString) {
-    const validPuzzleRegex = /^[\.\d]{81}$/;
+    const { size, cellCount, symbols } = this.layout;
 
     // Check to see if a puzzle was provided at all.
     if (!puzzleString) {
       return { ok: false, error: "No puzzle string given." };
     }
 
-    // Puzzles not 81 characters in length are invalid.
-    if (puzzleString.length !== 81) {
-      return { ok: false, error: "Expected puzzle to be 81 characters long" };
+    // Puzzles not the length of the grid are invalid.
+    if (puzzleString.length !== cellCount) {
+      return {
+        ok: false,
+        error: `Expected puzzle to be ${cellCount} characters long`,
+      };
     }
 
-    // Puzzle strings which do not pass the above regex are invalid.
-    if (validPuzzleRegex.test(puzzleString) === false) {
-      return { ok: false, error: "Invalid characters in puzzle" };
+    // Puzzle strings containing symbols not used by the grid are invalid. Grids
+    // larger than 9x9 go on from 9 with letters, so the error names the symbols
+    // of those grids for anyone expecting hexadecimal ones.
+    if (
+      [...puzzleString].some((symbol) => this.layout.valueOf(symbol) === -1)
+    ) {
+      return {
+        ok: false,
+        error:
+          size > 9
+            ? `Invalid characters in puzzle; expected ${symbols}, or '.' or '0' for an empty cell`
+            : "Invalid characters in puzzle",
+      };
     }
 
     // This is a valid puzzle string.
@@ -240,90 +1244,115 @@ class SudokuSolver {
 
   /**
    * Checks to see if placing the given value into the cell at the given row and column
-   * renders a .
+   * conflicts with any other cell in the given unit.
    *
    * @param {string} puzzleString The puzzle string or array to check.
-   * @param {string} row A letter, between A and I, indicating the row.
-   * @param {number} column A number, between 1 and 9, indicating the column.
-   * @param {number} value A number, between 1 and 9, to be placed at the given position.
+   * @param {string} row A letter, between A and I for a 9x9 grid, indicating the row.
+   * @param {number} column A number, between 1 and 9 for a 9x9 grid, indicating the column.
+   * @param {number|string} value The value, or its symbol, to be placed at the given position.
+   * @param {number} unitType The type of unit to check: 0 for rows, 1 for columns
+   * and 2 for regions.
    *
    * @return {CheckResult} The result of placing the given value into the given cell.
    */
-  checkRowPlacement(puzzleString, row, column, value) {
-    // Get the X and Y coordinate of the given row and column.
-    const coord = toBaseZeroCoordinate(row, column);
-
-    // Find the start point of this row and slice this string from that point
-    // to the end of the row.
-    const rowStart = 9 * coord[1];
-    let rowString = puzzleString.slice(rowStart, rowStart + 9);
+  checkUnitPlacement(puzzleString, row, column, value, unitType) {
+    // Get the X and Y coordinate of the given row and column, and the symbol of
+    // the given value.
+    const coord = this.layout.toBaseZero(row, column);
+    if (coord === false) {
+      return { valid: false, error: "Invalid coordinate" };
+    }
 
-    // If the value given is already present at the given row and column, then
-    // omit that value from the row string.
-    if (puzzleString[coord[2]] === `${value}`) {
-      const valueIndex = rowString.indexOf(`${value}`);
-      rowString = `${rowString.slice(0, valueIndex)}${rowString.slice(
-        valueIndex + 1
-      )}`;
+    const symbolValue = this.layout.parseValue(value);
+    if (isNaN(symbolValue) === true) {
+      return { valid: false, error: "Invalid value" };
     }
 
-    // Return valid if the given value is not present in this row string.
-    return { valid: rowString.includes(`${value}`) === false };
-  }
+    // Find the cells of the unit the given cell falls into. The given cell itself
+    // is omitted, so a value already placed there does not conflict with itself.
+    const cell = coord[2];
+    const unit = this.layout.cellUnits[cell][unitType];
+    const unitCells = [
+      this.layout.units.rows,
+      this.layout.units.columns,
+      this.layout.units.regions,
+    ][unitType][unit].filter((unitCell) => unitCell !== cell);
 
-  checkColPlacement(puzzleString, row, column, value) {
-    // Get the X and Y coordinate of the given row and column.
-    const coord = toBaseZeroCoordinate(row, column);
-
-    // Find the start point of this column. Create an array of the values in that
-    // column.
-    const colStart = coord[0];
-    const colArray = [];
-    for (let i = 0; i < 9; ++i) {
-      // If the current cell in the column being iterated over is the cell reflected
-      // by the given coordinates, and that cell is the given value, then omit that
-      // cell from the array.
-      if (
-        coord[2] === colStart + i * 9 &&
-        puzzleString[coord[2]] === `${value}`
-      ) {
-        continue;
-      }
+    // Return valid if the given value is not present in any of those cells.
+    const symbol = this.layout.symbolOf(symbolValue);
+    return {
+      valid: unitCells.every((unitCell) => puzzleString[unitCell] !== symbol),
+    };
+  }
 
-      colArray.push(puzzleString[colStart + i * 9]);
-    }
+  /**
+   * Checks to see if placing the given value into the cell at the given row and column
+   * conflicts with any other cell in its row.
+   *
+   * @param {string} puzzleString The puzzle string or array to check.
+   * @param {string} row A letter, between A and I for a 9x9 grid, indicating the row.
+   * @param {number} column A number, between 1 and 9 for a 9x9 grid, indicating the column.
+   * @param {number|string} value The value, or its symbol, to be placed at the given position.
+   *
+   * @return {CheckResult} The result of placing the given value into the given cell.
+   */
+  checkRowPlacement(puzzleString, row, column, value) {
+    return this.checkUnitPlacement(puzzleString, row, column, value, 0);
+  }
 
-    // Return valid if the given value is not present in the above array.
-    return { valid: colArray.includes(`${value}`) === false };
+  checkColPlacement(puzzleString, row, column, value) {
+    return this.checkUnitPlacement(puzzleString, row, column, value, 1);
   }
 
   checkRegionPlacement(puzzleString, row, column, value) {
-    // Get the X and Y coordinate of the given row and column.
-    const coord = toBaseZeroCoordinate(row, column);
-    const [x, y, cell] = coord;
-
-    // Get the top-left-most portion of the region the above coordinates
-    // fall into.
-    const regionTopLeft = [Math.floor(x / 3) * 3, Math.floor(y / 3) * 3];
-
-    // Create an array and fill it with the elements in this 3x3 region.
-    const regionArray = [];
-    for (let i = 0; i < 3; ++i) {
-      for (let j = 0; j < 3; ++j) {
-        // If the current region cell is the cell returned by the coordinate function
-        // above, and that cell contains the given value, then omit that value
-        // from the region array.
-        const regionCell = 9 * (regionTopLeft[1] + i) + (regionTopLeft[0] + j);
-        if (cell === regionCell && puzzleString[regionCell] === `${value}`) {
-          continue;
-        }
+    return this.checkUnitPlacement(puzzleString, row, column, value, 2);
+  }
 
-        regionArray.push(puzzleString[regionCell]);
-      }
+  /**
+   * Checks to see if placing the given value into the cell at the given row and column
+   * breaks any of the extra rules the solver was given, such as the diagonals of
+   * an X-Sudoku.
+   *
+   * @param {string} puzzleString The puzzle string or array to check.
+   * @param {string} row A letter, between A and I for a 9x9 grid, indicating the row.
+   * @param {number} column A number, between 1 and 9 for a 9x9 grid, indicating the column.
+   * @param {number|string} value The value, or its symbol, to be placed at the given position.
+   *
+   * @return {CheckConstraintsResult} The result of placing the given value into the given cell.
+   */
+  checkConstraintPlacement(puzzleString, row, column, value) {
+    const coord = this.layout.toBaseZero(row, column);
+    if (coord === false) {
+      return { valid: false, conflict: [], error: "Invalid coordinate" };
+    }
+
+    const symbolValue = this.layout.parseValue(value);
+    if (isNaN(symbolValue) === true) {
+      return { valid: false, conflict: [], error: "Invalid value" };
     }
 
-    // Return valid if the given value is not present in the above array.
-    return { valid: regionArray.includes(`${value}`) === false };
+    // A rule is broken if any cell it relates to the given one holds a digit it
+    // forbids there, or if it does not allow the value in the given cell at all.
+    const cell = coord[2];
+    const digits = [...puzzleString].map((symbol) =>
+      Math.max(0, this.layout.valueOf(symbol))
+    );
+    digits[cell] = 0;
+
+    const conflict = this.constraints
+      .filter(
+        ({ neighbours, forbids, allows }) =>
+          neighbours[cell].some(
+            (neighbour) =>
+              digits[neighbour] > 0 &&
+              (forbids(symbolValue) & (1 << digits[neighbour])) !== 0
+          ) ||
+          (allows !== undefined &&
+            (allows(digits, cell) & (1 << symbolValue)) === 0)
+      )
+      .map(({ name }) => name);
+
+    return { valid: conflict.length === 0, conflict };
   }
 
   checkPlacement(puzzleString, row, column, value) {
@@ -334,90 +1363,532 @@ class SudokuSolver {
         this.checkColPlacement(puzzleString, row, column, value).valid ===
           true &&
         this.checkRegionPlacement(puzzleString, row, column, value).valid ===
-          true,
+          true &&
+        this.checkConstraintPlacement(puzzleString, row, column, value)
+          .valid === true,
     };
   }
 
-  getNextEmptyCell(puzzleString) {
-    for (let i = 0; i < puzzleString.length; ++i) {
-      if (puzzleString[i] === ".") {
-        const [row, col] = toLetterNumberCoordinate(i);
-        const possibleValues = [];
-
-        for (let v = 1; v <= 9; ++v) {
-          if (this.checkPlacement(puzzleString, row, col, v).valid) {
-            possibleValues.push(`${v}`);
-          }
-        }
+  /**
+   * Finds every cell whose value conflicts with the given value placed into the
+   * given cell: those in the same row, column or region holding the same value,
+   * and those related to it by an extra rule which forbids their values together.
+   * Rules such as cage sums, which go beyond pairs of cells, are not included.
+   *
+   * @param {string|string[]} puzzleString The puzzle string or array to check.
+   * @param {number} cell The index of the cell.
+   * @param {number} value The value placed into the cell.
+   * @returns {{cell: number, unit: string}[]} The index of each conflicting cell,
+   * along with the unit or rule it shares with the given cell.
+   */
+  findPlacementConflicts(puzzleString, cell, value) {
+    const { layout } = this;
+    const digits = [...puzzleString].map((symbol) =>
+      Math.max(0, layout.valueOf(symbol))
+    );
+    const clashes = (other) => other !== cell && digits[other] === value;
+
+    const conflicts = ["row", "column", "region"].flatMap((unit, type) =>
+      [layout.units.rows, layout.units.columns, layout.units.regions][type][
+        layout.cellUnits[cell][type]
+      ]
+        .filter(clashes)
+        .map((other) => ({ cell: other, unit }))
+    );
 
-        return { row, col, index: i, possible: possibleValues };
+    for (const { name, neighbours, forbids } of this.constraints) {
+      const forbidden = forbids(value);
+      neighbours[cell]
+        .filter(
+          (other) =>
+            digits[other] > 0 && (forbidden & (1 << digits[other])) !== 0
+        )
+        .forEach((other) => conflicts.push({ cell: other, unit: name }));
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Lists every pair of cells on the board whose values conflict, along with the
+   * unit or rule they share. A pair sharing more than one unit is listed once for
+   * each of them.
+   *
+   * @param {string} puzzleString The puzzle string to check.
+   * @returns {FindConflictsResult} The conflicts, or an error.
+   */
+  findConflicts(puzzleString) {
+    const validation = this.validate(puzzleString);
+    if (validation.ok === false) {
+      return { error: validation.error };
+    }
+
+    const conflicts = [];
+    const seen = new Set();
+    [...puzzleString].forEach((symbol, cell) => {
+      const value = this.layout.valueOf(symbol);
+      if (value === 0) {
+        return;
+      }
+
+      for (const conflict of this.findPlacementConflicts(
+        puzzleString,
+        cell,
+        value
+      )) {
+        const pair = [cell, conflict.cell].sort((a, b) => a - b);
+        const key = `${pair.join(",")}:${conflict.unit}`;
+        if (seen.has(key) === false) {
+          seen.add(key);
+          conflicts.push({
+            cells: pair.map((index) => this.layout.cellName(index)),
+            unit: conflict.unit,
+          });
+        }
       }
+    });
+
+    return { conflicts };
+  }
+
+  /**
+   * Finds the first empty cell in the given puzzle string, along with the values
+   * which could be placed in it.
+   *
+   * @param {string|string[]} puzzleString The puzzle string or array to search.
+   * @returns {object|boolean} The cell's row letter, column number, index and
+   * possible values, or false if the puzzle is full.
+   */
+  getNextEmptyCell(puzzleString) {
+    const index = [...puzzleString].findIndex(
+      (symbol) => this.layout.valueOf(symbol) === 0
+    );
+    if (index === -1) {
+      return false;
     }
 
-    return false;
+    const [row, col] = this.layout.toLetterNumber(index);
+    const board = createBoard(puzzleString, this.layout, this.constraints);
+    const possible = maskToDigits(candidateMask(board, index)).map((digit) =>
+      this.layout.symbolOf(digit)
+    );
+
+    return { row, col, index, possible };
+  }
+
+  /**
+   * Checks to see if any of the given cells in the puzzle string conflict with
+   * one another.
+   *
+   * @param {string|string[]} puzzleString The puzzle string or array to check.
+   * @returns {boolean} True if no two given cells conflict.
+   */
+  checkGivens(puzzleString) {
+    return (
+      createBoard(puzzleString, this.layout, this.constraints).conflict ===
+      false
+    );
   }
 
   /**
+   * Counts the solutions of the given puzzle string, up to the given limit.
    *
-   * @param {string} puzzleString
-   * @returns
+   * @param {string|string[]} puzzleString The puzzle string or array to count the solutions of.
+   * @param {number} limit The maximum number of solutions to look for.
+   * @param {string} engine The search engine to use: 'backtrack' or 'dlx'.
+   * @param {function} trace A function called with each @a TraceStep of the
+   * search, or null. Only the 'backtrack' engine can be traced.
+   * @param {number} nodeLimit The most nodes the search may visit before giving
+   * up with an error. Defaults to no limit.
+   * @returns {CountSolutionsResult} The result of the count.
    */
-  solve(puzzleString, validateFirst = true) {
-    // This function is run recursively. Validate the puzzle string only on
-    // the first iteration.
+  countSolutions(
+    puzzleString,
+    limit = SOLUTION_COUNT_LIMIT,
+    engine = "backtrack",
+    trace = null,
+    nodeLimit = Infinity
+  ) {
+    if (
+      typeof puzzleString !== "string" &&
+      Array.isArray(puzzleString) === false
+    ) {
+      return { error: "puzzleString must be a string or a string array" };
+    }
+
+    if (Object.keys(SEARCH_ENGINES).includes(engine) === false) {
+      return { error: "Invalid engine" };
+    }
+
+    if (trace !== null && engine !== "backtrack") {
+      return { error: `Engine '${engine}' does not support tracing` };
+    }
+
+    // Rules such as cage sums and thermometers, which go beyond pairs of cells
+    // that may not hold certain digits together, cannot be expressed as an exact
+    // cover problem.
+    const unsupported = this.constraints.find(
+      ({ allows }) => allows !== undefined
+    );
+    if (engine === "dlx" && unsupported !== undefined) {
+      return {
+        error: `Engine 'dlx' does not support the '${unsupported.name}' constraint`,
+      };
+    }
+
+    // A puzzle whose givens already conflict has no solutions.
+    if (this.checkGivens(puzzleString) === false) {
+      return { count: 0, solutions: [] };
+    }
+
+    const solutions = SEARCH_ENGINES[engine](
+      puzzleString,
+      limit,
+      this.layout,
+      this.constraints,
+      { trace, nodeLimit }
+    );
+    if (solutions === null) {
+      return { error: NODE_LIMIT_ERROR };
+    }
+
+    return { count: solutions.length, solutions };
+  }
+
+  /**
+   * Solves the given puzzle string, and checks whether or not its solution is
+   * unique.
+   *
+   * @param {string|string[]} puzzleString The puzzle string or array to solve.
+   * @param {boolean} validateFirst Whether the puzzle string should be validated first.
+   * @param {string} engine The search engine to use: 'backtrack' or 'dlx'.
+   * @param {function} trace A function called with each @a TraceStep of the
+   * search, so that it can be followed as it happens, or null. Only the
+   * 'backtrack' engine can be traced.
+   * @param {number} nodeLimit The most nodes the search may visit before giving
+   * up with an error. Defaults to no limit.
+   * @returns {SolveResult} The result of the solve.
+   */
+  solve(
+    puzzleString,
+    validateFirst = true,
+    engine = "backtrack",
+    trace = null,
+    nodeLimit = Infinity
+  ) {
+    // Validate the puzzle string before attempting to solve, if requested.
     if (validateFirst === true) {
-      // Validate the puzzle string before attempting to solve.
       const validation = this.validate(puzzleString);
       if (validation.ok === false) {
         return { error: validation.error };
       }
     }
 
-    // If the puzzle string received is a string, then convert it into an
-    // array so we can modify it in place.
-    if (typeof puzzleString === "string") {
-      puzzleString = [...puzzleString];
-    } else if (Array.isArray(puzzleString) === false) {
-      return { error: "puzzleString must be a string or a string array" };
+    // Keep searching past the first solution, so that puzzles with more than
+    // one solution can be told apart from proper puzzles.
+    const counted = this.countSolutions(
+      puzzleString,
+      SOLUTION_COUNT_LIMIT,
+      engine,
+      trace,
+      nodeLimit
+    );
+    if (counted.error) {
+      return counted;
     }
 
-    // Get the row letter, column number and index of the next empty cell in
-    // the puzzle string. If the below function returns false, then the puzzle
-    // is full.
-    const nextEmptyCell = this.getNextEmptyCell(puzzleString);
-    if (nextEmptyCell === false) {
-      return { solution: puzzleString.join("") };
+    if (counted.count === 0) {
+      return { error: "Puzzle cannot be solved" };
     }
 
-    // Get the row, column, index and possible values for this cell.
-    const { row, col, index, possible } = nextEmptyCell;
+    return {
+      solution: counted.solutions[0],
+      unique: counted.count === 1,
+      solutionCount: counted.count,
+    };
+  }
 
-    // If this empty cell has only one possible value to it, then emplace that
-    // value into the solving array and continue into the next iteration.
-    if (possible.length === 1) {
-      puzzleString[index] = possible[0];
-      this.solve(puzzleString, false);
-    } else {
-      // Iterate through all of the possible values for this cell.
-      for (const value of possible) {
-        if (this.checkPlacement(puzzleString, row, col, value).valid === true) {
-          puzzleString[index] = value;
-          this.solve(puzzleString, false);
-        }
+  /**
+   * Explains why the given puzzle string cannot be solved. The simplest reasons
+   * are looked for first: givens which conflict, then a cell which no digit can
+   * go in, then a digit which can go nowhere in a unit. Failing those, the givens
+   * are whittled down to a set which still leaves the puzzle with no solution.
+   *
+   * @param {string} puzzleString The puzzle string to diagnose.
+   * @param {number} nodeLimit The most nodes each search may visit before giving
+   * up with an error. Defaults to no limit.
+   * @returns {DiagnoseResult} The diagnosis, or an error.
+   */
+  diagnose(puzzleString, nodeLimit = Infinity) {
+    const { layout } = this;
+    const { conflicts, error } = this.findConflicts(puzzleString);
+    if (error) {
+      return { error };
+    }
+
+    if (conflicts.length > 0) {
+      const pairs = conflicts.map(
+        ({ cells, unit }) => `${cells.join(" and ")} (${unit})`
+      );
+      return {
+        solvable: false,
+        reason: "duplicate-givens",
+        explanation: `Givens conflict: ${pairs.join(", ")}`,
+        conflicts,
+      };
+    }
+
+    const board = createBoard(puzzleString, layout, this.constraints);
+    const empty = board.cells.findIndex(
+      (digit, cell) => digit === 0 && candidateMask(board, cell) === 0
+    );
+    if (empty !== -1) {
+      const cell = layout.cellName(empty);
+      return {
+        solvable: false,
+        reason: "no-candidates",
+        explanation: `No digit can be placed in ${cell}`,
+        cell,
+      };
+    }
+
+    // Look for a digit which is not yet in a unit, and which none of the unit's
+    // empty cells can hold.
+    const units = [
+      ...["row", "column", "region"].flatMap((name, type) =>
+        [layout.units.rows, layout.units.columns, layout.units.regions][
+          type
+        ].map((cells) => ({ name, cells }))
+      ),
+      ...this.constraints.flatMap(({ name, units }) =>
+        units.map((cells) => ({ name, cells }))
+      ),
+    ];
+    for (const { name, cells } of units) {
+      let seen = 0;
+      for (const cell of cells) {
+        seen |=
+          board.cells[cell] !== 0
+            ? 1 << board.cells[cell]
+            : candidateMask(board, cell);
       }
+
+      const missing = board.allDigits & ~seen;
+      if (missing !== 0) {
+        const value = layout.symbolOf(maskToDigits(missing)[0]);
+        const names = cells.map((cell) => layout.cellName(cell));
+        return {
+          solvable: false,
+          reason: "no-place",
+          explanation: `${value} cannot be placed anywhere in the ${name} ${
+            names[0]
+          }-${names[names.length - 1]}`,
+          value,
+          unit: name,
+          cells: names,
+        };
+      }
+    }
+
+    const counted = this.countSolutions(
+      puzzleString,
+      1,
+      "backtrack",
+      null,
+      nodeLimit
+    );
+    if (counted.error) {
+      return { error: counted.error };
+    }
+
+    if (counted.count > 0) {
+      return { solvable: true };
+    }
+
+    // Leave out each given in turn, keeping it only if the puzzle has a
+    // solution without it. What is left is a set of givens which together
+    // cannot be solved, but which would be with any one of them left out.
+    const kept = [...puzzleString];
+    for (let cell = 0; cell < kept.length; ++cell) {
+      if (layout.valueOf(kept[cell]) === 0) {
+        continue;
+      }
+
+      const symbol = kept[cell];
+      kept[cell] = ".";
+      const without = this.countSolutions(
+        kept,
+        1,
+        "backtrack",
+        null,
+        nodeLimit
+      );
+      if (without.error) {
+        return { error: without.error };
+      }
+
+      if (without.count > 0) {
+        kept[cell] = symbol;
+      }
+    }
+
+    const givens = kept
+      .map((symbol, cell) => (layout.valueOf(symbol) === 0 ? null : cell))
+      .filter((cell) => cell !== null)
+      .map((cell) => layout.cellName(cell));
+    return {
+      solvable: false,
+      reason: "contradiction",
+      explanation:
+        givens.length > 0
+          ? `The givens ${givens.join(", ")} cannot all be satisfied together`
+          : "The puzzle's rules cannot be satisfied, even with no givens",
+      givens,
+    };
+  }
+
+  /**
+   * Validates the grids of a multi-grid puzzle, and combines them into a single
+   * puzzle string for the whole puzzle.
+   *
+   * @param {SubGrid[]} grids The grids making up the puzzle.
+   * @returns {{layout: MultiGridLayout, puzzle: string, error: string}} The
+   * layout and puzzle string of the whole puzzle, or an error.
+   */
+  prepareMultiGrid(grids) {
+    // Extra rules are resolved for a single grid, so cannot be followed across
+    // several.
+    if (this.constraints.length > 0) {
+      return { error: "Multi-grid puzzles do not support extra constraints" };
+    }
+
+    const { layout, error } = MultiGridLayout.create(this.layout, grids);
+    if (error) {
+      return { error };
+    }
+
+    for (let index = 0; index < grids.length; ++index) {
+      const validation = this.validate(grids[index].puzzle);
+      if (validation.ok === false) {
+        return { error: `${validation.error} (grid ${index})` };
+      }
+    }
+
+    const combined = layout.combine(grids.map(({ puzzle }) => puzzle));
+    if (combined.error) {
+      return combined;
     }
 
-    const next = this.getNextEmptyCell(puzzleString);
-    if (next !== false) {
-      puzzleString[index] = ".";
+    return { layout, puzzle: combined.puzzle };
+  }
+
+  /**
+   * Solves a puzzle made of several overlapping grids, such as a Samurai Sudoku,
+   * and checks whether or not its solution is unique. Cells shared by several
+   * grids follow the rules of each of them.
+   *
+   * @param {SubGrid[]} grids The grids making up the puzzle.
+   * @param {string} engine The search engine to use: 'backtrack' or 'dlx'.
+   * @param {number} nodeLimit The most nodes the search may visit before giving
+   * up with an error. Defaults to no limit.
+   * @returns {MultiGridSolveResult} The result of the solve.
+   */
+  solveMultiGrid(grids, engine = "backtrack", nodeLimit = Infinity) {
+    if (Object.keys(SEARCH_ENGINES).includes(engine) === false) {
+      return { error: "Invalid engine" };
+    }
+
+    const { layout, puzzle, error } = this.prepareMultiGrid(grids);
+    if (error) {
+      return { error };
+    }
+
+    // A puzzle whose givens already conflict has no solutions.
+    const solutions = createBoard(puzzle, layout).conflict
+      ? []
+      : SEARCH_ENGINES[engine](puzzle, SOLUTION_COUNT_LIMIT, layout, [], {
+          nodeLimit,
+        });
+    if (solutions === null) {
+      return { error: NODE_LIMIT_ERROR };
     }
 
-    if (puzzleString.includes(".")) {
+    if (solutions.length === 0) {
       return { error: "Puzzle cannot be solved" };
-    } else {
-      return { solution: puzzleString.join("") };
     }
+
+    return {
+      solutions: layout.split(solutions[0]),
+      unique: solutions.length === 1,
+      solutionCount: solutions.length,
+    };
+  }
+
+  /**
+   * Checks to see if placing the given value into the cell at the given row and
+   * column of one grid of a multi-grid puzzle conflicts with any other cell. A
+   * cell shared by several grids is checked within each of them, taking the
+   * values of shared cells given by any grid into account.
+   *
+   * @param {SubGrid[]} grids The grids making up the puzzle.
+   * @param {number} index The index of the grid the row and column refer to.
+   * @param {string} row A letter, between A and I for a 9x9 grid, indicating the row.
+   * @param {number} column A number, between 1 and 9 for a 9x9 grid, indicating the column.
+   * @param {number|string} value The value, or its symbol, to be placed at the given position.
+   *
+   * @return {MultiGridCheckResult} The result of placing the given value into the given cell.
+   */
+  checkMultiGridPlacement(grids, index, row, column, value) {
+    const { layout, puzzle, error } = this.prepareMultiGrid(grids);
+    if (error) {
+      return { valid: false, error };
+    }
+
+    if (
+      Number.isInteger(index) === false ||
+      index < 0 ||
+      index >= grids.length
+    ) {
+      return { valid: false, error: "Invalid grid" };
+    }
+
+    const coord = this.layout.toBaseZero(row, column);
+    if (coord === false) {
+      return { valid: false, error: "Invalid coordinate" };
+    }
+
+    if (isNaN(this.layout.parseValue(value)) === true) {
+      return { valid: false, error: "Invalid value" };
+    }
+
+    // Check the placement within every grid sharing the cell.
+    const views = layout.split(puzzle);
+    const conflicts = layout
+      .locate(layout.cellsOf[index][coord[2]])
+      .map(({ grid, cell }) => {
+        const [gridRow, gridCol] = this.layout.toLetterNumber(cell);
+        const conflict = ["row", "column", "region"].filter(
+          (_, unitType) =>
+            this.checkUnitPlacement(
+              views[grid],
+              gridRow,
+              gridCol,
+              value,
+              unitType
+            ).valid === false
+        );
+
+        return { grid, coordinate: `${gridRow}${gridCol}`, conflict };
+      })
+      .filter(({ conflict }) => conflict.length > 0);
+
+    return {
+      valid: conflicts.length === 0,
+      conflict: [...new Set(conflicts.flatMap(({ conflict }) => conflict))],
+      grids: conflicts,
+    };
   }
 }
 
 module.exports = SudokuSolver;
+module.exports.SOLUTION_COUNT_LIMIT = SOLUTION_COUNT_LIMIT;
@@ -0,0 +1,205 @@
+/**
+ * @file controllers/worker-pool.js
+ *
+ * Contains a pool of worker threads, which carry out heavy tasks such as solving
+ * and generating puzzles away from the event loop, within a time budget.
+ */
+
+const { Worker } = require("worker_threads");
+
+/**
+ * @typedef RunOptions
+ * @brief The options accepted by the @a WorkerPool's 'run' method.
+ * @type {object}
+ * @property {AbortSignal} signal A signal which cancels the task when aborted,
+ * freeing its worker at once.
+ * @property {string} timeoutError The error to give if the task runs out of
+ * time. Defaults to 'Task timed out'.
+ * @property {function} onProgress A function called with each piece of progress
+ * the worker reports before its result.
+ */
+
+/**
+ * A pool of worker threads running the given script. Each worker is sent one
+ * task at a time, and must reply with a single message holding its result. It
+ * may first send any number of messages of the form {progress}, reporting on the
+ * task as it goes. Tasks wait their turn while every worker is busy.
+ *
+ * A worker whose task runs out of time, or is cancelled, is terminated and
+ * replaced, so that a task which never finishes cannot hold on to it.
+ */
+class WorkerPool {
+  /**
+   * @param {string} script The path of the script each worker runs.
+   * @param {{size: number, timeout: number}} options The number of workers to
+   * run at most, and the time each task may take, in milliseconds.
+   */
+  constructor(script, { size = 1, timeout = Infinity } = {}) {
+    this.script = script;
+    this.size = size;
+    this.timeout = timeout;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+  }
+
+  /**
+   * Runs the given task on the next free worker.
+   *
+   * @param {*} task The task, as sent to the worker.
+   * @param {RunOptions} options The options of the run.
+   * @returns {Promise<object>} The worker's result, or an error if the task ran
+   * out of time, was cancelled or failed.
+   */
+  run(task, { signal, timeoutError = "Task timed out", onProgress } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.resolve({ error: "Task cancelled" });
+    }
+
+    return new Promise((resolve) => {
+      const job = { task, signal, timeoutError, onProgress, resolve };
+
+      // A task cancelled while it waits is simply dropped from the queue.
+      job.onQueuedAbort = () => {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        resolve({ error: "Task cancelled" });
+      };
+      if (signal) {
+        signal.addEventListener("abort", job.onQueuedAbort, { once: true });
+      }
+
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Starts waiting tasks on the free workers, starting new workers if the pool
+   * is not yet full.
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (worker === undefined && this.workers.size < this.size) {
+        worker = this.createWorker();
+      }
+
+      if (worker === undefined) {
+        return;
+      }
+
+      this.start(worker, this.queue.shift());
+    }
+  }
+
+  /**
+   * Starts a new worker. Workers do not keep the process alive while idle, and
+   * leave the pool should they exit.
+   *
+   * @returns {Worker} The worker.
+   */
+  createWorker() {
+    const worker = new Worker(this.script);
+    worker.unref();
+    worker.once("exit", () => {
+      this.workers.delete(worker);
+      this.idle = this.idle.filter((other) => other !== worker);
+    });
+    this.workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * Removes the given worker from the pool, terminating it.
+   *
+   * @param {Worker} worker The worker.
+   */
+  removeWorker(worker) {
+    this.workers.delete(worker);
+    this.idle = this.idle.filter((other) => other !== worker);
+    worker.terminate();
+  }
+
+  /**
+   * Sends the given job's task to the given worker, and settles the job once the
+   * worker replies, fails or exits, or the task runs out of time or is
+   * cancelled.
+   *
+   * @param {Worker} worker The worker.
+   * @param {object} job The job, as queued by 'run'.
+   */
+  start(worker, job) {
+    const { task, signal, timeoutError, onProgress, resolve } = job;
+    if (signal) {
+      signal.removeEventListener("abort", job.onQueuedAbort);
+    }
+
+    let timer;
+    const finish = (result, healthy) => {
+      clearTimeout(timer);
+      worker.off("message", onMessage);
+      worker.off("error", onError);
+      worker.off("exit", onExit);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+
+      if (healthy) {
+        this.idle.push(worker);
+      } else {
+        this.removeWorker(worker);
+      }
+
+      resolve(result);
+      this.dispatch();
+    };
+
+    const onMessage = (message) => {
+      if (
+        message !== null &&
+        typeof message === "object" &&
+        Object.prototype.hasOwnProperty.call(message, "progress")
+      ) {
+        if (onProgress) {
+          onProgress(message.progress);
+        }
+        return;
+      }
+
+      finish(message, true);
+    };
+    const onError = () => finish({ error: "Task failed" }, false);
+    const onExit = () => finish({ error: "Task failed" }, false);
+    const onAbort = () => finish({ error: "Task cancelled" }, false);
+
+    worker.on("message", onMessage);
+    worker.on("error", onError);
+    worker.on("exit", onExit);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    if (Number.isFinite(this.timeout)) {
+      timer = setTimeout(
+        () => finish({ error: timeoutError }, false),
+        this.timeout
+      );
+    }
+
+    worker.postMessage(task);
+  }
+
+  /**
+   * Terminates every worker. Tasks still running or waiting are left unsettled.
+   *
+   * @returns {Promise} Settles once every worker has stopped.
+   */
+  close() {
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    this.queue = [];
+    return Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = WorkerPool;
@@ -2,6 +2,45 @@ const textArea = document.getElementById("text-input");
 const coordInput = document.getElementById("coord");
 const valInput = document.getElementById("val");
 const errorMsg = document.getElementById("error");
+const grid = document.querySelector(".grid");
+const pencilToggle = document.getElementById("pencil-mode");
+const traceButton = document.getElementById("trace-button");
+const tracePlayButton = document.getElementById("trace-play-button");
+const traceStepButton = document.getElementById("trace-step-button");
+const traceSpeed = document.getElementById("trace-speed");
+const traceStatus = document.getElementById("trace-status");
+
+const SIZE = 9;
+const CELL_COUNT = SIZE * SIZE;
+
+// The board being played: the symbol in each cell, whether each cell was given
+// by the puzzle and so may not be changed, the pencil marks noted in each empty
+// cell, the cells which clash with another, the selected cell, if any, and the
+// cell a traced search is working on, if any.
+const board = {
+  cells: new Array(CELL_COUNT).fill("."),
+  givens: new Array(CELL_COUNT).fill(false),
+  pencil: [...Array(CELL_COUNT)].map(() => new Set()),
+  conflicts: new Set(),
+  selected: -1,
+  tracing: -1,
+};
+
+// The trace of a search being played back: the cells as they were before it,
+// the steps received so far from '/api/solve/stream', the number played, the
+// result once the search is done, and the stream and timer while they run.
+const trace = {
+  start: [],
+  steps: [],
+  position: 0,
+  result: null,
+  source: null,
+  timer: null,
+};
+
+// Counts the conflict checks started, so that a check's results are dropped
+// if a newer one has started since.
+let checkRun = 0;
 
 document.addEventListener("DOMContentLoaded", () => {
   textArea.value =
@@ -13,52 +52,329 @@ textArea.addEventListener("input", () => {
   fillpuzzle(textArea.value);
 });
 
+function cellName(cell) {
+  const row = Math.floor(cell / SIZE);
+  return String.fromCharCode("A".charCodeAt(0) + row) + ((cell % SIZE) + 1);
+}
+
+function cellIndex(name) {
+  const row = name.charCodeAt(0) - "A".charCodeAt(0);
+  return row * SIZE + Number(name.slice(1)) - 1;
+}
+
+function cellElement(cell) {
+  return document.getElementsByClassName(cellName(cell))[0];
+}
+
+async function postJson(url, body) {
+  const data = await fetch(url, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  return data.json();
+}
+
+// Loads the given puzzle string into the grid. Filled cells are given, except
+// for those the player entered which still hold the same value.
 function fillpuzzle(data) {
-  let len = data.length < 81 ? data.length : 81;
-  for (let i = 0; i < len; i++) {
-    let rowLetter = String.fromCharCode('A'.charCodeAt(0) + Math.floor(i / 9));
-    let col = (i % 9) + 1; 
-    if (!data[i] || data[i] === ".") {
-      document.getElementsByClassName(rowLetter + col)[0].innerText = " ";
-      continue;
+  for (let i = 0; i < CELL_COUNT; i++) {
+    const symbol = /^[1-9]$/.test(data[i]) ? data[i] : ".";
+    if (board.cells[i] !== symbol || board.givens[i]) {
+      board.givens[i] = symbol !== ".";
+    }
+    board.cells[i] = symbol;
+    if (symbol !== ".") {
+      board.pencil[i].clear();
+    }
+  }
+
+  render();
+  checkConflicts();
+}
+
+// Writes the board into the textarea, so that it holds the grid as played.
+function syncTextArea() {
+  textArea.value = board.cells.join("");
+}
+
+function render() {
+  for (let i = 0; i < CELL_COUNT; i++) {
+    const element = cellElement(i);
+    element.classList.toggle("given", board.givens[i]);
+    element.classList.toggle("selected", board.selected === i);
+    element.classList.toggle("conflict", board.conflicts.has(cellName(i)));
+    element.classList.toggle("tracing", board.tracing === i);
+    element.textContent = "";
+
+    if (board.cells[i] !== ".") {
+      element.textContent = board.cells[i];
+    } else if (board.pencil[i].size > 0) {
+      // Note each pencil mark in its own place of a 3x3 block.
+      const marks = document.createElement("div");
+      marks.className = "pencil";
+      for (let value = 1; value <= SIZE; value++) {
+        const mark = document.createElement("span");
+        mark.textContent = board.pencil[i].has(String(value)) ? value : "";
+        marks.appendChild(mark);
+      }
+      element.appendChild(marks);
+    }
+  }
+}
+
+// Finds every clash on the board with a single request to '/api/conflicts',
+// highlighting each cell which clashes with another.
+async function checkConflicts() {
+  const run = ++checkRun;
+
+  let result;
+  try {
+    result = await postJson("/api/conflicts", { puzzle: board.cells.join("") });
+  } catch (err) {
+    return;
+  }
+
+  if (run !== checkRun) {
+    return;
+  }
+
+  board.conflicts.clear();
+  (result.conflicts || []).forEach(({ cells }) =>
+    cells.forEach((name) => board.conflicts.add(name))
+  );
+  render();
+}
+
+function select(cell) {
+  board.selected = cell;
+  render();
+}
+
+// Places the given value into the selected cell, or notes it as a pencil mark
+// there in pencil mode. Given cells may not be changed.
+function enter(value) {
+  const cell = board.selected;
+  if (cell === -1 || board.givens[cell]) {
+    return;
+  }
+
+  if (pencilToggle.checked) {
+    if (board.cells[cell] !== ".") {
+      return;
+    }
+    const marks = board.pencil[cell];
+    if (marks.delete(value) === false) {
+      marks.add(value);
+    }
+    render();
+    return;
+  }
+
+  board.cells[cell] = value;
+  board.pencil[cell].clear();
+  syncTextArea();
+  render();
+  checkConflicts();
+}
+
+function erase() {
+  const cell = board.selected;
+  if (cell === -1 || board.givens[cell]) {
+    return;
+  }
+
+  board.cells[cell] = ".";
+  board.pencil[cell].clear();
+  syncTextArea();
+  render();
+  checkConflicts();
+}
+
+grid.addEventListener("click", (event) => {
+  const element = event.target.closest(".sudoku-input");
+  if (element) {
+    select([...grid.querySelectorAll(".sudoku-input")].indexOf(element));
+    grid.focus();
+  }
+});
+
+grid.addEventListener("keydown", (event) => {
+  // The rows and columns moved by each arrow key.
+  const moves = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1],
+  };
+
+  if (/^[1-9]$/.test(event.key)) {
+    enter(event.key);
+  } else if (["Backspace", "Delete", "0", "."].includes(event.key)) {
+    erase();
+  } else if (event.key === "p" || event.key === "P") {
+    pencilToggle.checked = !pencilToggle.checked;
+  } else if (moves[event.key] !== undefined) {
+    // Start from the first cell if none is selected, and stay within the grid.
+    const cell = Math.max(board.selected, 0);
+    const [rowMove, columnMove] =
+      board.selected === -1 ? [0, 0] : moves[event.key];
+    const clamp = (index) => Math.min(Math.max(index, 0), SIZE - 1);
+    const row = clamp(Math.floor(cell / SIZE) + rowMove);
+    const column = clamp((cell % SIZE) + columnMove);
+    select(row * SIZE + column);
+  } else {
+    return;
+  }
+
+  event.preventDefault();
+});
+
+// Shows a single step of the search on the grid: the candidates of the cell
+// branched on as pencil marks, and each value placed and taken back.
+function showStep(step) {
+  const cell = cellIndex(step.cell);
+  board.tracing = cell;
+  if (step.type === "candidates") {
+    board.pencil[cell] = new Set(step.candidates.map(String));
+  } else {
+    board.cells[cell] = step.type === "place" ? String(step.value) : ".";
+    board.pencil[cell].clear();
+  }
+}
+
+function pauseTrace() {
+  clearInterval(trace.timer);
+  trace.timer = null;
+  tracePlayButton.value = "Play";
+}
+
+// Plays the next step of the trace, finishing once the search is done and every
+// step up to its solution has been played. The steps after the solution only
+// look for a second one, so are not played.
+function stepTrace() {
+  const next = trace.steps[trace.position];
+  if (next !== undefined && next.type !== "solution") {
+    showStep(trace.steps[trace.position++]);
+    traceStatus.textContent = `Step ${trace.position}`;
+    render();
+  } else if (trace.result !== null) {
+    finishTrace();
+  }
+}
+
+function playTrace() {
+  pauseTrace();
+  tracePlayButton.value = "Pause";
+  trace.timer = setInterval(stepTrace, 1000 / Number(traceSpeed.value));
+}
+
+// Shows the result of the search once the trace has been played to its end.
+function finishTrace() {
+  pauseTrace();
+  tracePlayButton.disabled = true;
+  traceStepButton.disabled = true;
+  board.tracing = -1;
+
+  // Put the cells back as they were if the search failed, or else fill in the
+  // solution.
+  const { error, solution, steps, truncated } = trace.result;
+  if (error) {
+    board.cells = [...trace.start];
+    board.pencil.forEach((marks) => marks.clear());
+    traceStatus.textContent = error;
+  } else {
+    for (let i = 0; i < CELL_COUNT; i++) {
+      if (!board.givens[i]) {
+        board.cells[i] = solution[i];
+      }
     }
-    document.getElementsByClassName(rowLetter + col)[0].innerText = data[i];
+    syncTextArea();
+    const shown = truncated ? " (not all shown)" : "";
+    traceStatus.textContent = `Solved in ${steps} steps${shown}`;
   }
-  return;
+
+  render();
+  checkConflicts();
+}
+
+// Streams the trace of a search for the puzzle in the textarea, and plays it
+// back on the grid as it arrives.
+function watchSolve() {
+  if (trace.source !== null) {
+    trace.source.close();
+  }
+
+  trace.start = [...board.cells];
+  trace.steps = [];
+  trace.position = 0;
+  trace.result = null;
+  trace.source = new EventSource(
+    `/api/solve/stream?puzzle=${encodeURIComponent(textArea.value)}`
+  );
+  trace.source.addEventListener("step", (event) => {
+    trace.steps.push(JSON.parse(event.data));
+  });
+  trace.source.addEventListener("done", (event) => {
+    // Close the stream at once, or the browser would open it again.
+    trace.source.close();
+    trace.source = null;
+    trace.result = JSON.parse(event.data);
+  });
+  trace.source.addEventListener("error", () => {
+    trace.source.close();
+    trace.source = null;
+    trace.result = { error: "Could not stream the solve" };
+  });
+
+  board.pencil.forEach((marks) => marks.clear());
+  tracePlayButton.disabled = false;
+  traceStepButton.disabled = false;
+  traceStatus.textContent = "";
+  playTrace();
 }
 
 async function getSolved() {
-  const stuff = {"puzzle": textArea.value}
-  const data = await fetch("/api/solve", {
-    method: "POST",
-    headers: {
-      "Accept": "application/json",
-      "Content-type": "application/json"
-    },
-    body: JSON.stringify(stuff)
-  })
-  const parsed = await data.json();
+  const parsed = await postJson("/api/solve", { puzzle: textArea.value });
   if (parsed.error) {
     errorMsg.innerHTML = `<code>${JSON.stringify(parsed, null, 2)}</code>`;
-    return
+    return;
   }
-  fillpuzzle(parsed.solution)
+
+  // Fill in every cell which was not given, as though the player had.
+  for (let i = 0; i < CELL_COUNT; i++) {
+    if (!board.givens[i]) {
+      board.cells[i] = parsed.solution[i];
+      board.pencil[i].clear();
+    }
+  }
+  syncTextArea();
+  render();
+  checkConflicts();
 }
 
 async function getChecked() {
   const stuff = {"puzzle": textArea.value, "coordinate": coordInput.value, "value": valInput.value}
-    const data = await fetch("/api/check", {
-    method: "POST",
-    headers: {
-      "Accept": "application/json",
-      "Content-type": "application/json"
-    },
-    body: JSON.stringify(stuff)
-  })
-  const parsed = await data.json();
+  const parsed = await postJson("/api/check", stuff);
   errorMsg.innerHTML = `<code>${JSON.stringify(parsed, null, 2)}</code>`;
 }
 
 
 document.getElementById("solve-button").addEventListener("click", getSolved)
-document.getElementById("check-button").addEventListener("click", getChecked)
\ No newline at end of file
+document.getElementById("check-button").addEventListener("click", getChecked)
+traceButton.addEventListener("click", watchSolve);
+tracePlayButton.addEventListener("click", () =>
+  trace.timer === null ? playTrace() : pauseTrace()
+);
+traceStepButton.addEventListener("click", () => {
+  pauseTrace();
+  stepTrace();
+});
+traceSpeed.addEventListener("input", () => {
+  if (trace.timer !== null) {
+    playTrace();
+  }
+});
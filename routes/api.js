@@ -1,96 +1,630 @@
 "use strict";
 
-const SudokuSolver = require("../controllers/sudoku-solver.js");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const GameBoard = require("../controllers/game-board.js");
+const Game = require("../controllers/game.js");
+const { createGameStore } = require("../controllers/game-store.js");
+const PuzzleLibrary = require("../controllers/puzzle-library.js");
+const Random = require("../controllers/random.js");
+const WorkerPool = require("../controllers/worker-pool.js");
+const {
+  getSolvers,
+  checkPlacement,
+} = require("../controllers/puzzle-requests.js");
+const {
+  parsePuzzle,
+  parsePuzzles,
+} = require("../controllers/puzzle-formats.js");
+
+/**
+ * The request body fields describing a puzzle's grid layout and rules, which are
+ * kept with each game so that its solver can be found again.
+ */
+const RULE_FIELDS = [
+  "size",
+  "boxRows",
+  "boxCols",
+  "regionMap",
+  "constraints",
+  "cages",
+  "thermometers",
+  "arrows",
+  "kropki",
+  "inequalities",
+];
+
+/**
+ * The time a request run by the solver workers may take, in milliseconds, unless
+ * the 'SOLVE_TIMEOUT' environment variable gives another.
+ */
+const DEFAULT_SOLVE_TIMEOUT = 10000;
+
+/**
+ * The most nodes a search may visit, unless the 'SOLVE_NODE_LIMIT' environment
+ * variable gives another.
+ */
+const DEFAULT_NODE_LIMIT = 5000000;
+
+/**
+ * The error given when each kind of request run by the solver workers runs out
+ * of time.
+ */
+const TIMEOUT_ERRORS = {
+  solve: "Solve timed out",
+  trace: "Solve timed out",
+  generate: "Generation timed out",
+  explain: "Explanation timed out",
+  hint: "Hint timed out",
+  rate: "Rating timed out",
+  diagnose: "Diagnosis timed out",
+  analyse: "Analysis timed out",
+};
+
+/**
+ * The difficulty of the daily puzzle on each day of the week, from Sunday. The
+ * puzzles grow harder through the week.
+ */
+const DAILY_DIFFICULTIES = [
+  "expert",
+  "easy",
+  "easy",
+  "medium",
+  "medium",
+  "hard",
+  "hard",
+];
 
 module.exports = function (app) {
-  let solver = new SudokuSolver();
+  // The games being played, kept in the directory named by the 'GAMES_DIR'
+  // environment variable, or else in memory.
+  const games = createGameStore(process.env.GAMES_DIR);
+
+  // The library of puzzles, kept in the file named by the 'PUZZLES_FILE'
+  // environment variable, or else in memory.
+  const library = new PuzzleLibrary(process.env.PUZZLES_FILE);
+
+  // The workers which solve and generate puzzles away from the event loop, so
+  // that one slow puzzle does not hold up every other request. The number of
+  // workers is set by the 'SOLVER_WORKERS' environment variable, and defaults to
+  // one fewer than the number of processors.
+  const pool = new WorkerPool(
+    path.join(__dirname, "../controllers/solver-worker.js"),
+    {
+      size:
+        Number(process.env.SOLVER_WORKERS) || Math.max(1, os.cpus().length - 1),
+      timeout: Number(process.env.SOLVE_TIMEOUT) || DEFAULT_SOLVE_TIMEOUT,
+    }
+  );
+  const nodeLimit = Number(process.env.SOLVE_NODE_LIMIT) || DEFAULT_NODE_LIMIT;
+
+  /**
+   * Runs the given request on a solver worker, freeing the worker at once if the
+   * client goes away before the response is sent.
+   *
+   * @param {string} type The kind of request, such as 'solve' or 'generate'.
+   * @param {object} body The request body.
+   * @param {Response} res The response the result is for.
+   * @param {function} onProgress A function called with each piece of progress
+   * the worker reports, if any.
+   * @returns {Promise<object>} The result, or an error if the request ran out of
+   * time.
+   */
+  const runTask = (type, body, res, onProgress) => {
+    const controller = new AbortController();
+    const onClose = () => {
+      if (res.writableEnded === false) {
+        controller.abort();
+      }
+    };
+
+    res.on("close", onClose);
+    return pool
+      .run(
+        { type, body, nodeLimit },
+        {
+          signal: controller.signal,
+          timeoutError: TIMEOUT_ERRORS[type],
+          onProgress,
+        }
+      )
+      .finally(() => res.off("close", onClose));
+  };
 
   app.route("/api/check").post((req, res) => {
-    // Pull the puzzle string, a coordinate, and the value to check from
-    // the request body.
-    let { puzzle, coordinate, value } = req.body;
+    return res.json(checkPlacement(req.body));
+  });
+
+  app.route("/api/conflicts").post((req, res) => {
+    // Pull the puzzle string from the request body.
+    const { puzzle } = req.body;
+
+    // Make sure a puzzle was provided.
+    if (!puzzle) {
+      return res.json({ error: "Required field missing" });
+    }
+
+    // Find the solver for the requested grid layout.
+    const { solver, error } = getSolvers(req.body);
+    if (error) {
+      return res.json({ error });
+    }
+
+    // Read the puzzle into a puzzle string.
+    const read = parsePuzzle(puzzle, solver.layout);
+    if (read.error) {
+      return res.json({ error: read.error });
+    }
 
-    // Make sure all of the above are present in the request body.
-    if (!puzzle || !coordinate || !value) {
+    // List every conflict on the board. Calling 'findConflicts' will validate the
+    // puzzle string, first.
+    return res.json(solver.findConflicts(read.puzzle));
+  });
+
+  app.route("/api/moves").post((req, res) => {
+    // Pull the starting puzzle string, and the moves to make on it, from the
+    // request body.
+    const { puzzle, moves } = req.body;
+
+    // Make sure both are present in the request body.
+    if (!puzzle || !moves) {
       return res.json({ error: "Required field(s) missing" });
     }
 
-    // Make sure the data is of the proper type.
-    if (typeof puzzle !== "string") {
-      return res.json({ error: "Puzzle must be a string" });
+    if (Array.isArray(moves) === false) {
+      return res.json({ error: "Moves must be a list of moves" });
     }
 
-    if (typeof coordinate !== "string") {
-      return res.json({ error: "Coordinate must be a string" });
+    // Find the solver for the requested grid layout.
+    const { solver, error } = getSolvers(req.body);
+    if (error) {
+      return res.json({ error });
     }
 
-    // Make sure the value given is a number between 1 and 9.
-    value = parseInt(value);
-    if (isNaN(value) === true || value < 0 || value > 9) {
-      return res.json({ error: "Invalid value" });
+    // Read the puzzle into a puzzle string, and set up the board.
+    const read = parsePuzzle(puzzle, solver.layout);
+    if (read.error) {
+      return res.json({ error: read.error });
     }
 
-    // Make sure the puzzle string given is valid.
-    const validation = solver.validate(puzzle);
-    if (validation.ok === false) {
-      return res.json({ error: validation.error });
+    const created = GameBoard.create(solver, read.puzzle);
+    if (created.error) {
+      return res.json({ error: created.error });
     }
 
-    // Make sure the coordinate contains a letter A-I, followed by a number 1-9.
-    if (/^[A-I][1-9]$/.test(coordinate) === false) {
-      return res.json({ error: "Invalid coordinate" });
+    // Make each move in turn, recording the board after it, and stopping at the
+    // first move which may not be made.
+    const { board } = created;
+    const steps = [];
+    let illegal;
+    for (const [index, move] of moves.entries()) {
+      const { legal, ...result } = board.apply(move);
+      if (legal === false) {
+        illegal = { index, move, ...result };
+        break;
+      }
+
+      steps.push(board.snapshot());
     }
 
-    // Pull the row letter and the column number from the coordinate.
-    const rowLetter = coordinate[0];
-    const columnNumber = +coordinate[1];
+    return res.json({
+      steps,
+      ...(illegal ? { illegal } : {}),
+      board: board.toString(),
+      solved: board.isSolved(),
+    });
+  });
+
+  app.route("/api/solve").post(async (req, res) => {
+    return res.json(await runTask("solve", req.body, res));
+  });
 
-    // Validate the row, column and region placement of the given value.
-    const rowCheck = solver.checkRowPlacement(
-      puzzle,
-      rowLetter,
-      columnNumber,
-      value
+  app.route("/api/diagnose").post(async (req, res) => {
+    // Explain why the puzzle cannot be solved on a solver worker, as doing so may
+    // take many searches.
+    return res.json(await runTask("diagnose", req.body, res));
+  });
+
+  app.route("/api/solve/stream").get(async (req, res) => {
+    // Browsers can only open an event stream with a GET request, so the puzzle,
+    // the engine and the grid layout arrive in the query string.
+    //
+    // Each step of the search is sent as a 'step' event as soon as the solver
+    // worker reports it, and the stream finishes with a 'done' event holding the
+    // result of the solve, or an error. The worker is freed if the client goes
+    // away before then.
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const send = (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const result = await runTask("trace", req.query, res, (steps) =>
+      steps.forEach((step) => send("step", step))
     );
+    if (res.destroyed === false) {
+      send("done", result);
+    }
+
+    return res.end();
+  });
+
+  app.route("/api/solve/batch").post(async (req, res) => {
+    // Options shared by every puzzle, such as the grid size or the engine, may be
+    // given in the query string, or alongside a list of puzzles in a JSON body.
+    let options = { ...req.query };
+    let puzzles = req.body;
+    if (
+      puzzles !== null &&
+      typeof puzzles === "object" &&
+      Array.isArray(puzzles.puzzles)
+    ) {
+      ({ puzzles, ...options } = { ...options, ...req.body });
+    }
+
+    // Otherwise the puzzles must be a JSON list, or else NDJSON, which is read a
+    // line at a time as it arrives.
+    const ndjson =
+      Array.isArray(puzzles) === false &&
+      Boolean(req.is("application/x-ndjson"));
+    if (Array.isArray(puzzles) === false && ndjson === false) {
+      return res.json({ error: "Expected a list of puzzles" });
+    }
+
+    res.type("application/x-ndjson");
+
+    // Solve each puzzle on a solver worker, writing out a line with its result
+    // and the time taken in milliseconds. A puzzle may be given alone, or as an
+    // object with its own options. One bad puzzle only fails its own line.
+    let index = 0;
+    const solveNext = async (item) => {
+      const started = process.hrtime.bigint();
+      const body =
+        item !== null && typeof item === "object" && !Array.isArray(item)
+          ? { ...options, ...item }
+          : { ...options, puzzle: item };
+
+      const result = await runTask("solve", body, res);
+
+      const time = Number(process.hrtime.bigint() - started) / 1e6;
+      res.write(`${JSON.stringify({ index: index++, ...result, time })}\n`);
+    };
+
+    // Puzzles are solved one at a time, stopping early if the client goes away.
+    if (ndjson) {
+      const lines = readline.createInterface({
+        input: req,
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (res.destroyed) {
+          break;
+        }
+
+        if (line.trim() === "") {
+          continue;
+        }
+
+        // Lines which are not JSON, such as those of an .sdm file, are taken as
+        // puzzles in themselves.
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (err) {
+          item = line.trim();
+        }
+
+        await solveNext(item);
+      }
+    } else {
+      for (const item of puzzles) {
+        if (res.destroyed) {
+          break;
+        }
+
+        await solveNext(item);
+      }
+    }
+
+    return res.end();
+  });
+
+  /**
+   * Finds the game with the given identifier, along with the solver for its
+   * rules.
+   *
+   * @param {string} id The game's identifier.
+   * @returns {{game: Game, error: string}} The game, or an error if it does not
+   * exist.
+   */
+  const loadGame = (id) => {
+    const data = games.get(id);
+    if (data === undefined) {
+      return { error: "Game not found" };
+    }
 
-    const columnCheck = solver.checkColPlacement(
-      puzzle,
-      rowLetter,
-      columnNumber,
-      value
+    const { solver, error } = getSolvers(data.rules);
+    if (error) {
+      return { error };
+    }
+
+    return { game: new Game(solver, data) };
+  };
+
+  app.route("/api/games").post(async (req, res) => {
+    // Pull the puzzle string from the request body. If none is given, one is
+    // generated with the requested difficulty and symmetry.
+    const { puzzle, difficulty, symmetry } = req.body;
+
+    // Find the solver for the requested grid layout.
+    const { solver, error } = getSolvers(req.body);
+    if (error) {
+      return res.json({ error });
+    }
+
+    // Keep the layout and rules the puzzle follows along with the game.
+    const rules = {};
+    RULE_FIELDS.filter((field) => req.body[field] !== undefined).forEach(
+      (field) => (rules[field] = req.body[field])
     );
 
-    const regionCheck = solver.checkRegionPlacement(
-      puzzle,
-      rowLetter,
-      columnNumber,
-      value
+    // Read the puzzle, or generate one with the same layout and rules on a solver
+    // worker.
+    let puzzleString;
+    if (puzzle) {
+      const read = parsePuzzle(puzzle, solver.layout);
+      if (read.error) {
+        return res.json({ error: read.error });
+      }
+      puzzleString = read.puzzle;
+    } else {
+      const generated = await runTask(
+        "generate",
+        { ...rules, difficulty, symmetry },
+        res
+      );
+      if (generated.error) {
+        return res.json({ error: generated.error });
+      }
+      puzzleString = generated.puzzle;
+    }
+
+    // Start the game. Calling 'create' will validate the puzzle string, first.
+    const created = Game.create(
+      solver,
+      crypto.randomUUID(),
+      puzzleString,
+      rules
     );
+    if (created.error) {
+      return res.json({ error: created.error });
+    }
+
+    games.set(created.game);
+    return res.json(created.game.state());
+  });
 
-    // Create an array and populate it with any conflicts that occured in the checks above.
-    const conflicts = [];
-    if (rowCheck.valid === false) {
-      conflicts.push("row");
+  app.route("/api/games/:id").get((req, res) => {
+    const { game, error } = loadGame(req.params.id);
+    if (error) {
+      return res.json({ error });
     }
-    if (columnCheck.valid === false) {
-      conflicts.push("column");
+
+    return res.json(game.state());
+  });
+
+  app.route("/api/games/:id/moves").post((req, res) => {
+    const { game, error } = loadGame(req.params.id);
+    if (error) {
+      return res.json({ error });
     }
-    if (regionCheck.valid === false) {
-      conflicts.push("region");
+
+    // Make the move given in the request body, if it may be made.
+    const { legal, ...result } = game.move(req.body);
+    if (legal === false) {
+      return res.json(result);
+    }
+
+    games.set(game);
+    return res.json(game.state());
+  });
+
+  // Undo the last move, redo the last move undone, or clear every move.
+  for (const action of ["undo", "redo", "reset"]) {
+    app.route(`/api/games/:id/${action}`).post((req, res) => {
+      const { game, error } = loadGame(req.params.id);
+      if (error) {
+        return res.json({ error });
+      }
+
+      const result = game[action]();
+      if (result.error) {
+        return res.json({ error: result.error });
+      }
+
+      games.set(game);
+      return res.json(game.state());
+    });
+  }
+
+  /**
+   * Solves and rates a puzzle being added to the library on a solver worker.
+   *
+   * @param {AddPuzzleOptions} options The puzzle and its details.
+   * @param {Response} res The response the puzzle is added for.
+   * @returns {Promise<PuzzleAnalysis>} The puzzle's analysis, or an error.
+   */
+  const analyse = ({ puzzle, size }, res) =>
+    res.destroyed
+      ? Promise.resolve({ error: "Task cancelled" })
+      : runTask("analyse", { puzzle, size }, res);
+
+  /**
+   * Adds the given puzzles to the library, solving and rating each of them on a
+   * solver worker, one at a time.
+   *
+   * @param {AddPuzzleOptions[]} items The puzzles and their details.
+   * @param {object} details The details of any puzzle which does not give its
+   * own.
+   * @param {Response} res The response the puzzles are added for.
+   * @returns {Promise<object>} The records of the puzzles added, and the errors
+   * of those which were not.
+   */
+  const importPuzzles = async (items, details, res) => {
+    const analyses = [];
+    for (const item of items) {
+      analyses.push(await analyse({ ...details, ...item }, res));
+    }
+
+    return library.import(items, details, analyses);
+  };
+
+  app
+    .route("/api/puzzles")
+    .get((req, res) => {
+      // Filters and the page arrive in the query string, so convert the numeric
+      // ones into numbers if they were given.
+      const filters = { ...req.query };
+      for (const field of ["size", "minClues", "maxClues", "page", "limit"]) {
+        if (filters[field] !== undefined) {
+          filters[field] = Number(filters[field]);
+        }
+      }
+
+      return res.json(library.find(filters));
+    })
+    .post(async (req, res) => {
+      // Either a single puzzle, or a list or collection of puzzles to import, may
+      // be given, each in any of the supported formats.
+      const { puzzle, puzzles, size = 9, source, tags } = req.body;
+      if (!puzzle && !puzzles) {
+        return res.json({ error: "Required field missing" });
+      }
+
+      const { solver, error } = PuzzleLibrary.solversFor(Number(size));
+      if (error) {
+        return res.json({ error });
+      }
+
+      // Read each puzzle into a puzzle string, leaving those which cannot be read
+      // for the library to report.
+      const { layout } = solver;
+      const read = (item) => {
+        const fields =
+          item !== null && typeof item === "object" && !Array.isArray(item)
+            ? item
+            : { puzzle: item };
+        const parsed = parsePuzzle(fields.puzzle, layout);
+        return {
+          ...fields,
+          puzzle: parsed.error ? fields.puzzle : parsed.puzzle,
+        };
+      };
+
+      // The source and tags given apply to every puzzle which does not give its
+      // own.
+      const details = { size: layout.size };
+      if (source !== undefined) {
+        details.source = source;
+      }
+      if (tags !== undefined) {
+        details.tags = tags;
+      }
+
+      if (puzzles === undefined) {
+        const options = { ...details, ...read(puzzle) };
+        const analysis = await analyse(options, res);
+        return res.json(library.record(options, analysis));
+      }
+
+      if (Array.isArray(puzzles)) {
+        return res.json(await importPuzzles(puzzles.map(read), details, res));
+      }
+
+      if (typeof puzzles !== "string") {
+        return res.json({ error: "Puzzles must be a list of puzzles" });
+      }
+
+      // A collection given as text holds one puzzle on each line. Lines which do
+      // not hold a whole puzzle are reported alongside those the library
+      // rejects, each by its index in the collection.
+      const parsed = parsePuzzles(puzzles, layout);
+      if (parsed.error) {
+        return res.json({ error: parsed.error });
+      }
+
+      const imported = await importPuzzles(
+        parsed.puzzles.map(read),
+        details,
+        res
+      );
+      const errors = [
+        ...parsed.errors,
+        ...imported.errors.map(({ index, error }) => ({
+          index: parsed.indices[index],
+          error,
+        })),
+      ].sort((a, b) => a.index - b.index);
+
+      return res.json({ puzzles: imported.puzzles, errors });
+    });
+
+  app.route("/api/puzzles/:id").get((req, res) => {
+    const found = library.get(req.params.id);
+    return res.json(
+      found === undefined ? { error: "Puzzle not found" } : found
+    );
+  });
+
+  app.route("/api/generate").post(async (req, res) => {
+    // Generate the puzzle on a solver worker. All of the options are optional.
+    return res.json(await runTask("generate", req.body, res));
+  });
+
+  // The most recently requested daily puzzle, kept so that it is only generated
+  // once.
+  let daily = null;
+
+  app.route("/api/daily").get(async (req, res) => {
+    // The date may be given as 'YYYY-MM-DD', and defaults to today's date in UTC.
+    const { date = new Date().toISOString().slice(0, 10) } = req.query;
+    const day = new Date(`${date}T00:00:00Z`);
+    if (
+      /^\d{4}-\d{2}-\d{2}$/.test(date) === false ||
+      isNaN(day.getTime()) ||
+      day.toISOString().slice(0, 10) !== date
+    ) {
+      return res.json({ error: "Invalid date" });
     }
 
-    // Create the response.
-    const response = { valid: conflicts.length === 0 };
-    if (response.valid === false) {
-      response.conflict = conflicts;
+    // The seed and difficulty are derived from the date alone, so every server
+    // serves the same puzzle on the same day.
+    if (daily === null || daily.date !== date) {
+      const generated = await runTask(
+        "generate",
+        {
+          difficulty: DAILY_DIFFICULTIES[day.getUTCDay()],
+          seed: Random.seedFrom(`daily:${date}`),
+        },
+        res
+      );
+      if (generated.error) {
+        return res.json({ error: generated.error });
+      }
+
+      daily = { date, ...generated };
     }
 
-    // Return the response.
-    return res.json(response);
+    return res.json(daily);
   });
 
-  app.route("/api/solve").post((req, res) => {
-    // Pull the puzzle string from the request body.
+  app.route("/api/candidates").post((req, res) => {
+    // Pull the puzzle string, and whether to apply basic eliminations, from the
+    // request body.
     const { puzzle } = req.body;
 
     // Make sure a puzzle was provided.
@@ -98,12 +632,40 @@ module.exports = function (app) {
       return res.json({ error: "Required field missing" });
     }
 
-    // Attempt to solve the puzzle. Calling 'solve' will validate the puzzle string, first.
-    const solve = solver.solve(puzzle);
-    if (solve.error) {
-      return res.json(solve);
+    // The flag may arrive as a string from form submissions.
+    const eliminate =
+      req.body.eliminate === true || req.body.eliminate === "true";
+
+    // Find the logical solver for the requested grid layout.
+    const { logicalSolver, error } = getSolvers(req.body);
+    if (error) {
+      return res.json({ error });
+    }
+
+    // Read the puzzle into a puzzle string.
+    const read = parsePuzzle(puzzle, logicalSolver.layout);
+    if (read.error) {
+      return res.json({ error: read.error });
     }
 
-    return res.json(solve);
+    // List the candidates. Calling 'candidates' will validate the puzzle string, first.
+    return res.json(logicalSolver.candidates(read.puzzle, eliminate));
+  });
+
+  app.route("/api/explain").post(async (req, res) => {
+    // Solve the puzzle step by step on a solver worker, as the harder techniques
+    // may take a while on large grids.
+    return res.json(await runTask("explain", req.body, res));
+  });
+
+  app.route("/api/hint").post(async (req, res) => {
+    // Find the next deduction on a solver worker, for the same reason.
+    return res.json(await runTask("hint", req.body, res));
+  });
+
+  app.route("/api/rate").post(async (req, res) => {
+    // Rate the puzzle on a solver worker, as a puzzle which logic cannot finish
+    // is searched for a solution.
+    return res.json(await runTask("rate", req.body, res));
   });
 };
@@ -15,6 +15,8 @@ const app = express();
 app.use("/public", express.static(process.cwd() + "/public"));
 app.use(cors({ origin: "*" })); //For FCC testing purposes only
 
+// Lists of puzzles to solve in a batch may be far larger than other requests.
+app.use("/api/solve/batch", bodyParser.json({ limit: "10mb" }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -34,6 +36,19 @@ app.use(function (req, res, next) {
   res.status(404).type("text").send("Not Found");
 });
 
+//Request bodies over the size limit
+app.use(function (err, req, res, next) {
+  if (err.type !== "entity.too.large") {
+    return next(err);
+  }
+
+  res.status(413).json({
+    error: req.path.startsWith("/api/solve/batch")
+      ? "Request body too large; send long lists of puzzles as NDJSON"
+      : "Request body too large",
+  });
+});
+
 //Start our server and tests!
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, function () {
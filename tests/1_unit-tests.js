@@ -1,9 +1,41 @@
+const path = require("path");
 const chai = require("chai");
 const assert = chai.assert;
 
 const { puzzlesAndSolutions } = require("../controllers/puzzle-strings");
 const Solver = require("../controllers/sudoku-solver.js");
+const LogicalSolver = require("../controllers/logical-solver.js");
+const GridLayout = require("../controllers/grid-layout.js");
+const GameBoard = require("../controllers/game-board.js");
+const PuzzleLibrary = require("../controllers/puzzle-library.js");
+const Random = require("../controllers/random.js");
+const Game = require("../controllers/game.js");
+const WorkerPool = require("../controllers/worker-pool.js");
+const {
+  MemoryGameStore,
+  FileGameStore,
+} = require("../controllers/game-store.js");
+const {
+  resolveConstraints,
+  resolveCages,
+  resolveMarkings,
+} = require("../controllers/constraints.js");
+const {
+  FORMATS,
+  parsePuzzle,
+  parsePuzzles,
+  formatPuzzle,
+} = require("../controllers/puzzle-formats.js");
+const { getSolvers } = require("../controllers/puzzle-requests.js");
+const cli = require("../bin/sudoku.js");
 const solver = new Solver();
+const logicalSolver = new LogicalSolver();
+
+// A standard grid, and a solver for it following the given extra rules, once
+// resolved by the given function, such as 'resolveCages'.
+const layout = new GridLayout();
+const solverWith = (rules, resolve = resolveConstraints) =>
+  new Solver(layout, resolve(rules, layout).constraints);
 
 suite("UnitTests", () => {
   suite("Puzzle String Validation", () => {
@@ -88,6 +120,52 @@ suite("UnitTests", () => {
     });
   });
 
+  suite("Conflicts", () => {
+    test("Lists every pair of clashing cells on the board.", () => {
+      const puzzle = [...puzzlesAndSolutions[0][0]];
+      puzzle[1] = "1";
+      puzzle[10] = "1";
+
+      const { conflicts } = solver.findConflicts(puzzle.join(""));
+      assert.deepEqual(conflicts, [
+        { cells: ["A1", "A2"], unit: "row" },
+        { cells: ["A1", "A2"], unit: "region" },
+        { cells: ["A1", "B2"], unit: "region" },
+        { cells: ["A2", "B2"], unit: "column" },
+        { cells: ["A2", "B2"], unit: "region" },
+        { cells: ["B2", "B6"], unit: "row" },
+      ]);
+
+      assert.deepEqual(
+        solver.findConflicts(puzzlesAndSolutions[0][0]).conflicts,
+        []
+      );
+      assert.strictEqual(
+        solver.findConflicts("1.5").error,
+        "Expected puzzle to be 81 characters long"
+      );
+    });
+
+    test("Lists cells clashing through extra rules.", () => {
+      const diagonal = solverWith(["diagonal"]);
+      const puzzle = [...".".repeat(81)];
+      puzzle[0] = "5";
+      puzzle[80] = "5";
+
+      assert.deepEqual(diagonal.findConflicts(puzzle.join("")).conflicts, [
+        { cells: ["A1", "I9"], unit: "diagonal" },
+      ]);
+      assert.deepEqual(
+        diagonal.findPlacementConflicts(puzzle.join(""), 10, 5),
+        [
+          { cell: 0, unit: "region" },
+          { cell: 0, unit: "diagonal" },
+          { cell: 80, unit: "diagonal" },
+        ]
+      );
+    });
+  });
+
   suite("Puzzle Solving", () => {
     test("Valid puzzle strings pass the solver.", () => {
       const puzzle =
@@ -154,6 +232,176 @@ suite("UnitTests", () => {
       }
     });
 
+    test("Solver quickly solves puzzles which need a deep search.", function () {
+      this.timeout(1000);
+
+      const solve = solver.solve(
+        "4.....8.5.3..........7......2.....6.....8.4......1.......6.3.7.5..2.....1.4......"
+      );
+
+      assert.notProperty(solve, "error");
+      assert.strictEqual(
+        solve.solution,
+        "417369825632158947958724316825437169791586432346912758289643571573291684164875293"
+      );
+      assert.strictEqual(solve.unique, true);
+    });
+
+    test("Solver reports a unique solution for a proper puzzle.", () => {
+      const solve = solver.solve(puzzlesAndSolutions[1][0]);
+
+      assert.notProperty(solve, "error");
+      assert.strictEqual(solve.unique, true);
+      assert.strictEqual(solve.solutionCount, 1);
+    });
+
+    test("Solver detects puzzles with multiple solutions.", () => {
+      // Blanking out two pairs of cells which share the same two digits
+      // across the same two rows and columns gives the puzzle two solutions.
+      const puzzle = puzzlesAndSolutions[0][1].split("");
+      puzzle[0] = puzzle[2] = puzzle[63] = puzzle[65] = ".";
+
+      const solve = solver.solve(puzzle.join(""));
+      assert.notProperty(solve, "error");
+      assert.property(solve, "solution");
+      assert.strictEqual(solve.unique, false);
+      assert.strictEqual(solve.solutionCount, 2);
+
+      const empty = solver.solve(".".repeat(81));
+      assert.strictEqual(empty.unique, false);
+      assert.strictEqual(empty.solutionCount, Solver.SOLUTION_COUNT_LIMIT);
+    });
+
+    test("Dancing links engine agrees with the backtracking engine.", () => {
+      for (const [unsolved, solved] of puzzlesAndSolutions) {
+        const solve = solver.solve(unsolved, true, "dlx");
+
+        assert.notProperty(solve, "error");
+        assert.strictEqual(solve.solution, solved);
+        assert.strictEqual(solve.unique, true);
+      }
+
+      const puzzle = puzzlesAndSolutions[0][1].split("");
+      puzzle[0] = puzzle[2] = puzzle[63] = puzzle[65] = ".";
+
+      const backtrack = solver.countSolutions(puzzle, 10, "backtrack");
+      const dlx = solver.countSolutions(puzzle, 10, "dlx");
+      assert.strictEqual(dlx.count, 2);
+      assert.sameMembers(dlx.solutions, backtrack.solutions);
+    });
+
+    test("Solver rejects unknown engines.", () => {
+      const solve = solver.solve(puzzlesAndSolutions[0][0], true, "quantum");
+      assert.property(solve, "error");
+      assert.strictEqual(solve.error, "Invalid engine");
+    });
+
+    test("Solver gives up once it reaches its node limit.", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[1];
+
+      ["backtrack", "dlx"].forEach((engine) => {
+        assert.deepEqual(solver.solve(puzzle, true, engine, null, 5), {
+          error: "Solve exceeded the search node limit",
+        });
+        assert.strictEqual(
+          solver.solve(puzzle, true, engine, null, 100000).solution,
+          solution
+        );
+      });
+    });
+
+    test("Solver traces each step of its search.", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[0];
+      const steps = [];
+      const solve = solver.solve(puzzle, true, "backtrack", (step) =>
+        steps.push(step)
+      );
+
+      assert.strictEqual(solve.solution, solution);
+      assert.deepEqual(steps.slice(0, 2), [
+        { type: "candidates", cell: "A2", candidates: [3] },
+        { type: "place", cell: "A2", value: 3 },
+      ]);
+      assert.deepEqual(
+        steps.filter(({ type }) => type === "solution"),
+        [{ type: "solution", solution }]
+      );
+
+      // Every placement is taken back once the search has looked past it.
+      const count = (type) => steps.filter((step) => step.type === type).length;
+      assert.strictEqual(count("place"), count("backtrack"));
+      assert.strictEqual(count("place"), puzzle.replace(/[^.]/g, "").length);
+
+      assert.strictEqual(
+        solver.solve(puzzle, true, "dlx", () => {}).error,
+        "Engine 'dlx' does not support tracing"
+      );
+    });
+
+    test("Solver explains why a puzzle cannot be solved.", () => {
+      const empty = ".".repeat(81);
+      const place = (givens) => {
+        const puzzle = empty.split("");
+        Object.entries(givens).forEach(([cell, value]) => {
+          puzzle[solver.layout.parseCoordinate(cell)] = value;
+        });
+        return puzzle.join("");
+      };
+
+      assert.deepEqual(solver.diagnose(puzzlesAndSolutions[0][0]), {
+        solvable: true,
+      });
+
+      const duplicate = solver.diagnose(place({ A1: "5", A9: "5" }));
+      assert.include(duplicate, {
+        solvable: false,
+        reason: "duplicate-givens",
+      });
+      assert.deepEqual(duplicate.conflicts, [
+        { cells: ["A1", "A9"], unit: "row" },
+      ]);
+
+      // A9 sees every digit, in its row and column.
+      const stuck = solver.diagnose(`12345678.${".".repeat(71)}9`);
+      assert.include(stuck, { reason: "no-candidates", cell: "A9" });
+
+      // The 1 in B7 keeps the row's 1 out of A8 and A9, its only empty cells.
+      const homeless = solver.diagnose(
+        `2345678..${"......1.."}${".".repeat(63)}`
+      );
+      assert.include(homeless, { reason: "no-place", value: "1", unit: "row" });
+      assert.deepEqual(
+        homeless.cells,
+        [..."123456789"].map((n) => `A${n}`)
+      );
+
+      // A7 and A8 can only hold a 7, so the givens clash only once the row is
+      // followed through. The 5 in I1 plays no part, so is left out.
+      const contradiction = solver.diagnose(
+        place({
+          ...Object.fromEntries([..."123456"].map((n) => [`A${n}`, n])),
+          D7: "8",
+          E7: "9",
+          G8: "8",
+          H8: "9",
+          I1: "5",
+        })
+      );
+      assert.include(contradiction, {
+        solvable: false,
+        reason: "contradiction",
+      });
+      assert.sameMembers(contradiction.givens, [
+        ...[..."123456"].map((n) => `A${n}`),
+        "D7",
+        "E7",
+        "G8",
+        "H8",
+      ]);
+
+      assert.property(solver.diagnose("123"), "error");
+    });
+
     test("Solver can generate random Sudokus that can be solved.", () => {
       const generated = solver.generate();
       const solve = solver.solve(generated);
@@ -167,4 +415,1345 @@ suite("UnitTests", () => {
       assert.notProperty(check, "conflict");
     });
   });
+
+  suite("Puzzle Generation", () => {
+    test("Generated puzzles have a unique solution within the clue range.", () => {
+      const generated = solver.generatePuzzle({
+        difficulty: "easy",
+        minClues: 38,
+        maxClues: 40,
+      });
+
+      assert.notProperty(generated, "error");
+      assert.isAtLeast(generated.clues, 38);
+      assert.isAtMost(generated.clues, 40);
+      assert.strictEqual(
+        generated.puzzle.replace(/\./g, "").length,
+        generated.clues
+      );
+
+      const solve = solver.solve(generated.puzzle);
+      assert.strictEqual(solve.unique, true);
+      assert.strictEqual(solve.solution, generated.solution);
+    });
+
+    test("Generated puzzles are rated at the requested difficulty.", function () {
+      this.timeout(20000);
+      for (const difficulty of ["easy", "medium", "hard", "expert"]) {
+        for (const seed of [1, 2]) {
+          const generated = solver.generatePuzzle({ difficulty, seed });
+          assert.notProperty(generated, "error");
+          assert.strictEqual(generated.difficulty, difficulty);
+          assert.strictEqual(
+            logicalSolver.rate(generated.puzzle).difficulty,
+            difficulty
+          );
+        }
+      }
+
+      // Grids too small to need harder techniques give the hardest puzzle found.
+      const small = new Solver(new GridLayout({ size: 4 }));
+      const generated = small.generatePuzzle({ difficulty: "hard", seed: 1 });
+      assert.notProperty(generated, "error");
+      assert.strictEqual(
+        new LogicalSolver(small.layout).rate(generated.puzzle).difficulty,
+        generated.difficulty
+      );
+    });
+
+    test("Generated puzzles follow the requested symmetry.", () => {
+      const generated = solver.generatePuzzle({
+        difficulty: "easy",
+        symmetry: "rotational",
+      });
+
+      assert.notProperty(generated, "error");
+      for (let i = 0; i < 81; ++i) {
+        assert.strictEqual(
+          generated.puzzle[i] === ".",
+          generated.puzzle[80 - i] === "."
+        );
+      }
+    });
+
+    test("Generates the same puzzle from the same seed.", () => {
+      const first = new Random(2024);
+      const second = new Random(2024);
+      const sequence = [...Array(5)].map(() => first.next());
+      assert.deepEqual(
+        [...Array(5)].map(() => second.next()),
+        sequence
+      );
+      sequence.forEach((number) => assert.isTrue(number >= 0 && number < 1));
+      assert.strictEqual(Random.seedFrom("daily"), Random.seedFrom("daily"));
+      assert.notStrictEqual(
+        Random.seedFrom("daily"),
+        Random.seedFrom("weekly")
+      );
+
+      const generated = solver.generatePuzzle({ difficulty: "hard", seed: 7 });
+      assert.strictEqual(generated.seed, 7);
+      assert.deepEqual(
+        solver.generatePuzzle({ difficulty: "hard", seed: 7 }),
+        generated
+      );
+      assert.notStrictEqual(
+        solver.generatePuzzle({ difficulty: "hard", seed: 8 }).puzzle,
+        generated.puzzle
+      );
+
+      // Puzzles generated without a seed report the one they were given.
+      const unseeded = solver.generatePuzzle({ difficulty: "easy" });
+      assert.isTrue(Random.isSeed(unseeded.seed));
+      assert.strictEqual(
+        solver.generatePuzzle({ difficulty: "easy", seed: unseeded.seed })
+          .puzzle,
+        unseeded.puzzle
+      );
+    });
+
+    test("Handles invalid generation options.", () => {
+      let generated = solver.generatePuzzle({ difficulty: "impossible" });
+      assert.strictEqual(generated.error, "Invalid difficulty");
+
+      generated = solver.generatePuzzle({ symmetry: "spiral" });
+      assert.strictEqual(generated.error, "Invalid symmetry");
+
+      generated = solver.generatePuzzle({ minClues: 30, maxClues: 20 });
+      assert.strictEqual(generated.error, "Invalid clue count range");
+
+      generated = solver.generatePuzzle({ minClues: 12 });
+      assert.strictEqual(generated.error, "Invalid clue count range");
+
+      generated = solver.generatePuzzle({ seed: 2 ** 32 });
+      assert.strictEqual(generated.error, "Invalid seed");
+    });
+  });
+
+  suite("Logical Solving", () => {
+    test("Explains every step of solving a puzzle.", () => {
+      for (const [unsolved, solved] of puzzlesAndSolutions) {
+        const explanation = logicalSolver.explain(unsolved);
+
+        assert.notProperty(explanation, "error");
+        assert.strictEqual(explanation.solved, true);
+        assert.strictEqual(explanation.puzzle, solved);
+        assert.strictEqual(
+          explanation.steps.filter((step) => step.placement).length,
+          unsolved.split(".").length - 1
+        );
+      }
+    });
+
+    test("Gives the next deduction as a hint.", () => {
+      const { hint } = logicalSolver.hint(puzzlesAndSolutions[0][0]);
+
+      assert.strictEqual(hint.technique, "Hidden Single");
+      assert.deepEqual(hint.cells, ["A2"]);
+      assert.deepEqual(hint.placement, { cell: "A2", value: 3 });
+
+      const solved = logicalSolver.hint(puzzlesAndSolutions[0][1]);
+      assert.strictEqual(solved.error, "Puzzle is already solved");
+    });
+
+    test("Lists the candidates of every empty cell.", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[0];
+      const { candidates } = logicalSolver.candidates(puzzle);
+
+      assert.lengthOf(Object.keys(candidates), puzzle.split(".").length - 1);
+      assert.notProperty(candidates, "A1");
+      assert.deepEqual(candidates.A2, [3]);
+      assert.deepEqual(candidates.B1, [9]);
+      assert.deepEqual(candidates.C1, [7, 9]);
+
+      // Basic eliminations are enough to narrow every cell of an easy puzzle
+      // down to its solution.
+      const eliminated = logicalSolver.candidates(puzzle, true).candidates;
+      Object.entries(eliminated).forEach(([cell, values]) => {
+        const index = solver.layout.parseCoordinate(cell);
+        assert.deepEqual(values, [+solution[index]]);
+      });
+    });
+
+    test("Never eliminates a digit of the solution.", () => {
+      const puzzle =
+        "..............3.85..1.2.......5.7.....4...1...9.......5......73..2.1........4...9";
+      const { solution } = solver.solve(puzzle);
+      const all = logicalSolver.candidates(puzzle).candidates;
+      const eliminated = logicalSolver.candidates(puzzle, true).candidates;
+
+      let removed = 0;
+      Object.entries(eliminated).forEach(([cell, values]) => {
+        const index = solver.layout.parseCoordinate(cell);
+        assert.include(values, +solution[index]);
+        removed += all[cell].length - values.length;
+      });
+      assert.isAbove(removed, 0);
+    });
+
+    test("Finds a Swordfish.", () => {
+      // Confine 7 to columns 1, 5 and 9 in rows A, E and I.
+      const grid = logicalSolver.createGrid(".".repeat(81));
+      for (const row of [0, 4, 8]) {
+        for (const col of [1, 2, 3, 5, 6, 7]) {
+          grid.candidates[9 * row + col].delete(7);
+        }
+      }
+      grid.candidates[8].delete(7);
+
+      assert.isNull(logicalSolver.findFish(grid, 2));
+
+      const swordfish = logicalSolver.describe({
+        technique: "Swordfish",
+        ...logicalSolver.findFish(grid, 3),
+      });
+      assert.deepEqual(swordfish.values, [7]);
+      assert.strictEqual(swordfish.eliminations.length, 18);
+      assert.isTrue(
+        swordfish.eliminations.every((elimination) =>
+          ["1", "5", "9"].includes(elimination.cell[1])
+        )
+      );
+    });
+
+    test("Finds an XY-Wing.", () => {
+      const grid = logicalSolver.createGrid(".".repeat(81));
+      grid.candidates[0] = new Set([1, 2]); // Pivot, A1
+      grid.candidates[4] = new Set([1, 3]); // Pincer, A5
+      grid.candidates[18] = new Set([2, 3]); // Pincer, C1
+
+      const xyWing = logicalSolver.describe({
+        technique: "XY-Wing",
+        ...logicalSolver.findXYWing(grid),
+      });
+      assert.deepEqual(xyWing.cells, ["A1", "A5", "C1"]);
+      assert.deepEqual(
+        xyWing.eliminations.map((elimination) => elimination.cell).sort(),
+        ["A2", "A3", "C4", "C5", "C6"]
+      );
+    });
+  });
+
+  suite("Difficulty Rating", () => {
+    test("Rates a puzzle solvable with singles as easy.", () => {
+      const rating = logicalSolver.rate(puzzlesAndSolutions[0][0]);
+
+      assert.notProperty(rating, "error");
+      assert.strictEqual(rating.difficulty, "easy");
+      assert.strictEqual(rating.hardestTechnique, "Hidden Single");
+      assert.strictEqual(rating.requiresGuessing, false);
+      assert.strictEqual(rating.steps, 43);
+      assert.strictEqual(rating.score, 43);
+    });
+
+    test("Reports puzzles which cannot be finished without guessing.", () => {
+      const rating = logicalSolver.rate(".".repeat(81));
+
+      assert.notProperty(rating, "error");
+      assert.strictEqual(rating.difficulty, "expert");
+      assert.strictEqual(rating.requiresGuessing, true);
+      assert.isNull(rating.hardestTechnique);
+    });
+
+    test("Handles puzzles which cannot be solved.", () => {
+      const puzzle = puzzlesAndSolutions[0][0].split("");
+      puzzle[0] = "1";
+      puzzle[1] = "1";
+
+      const rating = logicalSolver.rate(puzzle.join(""));
+      assert.strictEqual(rating.error, "Puzzle cannot be solved");
+    });
+
+    test("Gives up searching once it reaches its node limit.", () => {
+      const rating = logicalSolver.rate(".".repeat(81), 10);
+      assert.strictEqual(rating.error, "Solve exceeded the search node limit");
+    });
+  });
+
+  suite("Grid Sizes", () => {
+    const solverFor = (options) =>
+      new Solver(GridLayout.create(options).layout);
+
+    test("Handles grid sizes and box shapes.", () => {
+      assert.strictEqual(GridLayout.create({ size: 6 }).layout.boxRows, 2);
+      assert.strictEqual(GridLayout.create({ size: 6 }).layout.boxCols, 3);
+      assert.strictEqual(
+        GridLayout.create({ size: 17 }).error,
+        "Invalid grid size"
+      );
+      assert.strictEqual(
+        GridLayout.create({ size: 6, boxRows: 3, boxCols: 3 }).error,
+        "Invalid box shape"
+      );
+    });
+
+    test("Validates puzzle strings against the grid size.", () => {
+      const small = solverFor({ size: 4 });
+      assert.strictEqual(small.validate("1...3..2.1...3.1").ok, true);
+      assert.strictEqual(
+        small.validate("1...3..2.1...3.5").error,
+        "Invalid characters in puzzle"
+      );
+      assert.strictEqual(
+        small.validate(".".repeat(81)).error,
+        "Expected puzzle to be 16 characters long"
+      );
+
+      const large = solverFor({ size: 16 });
+      assert.strictEqual(large.validate("G".repeat(256)).ok, true);
+      assert.strictEqual(
+        large.validate("H".repeat(256)).error,
+        "Invalid characters in puzzle; expected 123456789ABCDEFG, or '.' or '0' for an empty cell"
+      );
+    });
+
+    test("Handles placements using letters and two-digit columns.", () => {
+      const large = solverFor({ size: 16 });
+      const puzzle = `G${".".repeat(255)}`;
+
+      assert.strictEqual(large.layout.parseCoordinate("P16"), 255);
+      assert.strictEqual(large.layout.parseCoordinate("Q1"), -1);
+      assert.strictEqual(
+        large.checkRowPlacement(puzzle, "A", 16, "G").valid,
+        false
+      );
+      assert.strictEqual(
+        large.checkColPlacement(puzzle, "P", 1, 16).valid,
+        false
+      );
+      assert.strictEqual(
+        large.checkRegionPlacement(puzzle, "D", 4, 16).valid,
+        false
+      );
+      assert.strictEqual(large.checkPlacement(puzzle, "E", 5, 16).valid, true);
+    });
+
+    test("Solves and generates puzzles of other sizes.", () => {
+      const small = solverFor({ size: 4 });
+      const solve = small.solve("1...3..2.1...3.1");
+      assert.notProperty(solve, "error");
+      assert.strictEqual(solve.solution, "1234341221434321");
+      assert.strictEqual(small.checkSolve(solve.solution).solved, true);
+
+      for (const size of [6, 12, 16]) {
+        const sized = solverFor({ size });
+        const generated = sized.generatePuzzle({ difficulty: "easy" });
+        assert.notProperty(generated, "error");
+        assert.strictEqual(generated.puzzle.length, size * size);
+
+        const sizedSolve = sized.solve(generated.puzzle, true, "dlx");
+        assert.strictEqual(sizedSolve.unique, true);
+        assert.strictEqual(sizedSolve.solution, generated.solution);
+        assert.strictEqual(sized.checkSolve(sizedSolve.solution).solved, true);
+      }
+    });
+  });
+
+  suite("Extra Constraints", () => {
+    test("Rejects unknown constraints.", () => {
+      assert.strictEqual(
+        resolveConstraints(["diagonal", "sideways"], layout).error,
+        "Unknown constraint 'sideways'"
+      );
+      assert.lengthOf(
+        resolveConstraints("diagonal, windoku", layout).constraints,
+        2
+      );
+    });
+
+    test("Reports placements breaking a constraint by name.", () => {
+      const puzzle = `${".".repeat(80)}5`;
+      const diagonal = solverWith(["diagonal", "non-consecutive"]);
+
+      assert.deepEqual(
+        diagonal.checkConstraintPlacement(puzzle, "A", 1, 5).conflict,
+        ["diagonal"]
+      );
+      assert.deepEqual(
+        diagonal.checkConstraintPlacement(puzzle, "I", 8, 4).conflict,
+        ["non-consecutive"]
+      );
+      assert.strictEqual(
+        diagonal.checkPlacement(puzzle, "A", 1, 5).valid,
+        false
+      );
+      assert.strictEqual(solver.checkPlacement(puzzle, "A", 1, 5).valid, true);
+    });
+
+    test("Solves puzzles honouring the constraints.", () => {
+      // Few solved grids follow both rules, so a puzzle is given rather than
+      // generated. It has more than one solution without them.
+      const constrained = solverWith(["anti-knight", "diagonal"]);
+      const { constraints } = constrained;
+      const puzzle =
+        "3..4.........8......1...5..6.35.728...2...7..4...1...35.8...9...3.8......2.734.5.";
+      assert.strictEqual(solver.solve(puzzle, true).unique, false);
+
+      for (const engine of ["backtrack", "dlx"]) {
+        const { solution, unique } = constrained.solve(puzzle, true, engine);
+        assert.strictEqual(unique, true);
+        assert.strictEqual(
+          solution,
+          "385462179974185362261973548613597284892346715457218693548621937736859421129734856"
+        );
+        assert.strictEqual(constrained.checkSolve(solution).solved, true);
+
+        // No two related cells of the solution hold the same digit.
+        for (const { neighbours } of constraints) {
+          neighbours.forEach((cells, cell) =>
+            cells.forEach((other) =>
+              assert.notStrictEqual(solution[cell], solution[other])
+            )
+          );
+        }
+      }
+
+      // An ordinary solved grid breaks the diagonal rule.
+      const [, classic] = puzzlesAndSolutions[0];
+      const check = solverWith(["diagonal"]).checkSolve(classic);
+      assert.strictEqual(check.solved, false);
+      assert.include(check.conflict, "diagonal");
+    });
+
+    test("Generates puzzles with unique constrained solutions.", () => {
+      const windoku = solverWith(["windoku"]);
+      const generated = windoku.generatePuzzle({ difficulty: "easy" });
+      assert.notProperty(generated, "error");
+      assert.strictEqual(windoku.solve(generated.puzzle).unique, true);
+      assert.strictEqual(windoku.checkSolve(generated.solution).solved, true);
+    });
+  });
+
+  suite("Killer Cages", () => {
+    test("Rejects invalid cages.", () => {
+      assert.strictEqual(
+        resolveCages([{ cells: ["A1", "J1"], sum: 3 }], layout).error,
+        "Invalid cage cells"
+      );
+      assert.strictEqual(
+        resolveCages([{ cells: ["A1", "A2"], sum: "lots" }], layout).error,
+        "Invalid cage sum"
+      );
+      assert.strictEqual(
+        resolveCages(
+          [
+            { cells: ["A1", "A2"], sum: 3 },
+            { cells: ["A2", "A3"], sum: 5 },
+          ],
+          layout
+        ).error,
+        "Cages must not overlap"
+      );
+      assert.strictEqual(
+        resolveCages({ cells: ["A1"], sum: 1 }, layout).error,
+        "Cages must be a list of cages"
+      );
+    });
+
+    test("Reports placements breaking a cage.", () => {
+      const killer = solverWith(
+        [{ cells: ["C3", "D4"], sum: 3 }],
+        resolveCages
+      );
+      const puzzle = `${".".repeat(20)}1${".".repeat(60)}`;
+
+      assert.deepEqual(
+        killer.checkConstraintPlacement(puzzle, "D", 4, 1).conflict,
+        ["cage"]
+      );
+      assert.deepEqual(
+        killer.checkConstraintPlacement(puzzle, "D", 4, 5).conflict,
+        ["cage"]
+      );
+      assert.strictEqual(killer.checkPlacement(puzzle, "D", 4, 2).valid, true);
+    });
+
+    test("Generates and solves Killer Sudoku puzzles.", () => {
+      const generated = solver.generatePuzzle({
+        difficulty: "easy",
+        killer: true,
+      });
+      assert.notProperty(generated, "error");
+      assert.isAtMost(generated.clues, 4);
+      assert.isArray(generated.cages);
+
+      // No cage is small enough to give its digit away.
+      generated.cages.forEach(({ cells }) => assert.isAtLeast(cells.length, 2));
+
+      const killer = solverWith(generated.cages, resolveCages);
+      const solve = killer.solve(generated.puzzle);
+      assert.strictEqual(solve.unique, true);
+      assert.strictEqual(solve.solution, generated.solution);
+      assert.strictEqual(killer.checkSolve(solve.solution).solved, true);
+
+      assert.strictEqual(
+        killer.solve(generated.puzzle, true, "dlx").error,
+        "Engine 'dlx' does not support the 'cage' constraint"
+      );
+    });
+  });
+
+  suite("Jigsaw Layouts", () => {
+    // Two pairs of boxes, each trading cells along their shared edge.
+    const regionMap = [
+      "111122333",
+      "111222333",
+      "112222333",
+      "444555666",
+      "444555666",
+      "444555666",
+      "778888999",
+      "777888999",
+      "777788999",
+    ].join("");
+
+    test("Validates region maps.", () => {
+      assert.deepEqual(
+        GridLayout.create({ regionMap }).layout.units.regions[0],
+        [0, 1, 2, 3, 9, 10, 11, 18, 19]
+      );
+      assert.strictEqual(
+        GridLayout.create({ regionMap: regionMap.slice(1) }).error,
+        "Expected region map to be 81 characters long"
+      );
+      assert.strictEqual(
+        GridLayout.create({ regionMap: `2${regionMap.slice(1)}` }).error,
+        "Region map must describe 9 regions of 9 cells"
+      );
+      assert.strictEqual(
+        GridLayout.create({ regionMap: `9${regionMap.slice(1, 80)}1` }).error,
+        "Regions must be connected"
+      );
+    });
+
+    test("Checks placements against the jigsaw regions.", () => {
+      const jigsaw = new Solver(GridLayout.create({ regionMap }).layout);
+      const puzzle = `${".".repeat(13)}5${".".repeat(67)}`;
+
+      assert.strictEqual(
+        jigsaw.checkRegionPlacement(puzzle, "C", 3, 5).valid,
+        false
+      );
+      assert.strictEqual(
+        solver.checkRegionPlacement(puzzle, "C", 3, 5).valid,
+        true
+      );
+    });
+
+    test("Solves jigsaw puzzles.", () => {
+      const jigsaw = new Solver(GridLayout.create({ regionMap }).layout);
+      const puzzle =
+        "...75186.1..843..58...6...1...6..7.2.7512.394.2457........82.....841..2...6.....7";
+      const solution =
+        "243751869169843275852967431981634752675128394324579618517382946798416523436295187";
+
+      for (const engine of ["backtrack", "dlx"]) {
+        const solve = jigsaw.solve(puzzle, true, engine);
+        assert.strictEqual(solve.unique, true);
+        assert.strictEqual(solve.solution, solution);
+      }
+      assert.strictEqual(jigsaw.checkSolve(solution).solved, true);
+
+      // With ordinary boxes, the same givens conflict.
+      assert.strictEqual(solver.solve(puzzle).error, "Puzzle cannot be solved");
+    });
+
+    test("Generates and solves jigsaw puzzles.", () => {
+      const jigsaw = new Solver(GridLayout.create({ regionMap }).layout);
+      const generated = jigsaw.generatePuzzle({ difficulty: "easy" });
+      assert.notProperty(generated, "error");
+
+      const solve = jigsaw.solve(generated.puzzle);
+      assert.strictEqual(solve.unique, true);
+      assert.strictEqual(solve.solution, generated.solution);
+      assert.strictEqual(jigsaw.checkSolve(solve.solution).solved, true);
+    });
+
+    test("Keeps only the solvers of standard layouts.", () => {
+      const jigsaw = getSolvers({ regionMap });
+      assert.notProperty(jigsaw, "error");
+      assert.notStrictEqual(getSolvers({ regionMap }), jigsaw);
+      assert.strictEqual(
+        getSolvers({ size: 9, constraints: ["diagonal"] }),
+        getSolvers({ constraints: "diagonal" })
+      );
+    });
+  });
+
+  suite("Multi-Grid Puzzles", () => {
+    // A Samurai Sudoku: four grids in the corners, each sharing a corner box
+    // with the grid in the centre.
+    const samurai = [
+      [
+        0,
+        0,
+        "...3...6..8..5.....95......7.1..4...9......31.2.......3....2......81.......6.....",
+      ],
+      [
+        0,
+        12,
+        "3......8.9...8...5.....2.7..8..95..4..3.........7.6......5..1........7...5...76..",
+      ],
+      [
+        6,
+        6,
+        "...5........1........8.9.5...2.5...8.6.741............................8......6...",
+      ],
+      [
+        12,
+        0,
+        "1....5...2..1......5...9....9..2...7.8..........8..6...4.95........4.26.7...6....",
+      ],
+      [
+        12,
+        12,
+        "..........8....7.4...4...28....4968.........2.692.....1......5....3...7..3265....",
+      ],
+    ].map(([row, col, puzzle]) => ({ row, col, puzzle }));
+
+    test("Solves every grid of a Samurai Sudoku together.", () => {
+      for (const engine of ["backtrack", "dlx"]) {
+        const solve = solver.solveMultiGrid(samurai, engine);
+        assert.strictEqual(solve.unique, true);
+        assert.lengthOf(solve.solutions, 5);
+        solve.solutions.forEach((solution) =>
+          assert.strictEqual(solver.checkSolve(solution).solved, true)
+        );
+
+        // The bottom-right box of the top-left grid is the top-left box of the
+        // centre grid.
+        const [topLeft, , centre] = solve.solutions;
+        for (const row of [0, 1, 2]) {
+          assert.strictEqual(
+            topLeft.slice(9 * (row + 6) + 6, 9 * (row + 6) + 9),
+            centre.slice(9 * row, 9 * row + 3)
+          );
+        }
+      }
+    });
+
+    test("Reports placement conflicts within each grid sharing the cell.", () => {
+      const grids = [
+        { row: 0, col: 0, puzzle: ".".repeat(81) },
+        { row: 6, col: 6, puzzle: `${".".repeat(21)}5${".".repeat(59)}` },
+      ];
+
+      const check = solver.checkMultiGridPlacement(grids, 0, "I", 9, 5);
+      assert.strictEqual(check.valid, false);
+      assert.deepEqual(check.conflict, ["row"]);
+      assert.deepEqual(check.grids, [
+        { grid: 1, coordinate: "C3", conflict: ["row"] },
+      ]);
+      assert.strictEqual(
+        solver.checkMultiGridPlacement(grids, 0, "I", 6, 5).valid,
+        true
+      );
+    });
+
+    test("Rejects invalid multi-grid puzzles.", () => {
+      assert.strictEqual(
+        solver.solveMultiGrid([{ row: -1, col: 0, puzzle: ".".repeat(81) }])
+          .error,
+        "Invalid grid offset"
+      );
+      assert.strictEqual(
+        solver.solveMultiGrid([
+          { row: 0, col: 0, puzzle: `${".".repeat(80)}1` },
+          { row: 8, col: 8, puzzle: `2${".".repeat(80)}` },
+        ]).error,
+        "Sub-grids disagree at overlapping cells"
+      );
+      assert.strictEqual(
+        solver.solveMultiGrid([{ row: 0, col: 0, puzzle: "." }]).error,
+        "Expected puzzle to be 81 characters long (grid 0)"
+      );
+    });
+  });
+
+  suite("Line and Dot Constraints", () => {
+    test("Rejects invalid markings.", () => {
+      const errorOf = (markings) => resolveMarkings(markings, layout).error;
+
+      assert.strictEqual(
+        errorOf({ thermometers: [["A1", "A3"]] }),
+        "Invalid thermometer"
+      );
+      assert.strictEqual(
+        errorOf({ arrows: [{ circle: "A1", cells: [] }] }),
+        "Invalid arrow"
+      );
+      assert.strictEqual(
+        errorOf({ kropki: [{ cells: ["A1", "B2"], type: "white" }] }),
+        "Invalid kropki dot"
+      );
+      assert.strictEqual(
+        errorOf({ inequalities: [{ greater: "A1", lesser: "A1" }] }),
+        "Invalid greater-than sign"
+      );
+    });
+
+    test("Reports placements breaking a marking by name.", () => {
+      const marked = solverWith(
+        {
+          thermometers: [["A1", "A2", "A3"]],
+          arrows: [{ circle: "E5", cells: ["E6", "F7"] }],
+          kropki: [{ cells: ["C1", "C2"], type: "black" }],
+          inequalities: [{ greater: "I1", lesser: "I2" }],
+        },
+        resolveMarkings
+      );
+      const puzzle = [..."5".padEnd(81, ".")];
+      puzzle[18] = "3";
+      puzzle[40] = "7";
+      puzzle[73] = "4";
+
+      const conflictOf = (row, col, value) =>
+        marked.checkConstraintPlacement(puzzle.join(""), row, col, value)
+          .conflict;
+      assert.deepEqual(conflictOf("A", 2, 4), ["thermometer"]);
+      assert.deepEqual(conflictOf("A", 3, 6), ["thermometer"]);
+      assert.deepEqual(conflictOf("A", 2, 6), []);
+      assert.deepEqual(conflictOf("E", 6, 7), ["arrow"]);
+      assert.deepEqual(conflictOf("C", 2, 4), ["kropki"]);
+      assert.deepEqual(conflictOf("C", 2, 6), []);
+      assert.deepEqual(conflictOf("I", 1, 2), ["greater-than"]);
+    });
+
+    test("Solves puzzles honouring the markings.", () => {
+      // Mark every Kropki dot of a known solution.
+      const [, solution] = puzzlesAndSolutions[0];
+      const kropki = [];
+      for (let cell = 0; cell < 81; ++cell) {
+        for (const other of [cell + 1, cell + 9]) {
+          if (other >= 81 || (other === cell + 1 && cell % 9 === 8)) {
+            continue;
+          }
+
+          const [a, b] = [+solution[cell], +solution[other]];
+          const type =
+            Math.abs(a - b) === 1
+              ? "white"
+              : a === 2 * b || b === 2 * a
+              ? "black"
+              : null;
+          if (type !== null) {
+            const cells = [cell, other].map((c) => layout.cellName(c));
+            kropki.push({ cells, type });
+          }
+        }
+      }
+
+      const dotted = solverWith({ kropki }, resolveMarkings);
+      assert.strictEqual(dotted.checkSolve(solution).solved, true);
+
+      const marked = solverWith(
+        {
+          kropki: kropki.slice(0, 10),
+          thermometers: [["D1", "E2", "F3"]],
+          arrows: [{ circle: "A1", cells: ["B1", "C1"] }],
+          inequalities: [{ greater: "I9", lesser: "H9" }],
+        },
+        resolveMarkings
+      );
+      const solve = marked.solve(".".repeat(81));
+      assert.notProperty(solve, "error");
+      assert.strictEqual(marked.checkSolve(solve.solution).solved, true);
+    });
+  });
+
+  suite("Puzzle Formats", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+
+    test("Treats zeros as empty cells.", () => {
+      const zeros = puzzle.replace(/\./g, "0");
+      assert.strictEqual(solver.validate(zeros).ok, true);
+      assert.strictEqual(solver.solve(zeros).solution, solution);
+      assert.strictEqual(parsePuzzle(zeros, layout).puzzle, puzzle);
+    });
+
+    test("Writes and reads back every format.", () => {
+      for (const format of Object.keys(FORMATS)) {
+        const { output } = formatPuzzle(puzzle, layout, format);
+        assert.strictEqual(parsePuzzle(output, layout).puzzle, puzzle, format);
+      }
+
+      assert.strictEqual(
+        formatPuzzle(puzzle, layout, "ss").output.split("\n")[3],
+        "-----------"
+      );
+      assert.strictEqual(
+        formatPuzzle(puzzle, layout, "grid").output.split("\n")[0],
+        "1 . 5 | . . 2 | . 8 4"
+      );
+      assert.deepEqual(
+        formatPuzzle(puzzle, layout, "json").output[0],
+        [1, 0, 5, 0, 0, 2, 0, 8, 4]
+      );
+      assert.strictEqual(
+        formatPuzzle(puzzle, layout, "html").error,
+        "Invalid output format"
+      );
+    });
+
+    test("Reads files with metadata and collections.", () => {
+      const sdk = `#AAnonymous\n#DA test puzzle\n${
+        formatPuzzle(puzzle, layout, "sdk").output
+      }\n`;
+      assert.strictEqual(parsePuzzle(sdk, layout).puzzle, puzzle);
+
+      const sdm = puzzlesAndSolutions
+        .map(([each]) => formatPuzzle(each, layout, "sdm").output)
+        .join("\r\n");
+      assert.deepEqual(
+        parsePuzzles(sdm, layout).puzzles,
+        puzzlesAndSolutions.map(([each]) => each)
+      );
+      assert.strictEqual(
+        parsePuzzle(sdm, layout).error,
+        "Expected a single puzzle"
+      );
+
+      // A bad line is reported alone, and the rest of the collection is read.
+      const [[first], [second]] = puzzlesAndSolutions;
+      assert.deepEqual(parsePuzzles(`${first}\nabc\n${second}\n`, layout), {
+        puzzles: [first, second],
+        indices: [0, 2],
+        errors: [
+          { index: 1, error: "Expected puzzle to be 81 characters long" },
+        ],
+      });
+    });
+
+    test("Reads grids given as lists.", () => {
+      const rows = formatPuzzle(puzzle, layout, "json").output;
+      assert.strictEqual(parsePuzzle(rows, layout).puzzle, puzzle);
+      assert.strictEqual(
+        parsePuzzle(JSON.stringify(rows), layout).puzzle,
+        puzzle
+      );
+      assert.strictEqual(
+        parsePuzzle(rows.slice(1), layout).error,
+        "Invalid puzzle grid"
+      );
+      assert.strictEqual(
+        parsePuzzle("[1, 2", layout).error,
+        "Invalid puzzle grid"
+      );
+      assert.strictEqual(
+        parsePuzzle(42, layout).error,
+        "Puzzle must be a string or a list of rows"
+      );
+    });
+  });
+
+  suite("Command-Line Tool", () => {
+    // Runs the tool, collecting what it writes.
+    const runTool = (argv, stdin = "") => {
+      const out = [];
+      const err = [];
+      const code = cli.run(argv, {
+        readStdin: () => stdin,
+        writeOut: (line) => out.push(line),
+        writeErr: (line) => err.push(line),
+      });
+      return { code, out, err };
+    };
+
+    test("Solves puzzles from arguments and standard input.", () => {
+      const [[first, firstSolution], [second, secondSolution]] =
+        puzzlesAndSolutions;
+
+      assert.deepEqual(runTool(["solve", first]), {
+        code: cli.EXIT_CODES.ok,
+        out: [firstSolution],
+        err: [],
+      });
+
+      const piped = runTool(["solve", "--json"], `${first}\n${second}\n`);
+      assert.strictEqual(piped.code, cli.EXIT_CODES.ok);
+      assert.deepEqual(
+        piped.out.map((line) => JSON.parse(line).solution),
+        [firstSolution, secondSolution]
+      );
+    });
+
+    test("Exits with a code describing the worst result.", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+      const unsolvable = `11${puzzle.slice(2)}`;
+
+      const failed = runTool(["solve", puzzle, unsolvable]);
+      assert.strictEqual(failed.code, cli.EXIT_CODES.failed);
+      assert.deepEqual(failed.err, ["Puzzle 2: Puzzle cannot be solved"]);
+
+      const invalid = runTool(["validate", unsolvable, puzzle.slice(1)]);
+      assert.strictEqual(invalid.code, cli.EXIT_CODES.invalid);
+      assert.deepEqual(invalid.out, ["valid"]);
+
+      assert.strictEqual(runTool(["unknown"]).code, cli.EXIT_CODES.invalid);
+      assert.strictEqual(runTool(["solve"]).code, cli.EXIT_CODES.invalid);
+    });
+
+    test("Solves the rest of a file holding a bad line.", () => {
+      const [[first, firstSolution], [second, secondSolution]] =
+        puzzlesAndSolutions;
+      const file = path.join(
+        require("os").tmpdir(),
+        `sudoku-puzzles-${process.pid}.sdm`
+      );
+
+      try {
+        require("fs").writeFileSync(file, `${first}\nabc\n${second}\n`);
+        assert.deepEqual(runTool(["solve", "--file", file]), {
+          code: cli.EXIT_CODES.invalid,
+          out: [firstSolution, secondSolution],
+          err: ["Puzzle 2: Expected puzzle to be 81 characters long"],
+        });
+      } finally {
+        require("fs").rmSync(file, { force: true });
+      }
+    });
+
+    test("Checks placements and rates puzzles.", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      assert.deepEqual(runTool(["check", "A2", "3", puzzle]).out, ["valid"]);
+      assert.deepEqual(runTool(["check", "A2", "4", puzzle]), {
+        code: cli.EXIT_CODES.failed,
+        out: ["invalid: row"],
+        err: [],
+      });
+      assert.strictEqual(
+        runTool(["check", "Z2", "4", puzzle]).code,
+        cli.EXIT_CODES.invalid
+      );
+
+      const rating = runTool(["rate", "--json", puzzle]);
+      assert.strictEqual(JSON.parse(rating.out[0]).difficulty, "easy");
+    });
+
+    test("Generates the requested number of puzzles.", () => {
+      const generated = runTool([
+        "generate",
+        "--count",
+        "2",
+        "--size",
+        "4",
+        "-o",
+        "zeros",
+      ]);
+
+      assert.strictEqual(generated.code, cli.EXIT_CODES.ok);
+      assert.lengthOf(generated.out, 2);
+      generated.out.forEach((puzzle) => assert.match(puzzle, /^[0-4]{16}$/));
+
+      const seeded = runTool(["generate", "-n", "2", "--seed", "10"]);
+      assert.deepEqual(runTool(["generate", "--seed", "11"]).out, [
+        seeded.out[1],
+      ]);
+    });
+  });
+
+  suite("Game Boards", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+
+    test("Rejects illegal moves.", () => {
+      const { board } = GameBoard.create(solver, puzzle);
+      const errorOf = (move) => board.check(move).error;
+
+      assert.strictEqual(
+        errorOf({ type: "place", coordinate: "A1", value: 1 }),
+        "Cannot change a given cell"
+      );
+      assert.strictEqual(
+        errorOf({ type: "erase", coordinate: "J1" }),
+        "Invalid coordinate"
+      );
+      assert.strictEqual(
+        errorOf({ type: "pencil", coordinate: "A2", value: 0 }),
+        "Invalid value"
+      );
+      assert.strictEqual(
+        errorOf({ type: "guess", coordinate: "A2", value: 3 }),
+        "Invalid move type"
+      );
+      assert.deepEqual(
+        board.check({ type: "place", coordinate: "A2", value: 1 }),
+        {
+          legal: false,
+          error: "Placement breaks the rules",
+          conflict: ["row", "region"],
+        }
+      );
+      assert.strictEqual(
+        GameBoard.create(solver, "1.5").error,
+        "Expected puzzle to be 81 characters long"
+      );
+    });
+
+    test("Tracks placements and pencil marks.", () => {
+      const { board } = GameBoard.create(solver, puzzle);
+
+      board.apply({ type: "pencil", coordinate: "C1", value: 7 });
+      board.apply({ type: "pencil", coordinate: "C1", value: 9 });
+      board.apply({ type: "pencil", coordinate: "C1", value: 7 });
+      assert.deepEqual(board.snapshot().pencil, { C1: [9] });
+
+      board.apply({ type: "place", coordinate: "C1", value: 7 });
+      assert.deepEqual(board.snapshot().pencil, {});
+      assert.strictEqual(board.toString()[18], "7");
+      assert.strictEqual(
+        board.check({ type: "pencil", coordinate: "C1", value: 9 }).error,
+        "Cannot pencil a filled cell"
+      );
+
+      board.apply({ type: "erase", coordinate: "C1" });
+      assert.strictEqual(board.toString(), puzzle);
+    });
+
+    test("Reports when the board is solved.", () => {
+      const { board } = GameBoard.create(solver, puzzle);
+      [...puzzle].forEach((symbol, cell) => {
+        if (symbol === ".") {
+          assert.isFalse(board.isSolved());
+          const result = board.apply({
+            type: "place",
+            coordinate: solver.layout.cellName(cell),
+            value: solution[cell],
+          });
+          assert.isTrue(result.legal);
+        }
+      });
+
+      assert.isTrue(board.isSolved());
+    });
+  });
+
+  suite("Games", () => {
+    const [puzzle, solution] = puzzlesAndSolutions[0];
+    const place = (coordinate, value) => ({
+      type: "place",
+      coordinate,
+      value,
+    });
+
+    test("Undoes, redoes and resets moves.", () => {
+      const { game } = Game.create(solver, "game", puzzle, {}, 0);
+
+      game.move(place("A2", 3), 10);
+      game.move({ type: "pencil", coordinate: "A4", value: 7 }, 20);
+      assert.strictEqual(game.move(place("A5", 1), 30).legal, false);
+      assert.include(game.state(30), {
+        moves: 2,
+        canUndo: true,
+        canRedo: false,
+      });
+
+      game.undo(40);
+      assert.deepEqual(game.state(40).pencil, {});
+      assert.isTrue(game.state(40).canRedo);
+      game.redo(50);
+      assert.deepEqual(game.state(50).pencil, { A4: [7] });
+
+      // A new move discards the moves undone.
+      game.undo(60);
+      game.move(place("A4", 7), 70);
+      assert.strictEqual(game.redo(80).error, "Nothing to redo");
+      assert.strictEqual(game.state(80).board.slice(0, 4), "1357");
+
+      game.reset(90);
+      assert.strictEqual(game.state(90).board, puzzle);
+      assert.strictEqual(game.undo(90).error, "Nothing to undo");
+    });
+
+    test("Stops the clock once the board is solved.", () => {
+      const { game } = Game.create(solver, "game", puzzle, {}, 1000);
+      [...puzzle].forEach((symbol, cell) => {
+        if (symbol === ".") {
+          game.move(place(solver.layout.cellName(cell), solution[cell]), 5000);
+        }
+      });
+
+      assert.include(game.state(9000), {
+        board: solution,
+        solved: true,
+        elapsed: 4000,
+      });
+
+      game.undo(9000);
+      assert.include(game.state(9500), { solved: false, elapsed: 8500 });
+    });
+
+    test("Keeps games in memory or in a directory.", () => {
+      const path = require("path").join(
+        require("os").tmpdir(),
+        `sudoku-games-${process.pid}`
+      );
+
+      try {
+        for (const store of [new MemoryGameStore(), new FileGameStore(path)]) {
+          const { game } = Game.create(solver, "kept", puzzle, {}, 0);
+          game.move(place("A2", 3), 0);
+          store.set(game);
+          game.move(place("A4", 7), 0);
+
+          const kept = new Game(solver, store.get("kept"));
+          assert.strictEqual(kept.state(0).board[1], "3");
+          assert.strictEqual(kept.state(0).board[3], ".");
+          assert.isUndefined(store.get("lost"));
+          assert.isUndefined(store.get("../kept"));
+        }
+
+        // A new store finds the games already in the directory.
+        assert.isDefined(new FileGameStore(path).get("kept"));
+      } finally {
+        require("fs").rmSync(path, { force: true, recursive: true });
+      }
+    });
+
+    test("Forgets games left unsaved too long, or beyond the limit.", () => {
+      const path = require("path").join(
+        require("os").tmpdir(),
+        `sudoku-games-limited-${process.pid}`
+      );
+      const options = { lifetime: 1000, limit: 2 };
+
+      try {
+        for (const store of [
+          new MemoryGameStore(options),
+          new FileGameStore(path, options),
+        ]) {
+          const games = ["first", "second", "third"].map(
+            (id) => Game.create(solver, id, puzzle, {}, 0).game
+          );
+          store.set(games[0], 0);
+          store.set(games[1], 500);
+          assert.isDefined(store.get("first", 1000));
+          assert.isUndefined(store.get("first", 1001));
+
+          // Saving a game again keeps it longer, and the game saved longest ago
+          // makes way for a new one.
+          store.set(games[0], 900);
+          store.set(games[2], 1000);
+          assert.isUndefined(store.get("second", 1000));
+          assert.isDefined(store.get("first", 1900));
+          assert.isDefined(store.get("third", 1900));
+        }
+
+        assert.sameMembers(require("fs").readdirSync(path), [
+          "first.json",
+          "third.json",
+        ]);
+      } finally {
+        require("fs").rmSync(path, { force: true, recursive: true });
+      }
+    });
+  });
+
+  suite("Puzzle Library", () => {
+    const extra =
+      "..9..5.1.85.4....2432......1...69.83.9.....6.62.71...9......1945....4.37.4.3..6..";
+
+    test("Is seeded with the built-in puzzles.", () => {
+      const library = new PuzzleLibrary();
+      const { puzzles, total } = library.find();
+
+      assert.strictEqual(total, puzzlesAndSolutions.length);
+      puzzles.forEach((record, index) => {
+        const [puzzle, solution] = puzzlesAndSolutions[index];
+        assert.include(record, {
+          id: PuzzleLibrary.idOf(puzzle, 9),
+          puzzle,
+          solution,
+          source: "built-in",
+          clues: puzzle.replace(/\./g, "").length,
+        });
+        assert.deepEqual(library.get(record.id), record);
+      });
+    });
+
+    test("Adds puzzles under stable identifiers.", () => {
+      const library = new PuzzleLibrary();
+      const added = library.add({ puzzle: extra, tags: ["daily"] }).puzzle;
+      assert.strictEqual(added.id, PuzzleLibrary.idOf(extra, 9));
+      assert.strictEqual(added.source, "user");
+
+      // Adding the same puzzle again, with zeros for empty cells, only adds tags.
+      const again = library.add({
+        puzzle: extra.replace(/\./g, "0"),
+        tags: ["daily", "featured"],
+      }).puzzle;
+      assert.strictEqual(again.id, added.id);
+      assert.deepEqual(again.tags, ["daily", "featured"]);
+      assert.strictEqual(library.find().total, puzzlesAndSolutions.length + 1);
+
+      assert.strictEqual(
+        library.add({ puzzle: ".".repeat(81) }).error,
+        "Puzzle does not have a unique solution"
+      );
+      assert.deepEqual(library.import(["1.5", extra]).errors, [
+        { index: 0, error: "Expected puzzle to be 81 characters long" },
+      ]);
+    });
+
+    test("Finds puzzles by filters, a page at a time.", () => {
+      const library = new PuzzleLibrary();
+      library.add({ puzzle: extra, tags: ["daily", "featured"] });
+
+      assert.strictEqual(library.find({ tags: "daily" }).total, 1);
+      assert.strictEqual(library.find({ tags: ["daily", "unused"] }).total, 0);
+      assert.strictEqual(library.find({ tag: "featured" }).total, 1);
+      assert.strictEqual(library.find({ source: "built-in" }).total, 5);
+      assert.strictEqual(library.find({ maxClues: 32 }).total, 1);
+      assert.strictEqual(library.find({ size: 4 }).total, 0);
+
+      const second = library.find({ page: 2, limit: 4 });
+      assert.deepEqual(
+        second.puzzles.map(({ puzzle }) => puzzle),
+        [puzzlesAndSolutions[4][0], extra]
+      );
+      assert.include(second, { total: 6, page: 2, limit: 4 });
+      assert.strictEqual(library.find({ page: 0 }).error, "Invalid page");
+      assert.strictEqual(
+        library.find({ limit: 1000 }).error,
+        "Invalid page limit"
+      );
+    });
+
+    test("Keeps puzzles in a file.", () => {
+      const path = require("path").join(
+        require("os").tmpdir(),
+        `sudoku-puzzles-${process.pid}.json`
+      );
+
+      try {
+        new PuzzleLibrary(path).add({ puzzle: extra, source: "test" });
+        const reopened = new PuzzleLibrary(path);
+        assert.strictEqual(reopened.find().total, 6);
+        assert.strictEqual(
+          reopened.get(PuzzleLibrary.idOf(extra, 9)).source,
+          "test"
+        );
+      } finally {
+        require("fs").rmSync(path, { force: true });
+      }
+    });
+  });
+
+  suite("Worker Pool", () => {
+    const script = path.join(__dirname, "../controllers/solver-worker.js");
+    let pool;
+
+    teardown(() => pool.close());
+
+    test("Runs requests on worker threads, one at a time each.", () => {
+      pool = new WorkerPool(script, { size: 1 });
+      const [[first, firstSolution], [second, secondSolution]] =
+        puzzlesAndSolutions;
+
+      return Promise.all([
+        pool.run({ type: "solve", body: { puzzle: first } }),
+        pool.run({ type: "solve", body: { puzzle: second, engine: "dlx" } }),
+        pool.run({ type: "generate", body: { size: 4, seed: 3 } }),
+        pool.run({ type: "unknown", body: {} }),
+        pool.run({ type: "solve", body: { puzzle: first }, nodeLimit: 5 }),
+      ]).then(([solved, solvedByDlx, generated, unknown, limited]) => {
+        assert.strictEqual(solved.solution, firstSolution);
+        assert.strictEqual(solvedByDlx.solution, secondSolution);
+        assert.deepEqual(
+          generated,
+          new Solver(new GridLayout({ size: 4 })).generatePuzzle({ seed: 3 })
+        );
+        assert.deepEqual(unknown, { error: "Invalid task" });
+        assert.deepEqual(limited, {
+          error: "Solve exceeded the search node limit",
+        });
+        assert.strictEqual(pool.workers.size, 1);
+      });
+    });
+
+    test("Replaces workers whose requests run out of time.", () => {
+      pool = new WorkerPool(script, { size: 1, timeout: 1 });
+      const request = { type: "solve", body: { puzzle: ".".repeat(81) } };
+
+      return Promise.all([
+        pool.run(request, { timeoutError: "Solve timed out" }),
+        pool.run(request),
+      ]).then(([timedOut, queued]) => {
+        assert.deepEqual(timedOut, { error: "Solve timed out" });
+        assert.deepEqual(queued, { error: "Task timed out" });
+        assert.isAtMost(pool.workers.size, 1);
+      });
+    });
+
+    test("Frees workers whose requests are cancelled.", () => {
+      pool = new WorkerPool(script, { size: 1 });
+      const [puzzle, solution] = puzzlesAndSolutions[0];
+
+      const running = new AbortController();
+      const waiting = new AbortController();
+      const results = Promise.all([
+        pool.run(
+          { type: "solve", body: { puzzle } },
+          { signal: running.signal }
+        ),
+        pool.run(
+          { type: "solve", body: { puzzle } },
+          { signal: waiting.signal }
+        ),
+        pool.run({ type: "solve", body: { puzzle } }),
+      ]);
+      waiting.abort();
+      running.abort();
+
+      return results.then(([cancelled, dropped, solved]) => {
+        assert.deepEqual(cancelled, { error: "Task cancelled" });
+        assert.deepEqual(dropped, { error: "Task cancelled" });
+        assert.strictEqual(solved.solution, solution);
+        assert.strictEqual(pool.workers.size, 1);
+      });
+    });
+
+    test("Reports the progress of requests as they run.", () => {
+      pool = new WorkerPool(script, { size: 1 });
+      const [puzzle, solution] = puzzlesAndSolutions[0];
+      const batches = [];
+
+      return pool
+        .run(
+          { type: "trace", body: { puzzle } },
+          { onProgress: (steps) => batches.push(steps) }
+        )
+        .then((traced) => {
+          assert.include(traced, { solution, unique: true });
+          assert.isAbove(batches.length, 1);
+          assert.strictEqual(batches.flat().length, traced.steps);
+          assert.deepEqual(batches[0][1], {
+            type: "place",
+            cell: "A2",
+            value: 3,
+          });
+        });
+    });
+
+    test("Fails requests whose worker exits without replying.", () => {
+      const exiting = path.join(
+        require("os").tmpdir(),
+        `sudoku-worker-${process.pid}.js`
+      );
+      require("fs").writeFileSync(
+        exiting,
+        'require("worker_threads").parentPort.on("message", () => process.exit(1));'
+      );
+
+      pool = new WorkerPool(exiting, { size: 1 });
+      return Promise.all([pool.run({}), pool.run({})])
+        .then((results) =>
+          assert.deepEqual(results, [
+            { error: "Task failed" },
+            { error: "Task failed" },
+          ])
+        )
+        .finally(() => require("fs").rmSync(exiting, { force: true }));
+    });
+  });
 });
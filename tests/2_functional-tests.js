@@ -6,6 +6,20 @@ const { puzzlesAndSolutions } = require("../controllers/puzzle-strings");
 
 chai.use(chaiHttp);
 
+// A jigsaw region map, in which two pairs of boxes trade cells along their
+// shared edge.
+const regionMap = [
+  "111122333",
+  "111222333",
+  "112222333",
+  "444555666",
+  "444555666",
+  "444555666",
+  "778888999",
+  "777888999",
+  "777788999",
+].join("");
+
 suite("Functional Tests", () => {
   suite("POST /api/solve", () => {
     test("Solve a puzzle with a valid puzzle string", () => {
@@ -25,6 +39,235 @@ suite("Functional Tests", () => {
         });
     });
 
+    test("Solve a puzzle drawn as a grid, writing the solution as JSON", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[1];
+      const rows = puzzle.replace(/\./g, "0").match(/.{9}/g);
+      const drawn = rows
+        .map((row) => row.match(/.{3}/g).join("|"))
+        .flatMap((row, index) =>
+          index % 3 === 2 && index < 8 ? [row, "---+---+---"] : [row]
+        )
+        .join("\n");
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: drawn, output: "json" })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.deepEqual(
+            res.body.solution,
+            solution.match(/.{9}/g).map((row) => [...row].map(Number))
+          );
+        });
+    });
+
+    test("Solve a puzzle with an invalid output format", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle, output: "pdf" })
+        .end((err, res) => {
+          assert.notProperty(res.body, "solution");
+          assert.strictEqual(res.body.error, "Invalid output format");
+        });
+    });
+
+    test("Solve a puzzle and report that its solution is unique", () => {
+      const [puzzle] = puzzlesAndSolutions[2];
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "unique");
+          assert.strictEqual(res.body.unique, true);
+          assert.strictEqual(res.body.solutionCount, 1);
+        });
+    });
+
+    test("Solve a puzzle with multiple solutions", () => {
+      const puzzle = puzzlesAndSolutions[0][1].split("");
+      puzzle[0] = puzzle[2] = puzzle[63] = puzzle[65] = ".";
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: puzzle.join("") })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "solution");
+          assert.strictEqual(res.body.unique, false);
+          assert.strictEqual(res.body.solutionCount, 2);
+        });
+    });
+
+    test("Solve a puzzle with the dancing links engine", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[4];
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle, engine: "dlx" })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.solution, solution);
+          assert.strictEqual(res.body.unique, true);
+        });
+    });
+
+    test("Solve a puzzle on a 6x6 grid", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: "1.....4..........5.4..........6....1", size: 6 })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "solution");
+          assert.strictEqual(res.body.solution.length, 36);
+        });
+    });
+
+    test("Solve a puzzle with extra constraints", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), constraints: ["diagonal"] })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+
+          // Both main diagonals hold every digit.
+          const { solution } = res.body;
+          const down = [...Array(9).keys()].map((i) => solution[i * 10]);
+          const up = [...Array(9).keys()].map((i) => solution[i * 8 + 8]);
+          assert.strictEqual(new Set(down).size, 9);
+          assert.strictEqual(new Set(up).size, 9);
+        });
+    });
+
+    test("Solve a puzzle with an unknown constraint", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), constraints: ["sideways"] })
+        .end((err, res) => {
+          assert.notProperty(res.body, "solution");
+          assert.strictEqual(res.body.error, "Unknown constraint 'sideways'");
+        });
+    });
+
+    test("Solve a Killer Sudoku puzzle given by its cages", () => {
+      // Split each row of a known solution into cages of two cells, and one.
+      const [, solution] = puzzlesAndSolutions[0];
+      const cages = [];
+      for (const row of "ABCDEFGHI") {
+        for (let col = 1; col <= 9; col += 2) {
+          const cols = col < 9 ? [col, col + 1] : [col];
+          cages.push({
+            cells: cols.map((c) => `${row}${c}`),
+            sum: cols.reduce(
+              (sum, c) => sum + +solution[9 * "ABCDEFGHI".indexOf(row) + c - 1],
+              0
+            ),
+          });
+        }
+      }
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ cages })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.solution.length, 81);
+          assert.strictEqual(
+            +res.body.solution[0] + +res.body.solution[1],
+            cages[0].sum
+          );
+        });
+    });
+
+    test("Solve a puzzle with jigsaw regions", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), regionMap })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+
+          // Every region of the map holds every digit.
+          for (const region of "123456789") {
+            const digits = [...res.body.solution].filter(
+              (_, cell) => regionMap[cell] === region
+            );
+            assert.strictEqual(new Set(digits).size, 9);
+          }
+        });
+    });
+
+    test("Solve a puzzle with an invalid region map", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(81), regionMap: "1".repeat(81) })
+        .end((err, res) => {
+          assert.notProperty(res.body, "solution");
+          assert.strictEqual(
+            res.body.error,
+            "Region map must describe 9 regions of 9 cells"
+          );
+        });
+    });
+
+    test("Solve a multi-grid puzzle", () => {
+      // Two grids sharing a single box, one of them filled in.
+      const [, solution] = puzzlesAndSolutions[0];
+      const grids = [
+        { row: 0, col: 0, puzzle: solution },
+        { row: 6, col: 6, puzzle: ".".repeat(81) },
+      ];
+
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ grids })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.lengthOf(res.body.solutions, 2);
+          assert.strictEqual(res.body.solutions[0], solution);
+          assert.strictEqual(
+            res.body.solutions[1].slice(0, 3),
+            solution.slice(60, 63)
+          );
+        });
+    });
+
+    test("Solve a puzzle with lines and dots", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({
+          puzzle: ".".repeat(81),
+          thermometers: [["A1", "A2", "B3", "C3"]],
+          kropki: [{ cells: ["I8", "I9"], type: "black" }],
+          inequalities: [{ greater: "E5", lesser: "E6" }],
+        })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+
+          const digit = (cell) => +res.body.solution[cell];
+          assert.isBelow(digit(0), digit(1));
+          assert.isBelow(digit(1), digit(11));
+          assert.isBelow(digit(11), digit(20));
+          assert.include([2 * digit(80), digit(80) / 2], digit(79));
+          assert.isAbove(digit(40), digit(41));
+        });
+    });
+
     test("Solve a puzzle with a missing puzzle string", () => {
       chai
         .request(server)
@@ -76,114 +319,612 @@ suite("Functional Tests", () => {
 
       chai
         .request(server)
-        .post("/api/solve")
-        .send({ puzzle: puzzle.join("") })
+        .post("/api/solve")
+        .send({ puzzle: puzzle.join("") })
+        .end((err, res) => {
+          assert.notProperty(res.body, "solution");
+          assert.property(res.body, "error");
+          assert.strictEqual(res.body.error, "Puzzle cannot be solved");
+        });
+    });
+
+    test("Solve a puzzle with a request body too large", () => {
+      chai
+        .request(server)
+        .post("/api/solve")
+        .send({ puzzle: ".".repeat(200000) })
+        .end((err, res) => {
+          assert.strictEqual(res.status, 413);
+          assert.strictEqual(res.type, "application/json");
+          assert.strictEqual(res.body.error, "Request body too large");
+        });
+    });
+  });
+
+  suite("POST /api/conflicts", () => {
+    test("List every conflict on a board", () => {
+      const puzzle = [...puzzlesAndSolutions[0][0]];
+      puzzle[1] = "8";
+
+      chai
+        .request(server)
+        .post("/api/conflicts")
+        .send({ puzzle: puzzle.join("") })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.deepEqual(res.body.conflicts, [
+            { cells: ["A2", "A8"], unit: "row" },
+          ]);
+        });
+    });
+
+    test("List the conflicts of a puzzle with invalid characters", () => {
+      chai
+        .request(server)
+        .post("/api/conflicts")
+        .send({ puzzle: "X".repeat(81) })
+        .end((err, res) => {
+          assert.notProperty(res.body, "conflicts");
+          assert.strictEqual(res.body.error, "Invalid characters in puzzle");
+        });
+    });
+  });
+
+  suite("POST /api/moves", () => {
+    test("Replay moves which solve a puzzle", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[0];
+      const moves = [...puzzle].flatMap((symbol, cell) =>
+        symbol === "."
+          ? [
+              {
+                type: "place",
+                coordinate: `${"ABCDEFGHI"[Math.floor(cell / 9)]}${
+                  (cell % 9) + 1
+                }`,
+                value: solution[cell],
+              },
+            ]
+          : []
+      );
+
+      chai
+        .request(server)
+        .post("/api/moves")
+        .send({
+          puzzle,
+          moves: [{ type: "pencil", coordinate: "A2", value: 3 }, ...moves],
+        })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.notProperty(res.body, "illegal");
+          assert.lengthOf(res.body.steps, moves.length + 1);
+          assert.deepEqual(res.body.steps[0].pencil, { A2: [3] });
+          assert.deepEqual(res.body.steps[1].pencil, {});
+          assert.strictEqual(res.body.board, solution);
+          assert.strictEqual(res.body.solved, true);
+        });
+    });
+
+    test("Replay moves up to the first illegal move", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+      const moves = [
+        { type: "place", coordinate: "A2", value: 3 },
+        { type: "erase", coordinate: "A1" },
+        { type: "place", coordinate: "A4", value: 7 },
+      ];
+
+      chai
+        .request(server)
+        .post("/api/moves")
+        .send({ puzzle, moves })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.lengthOf(res.body.steps, 1);
+          assert.deepEqual(res.body.illegal, {
+            index: 1,
+            move: moves[1],
+            error: "Cannot change a given cell",
+          });
+          assert.strictEqual(res.body.board[1], "3");
+          assert.strictEqual(res.body.solved, false);
+        });
+    });
+
+    test("Replay moves which are not a list", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .post("/api/moves")
+        .send({ puzzle, moves: "A2=3" })
+        .end((err, res) => {
+          assert.strictEqual(res.body.error, "Moves must be a list of moves");
+        });
+    });
+  });
+
+  suite("/api/games", () => {
+    test("Play a game with undo, redo and reset", async () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+      const agent = chai.request(server).keepOpen();
+
+      try {
+        const created = await agent.post("/api/games").send({ puzzle });
+        assert.notProperty(created.body, "error");
+        assert.strictEqual(created.body.board, puzzle);
+        assert.strictEqual(created.body.solved, false);
+
+        const { id } = created.body;
+        const moved = await agent
+          .post(`/api/games/${id}/moves`)
+          .send({ type: "place", coordinate: "A2", value: 3 });
+        assert.strictEqual(moved.body.board[1], "3");
+        assert.strictEqual(moved.body.moves, 1);
+
+        const illegal = await agent
+          .post(`/api/games/${id}/moves`)
+          .send({ type: "place", coordinate: "A4", value: 3 });
+        assert.deepEqual(illegal.body, {
+          error: "Placement breaks the rules",
+          conflict: ["row", "column", "region"],
+        });
+
+        const undone = await agent.post(`/api/games/${id}/undo`);
+        assert.strictEqual(undone.body.board, puzzle);
+        assert.strictEqual(undone.body.canRedo, true);
+
+        const redone = await agent.post(`/api/games/${id}/redo`);
+        assert.strictEqual(redone.body.board[1], "3");
+
+        const reset = await agent.post(`/api/games/${id}/reset`);
+        assert.strictEqual(reset.body.board, puzzle);
+        assert.strictEqual(reset.body.canRedo, false);
+
+        const fetched = await agent.get(`/api/games/${id}`);
+        assert.strictEqual(fetched.body.id, id);
+        assert.isAtLeast(fetched.body.elapsed, 0);
+      } finally {
+        agent.close();
+      }
+    });
+
+    test("Start a game with a generated puzzle", () => {
+      chai
+        .request(server)
+        .post("/api/games")
+        .send({ size: 4 })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.lengthOf(res.body.puzzle, 16);
+          assert.strictEqual(res.body.board, res.body.puzzle);
+        });
+    });
+
+    test("Play a game which does not exist", () => {
+      chai
+        .request(server)
+        .post("/api/games/missing/undo")
+        .end((err, res) => {
+          assert.strictEqual(res.body.error, "Game not found");
+        });
+    });
+  });
+
+  suite("GET /api/solve/stream", () => {
+    // Collects the streamed response into a list of its events.
+    const parseEvents = (res, callback) => {
+      let text = "";
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () =>
+        callback(
+          null,
+          text
+            .split("\n\n")
+            .filter((block) => block !== "")
+            .map((block) => {
+              const [event, data] = block.split("\n");
+              return {
+                event: event.slice("event: ".length),
+                data: JSON.parse(data.slice("data: ".length)),
+              };
+            })
+        )
+      );
+    };
+
+    test("Stream the trace of a solve", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .get("/api/solve/stream")
+        .query({ puzzle })
+        .buffer(true)
+        .parse(parseEvents)
+        .end((err, res) => {
+          assert.strictEqual(res.type, "text/event-stream");
+
+          const done = res.body.pop();
+          assert.strictEqual(done.event, "done");
+          assert.include(done.data, { solution, unique: true });
+          assert.strictEqual(done.data.steps, res.body.length);
+
+          assert.isTrue(res.body.every(({ event }) => event === "step"));
+          assert.deepEqual(res.body[1].data, {
+            type: "place",
+            cell: "A2",
+            value: 3,
+          });
+        });
+    });
+
+    test("Stream the trace of an invalid puzzle", () => {
+      chai
+        .request(server)
+        .get("/api/solve/stream")
+        .query({ puzzle: "1.5" })
+        .buffer(true)
+        .parse(parseEvents)
+        .end((err, res) => {
+          assert.deepEqual(res.body, [
+            {
+              event: "done",
+              data: { error: "Expected puzzle to be 81 characters long" },
+            },
+          ]);
+        });
+    });
+  });
+
+  suite("POST /api/solve/batch", () => {
+    // Collects the streamed response into a list of its result lines.
+    const parseLines = (res, callback) => {
+      let text = "";
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () =>
+        callback(
+          null,
+          text
+            .split("\n")
+            .filter((line) => line !== "")
+            .map((line) => JSON.parse(line))
+        )
+      );
+    };
+
+    test("Solve a list of puzzles, one of them invalid", () => {
+      const [[first, firstSolution], [second, secondSolution]] =
+        puzzlesAndSolutions;
+
+      chai
+        .request(server)
+        .post("/api/solve/batch")
+        .send([first, "1.5", { puzzle: second, engine: "dlx" }])
+        .buffer(true)
+        .parse(parseLines)
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/x-ndjson");
+          assert.lengthOf(res.body, 3);
+          assert.deepEqual(
+            res.body.map(({ index }) => index),
+            [0, 1, 2]
+          );
+
+          assert.strictEqual(res.body[0].solution, firstSolution);
+          assert.strictEqual(
+            res.body[1].error,
+            "Expected puzzle to be 81 characters long"
+          );
+          assert.strictEqual(res.body[2].solution, secondSolution);
+          res.body.forEach(({ time }) => assert.isAtLeast(time, 0));
+        });
+    });
+
+    test("Solve puzzles given as NDJSON", () => {
+      const [[first, firstSolution], [second, secondSolution]] =
+        puzzlesAndSolutions;
+
+      chai
+        .request(server)
+        .post("/api/solve/batch?output=zeros")
+        .set("content-type", "application/x-ndjson")
+        .send(`${JSON.stringify({ puzzle: first })}\n${second}\n`)
+        .buffer(true)
+        .parse(parseLines)
+        .end((err, res) => {
+          assert.lengthOf(res.body, 2);
+          assert.strictEqual(res.body[0].solution, firstSolution);
+          assert.strictEqual(res.body[1].solution, secondSolution);
+        });
+    });
+
+    test("Solve a list of puzzles too long for other requests", () => {
+      const [[puzzle, solution]] = puzzlesAndSolutions;
+
+      chai
+        .request(server)
+        .post("/api/solve/batch")
+        .send(Array(1500).fill(puzzle))
+        .buffer(true)
+        .parse(parseLines)
+        .end((err, res) => {
+          assert.strictEqual(res.status, 200);
+          assert.lengthOf(res.body, 1500);
+          assert.strictEqual(res.body[1499].solution, solution);
+        });
+    });
+
+    test("Solve a batch which is not a list", () => {
+      chai
+        .request(server)
+        .post("/api/solve/batch")
+        .send({ puzzle: puzzlesAndSolutions[0][0] })
+        .end((err, res) => {
+          assert.strictEqual(res.body.error, "Expected a list of puzzles");
+        });
+    });
+  });
+
+  suite("POST /api/check", () => {
+    test("Check a puzzle placement with all fields", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle,
+          coordinate: "A2",
+          value: 3,
+        })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.notProperty(res.body, "conflict");
+          assert.property(res.body, "valid");
+          assert.strictEqual(res.body.valid, true);
+        });
+    });
+
+    test("Check a puzzle placement in a grid of rows", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+      const rows = puzzle
+        .match(/.{9}/g)
+        .map((row) => [...row].map((symbol) => +symbol || 0));
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({ puzzle: rows, coordinate: "A2", value: 4 })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.valid, false);
+          assert.deepEqual(res.body.conflict, ["row"]);
+        });
+    });
+
+    test("Check a puzzle placement with a single placement conflict", () => {
+      const puzzle = ".".repeat(81).split("");
+      puzzle[0] = "1";
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: puzzle.join(""),
+          coordinate: "A4",
+          value: 1,
+        })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "valid");
+          assert.strictEqual(res.body.valid, false);
+          assert.property(res.body, "conflict");
+          assert.isArray(res.body.conflict);
+          assert.strictEqual(res.body.conflict.length, 1);
+          assert.strictEqual(res.body.conflict[0], "row");
+        });
+    });
+
+    test("Check a puzzle placement with multiple placement conflicts", () => {
+      const puzzle = ".".repeat(81).split("");
+      puzzle[0] = "1";
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: puzzle.join(""),
+          coordinate: "C1",
+          value: 1,
+        })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "valid");
+          assert.strictEqual(res.body.valid, false);
+          assert.property(res.body, "conflict");
+          assert.isArray(res.body.conflict);
+          assert.strictEqual(res.body.conflict.length, 2);
+          assert.isTrue(res.body.conflict.includes("region"));
+          assert.isTrue(res.body.conflict.includes("column"));
+        });
+    });
+
+    test("Check a puzzle placement listing the clashing cells", () => {
+      const puzzle = ".".repeat(81).split("");
+      puzzle[0] = "1";
+      puzzle[5] = "1";
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({ puzzle: puzzle.join(""), coordinate: "A2", value: 1 })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.deepEqual(res.body.conflicts, [
+            { cells: ["A2", "A1"], unit: "row" },
+            { cells: ["A2", "A6"], unit: "row" },
+            { cells: ["A2", "A1"], unit: "region" },
+          ]);
+        });
+    });
+
+    test("Check a puzzle placement with all placement conflicts", () => {
+      const puzzle = ".".repeat(81).split("");
+      puzzle[0] = "1"; // Cell A1
+      puzzle[20] = "1"; // Cell C3
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: puzzle.join(""),
+          coordinate: "C1",
+          value: 1,
+        })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "valid");
+          assert.strictEqual(res.body.valid, false);
+          assert.property(res.body, "conflict");
+          assert.isArray(res.body.conflict);
+          assert.strictEqual(res.body.conflict.length, 3);
+          assert.isTrue(res.body.conflict.includes("region"));
+          assert.isTrue(res.body.conflict.includes("column"));
+          assert.isTrue(res.body.conflict.includes("row"));
+        });
+    });
+
+    test("Check a puzzle placement on a 16x16 grid", () => {
+      const puzzle = ".".repeat(256).split("");
+      puzzle[0] = "G";
+
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: puzzle.join(""),
+          coordinate: "A16",
+          value: "G",
+          size: 16,
+        })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.valid, false);
+          assert.deepEqual(res.body.conflict, ["row"]);
+        });
+    });
+
+    test("Check a puzzle placement breaking an extra constraint", () => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: `${".".repeat(80)}5`,
+          coordinate: "A1",
+          value: 5,
+          constraints: ["diagonal", "anti-knight"],
+        })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.valid, false);
+          assert.deepEqual(res.body.conflict, ["diagonal"]);
+        });
+    });
+
+    test("Check a puzzle placement breaking a cage", () => {
+      chai
+        .request(server)
+        .post("/api/check")
+        .send({
+          puzzle: `${".".repeat(20)}1${".".repeat(60)}`,
+          coordinate: "D4",
+          value: 5,
+          cages: [{ cells: ["C3", "D4"], sum: 3 }],
+        })
         .end((err, res) => {
-          assert.notProperty(res.body, "solution");
-          assert.property(res.body, "error");
-          assert.strictEqual(res.body.error, "Puzzle cannot be solved");
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.valid, false);
+          assert.deepEqual(res.body.conflict, ["cage"]);
         });
     });
-  });
-
-  suite("POST /api/check", () => {
-    test("Check a puzzle placement with all fields", () => {
-      const [puzzle] = puzzlesAndSolutions[0];
 
+    test("Check a puzzle placement with jigsaw regions", () => {
       chai
         .request(server)
         .post("/api/check")
         .send({
-          puzzle,
-          coordinate: "A2",
-          value: 3,
+          puzzle: `${".".repeat(13)}5${".".repeat(67)}`,
+          coordinate: "C3",
+          value: 5,
+          regionMap,
         })
         .end((err, res) => {
-          assert.strictEqual(res.type, "application/json");
-
           assert.notProperty(res.body, "error");
-          assert.notProperty(res.body, "conflict");
-          assert.property(res.body, "valid");
-          assert.strictEqual(res.body.valid, true);
+          assert.strictEqual(res.body.valid, false);
+          assert.deepEqual(res.body.conflict, ["region"]);
         });
     });
 
-    test("Check a puzzle placement with a single placement conflict", () => {
-      const puzzle = ".".repeat(81).split("");
-      puzzle[0] = "1";
-
+    test("Check a placement in a multi-grid puzzle", () => {
       chai
         .request(server)
         .post("/api/check")
         .send({
-          puzzle: puzzle.join(""),
-          coordinate: "A4",
-          value: 1,
+          grids: [
+            { row: 0, col: 0, puzzle: ".".repeat(81) },
+            { row: 6, col: 6, puzzle: `${".".repeat(21)}5${".".repeat(59)}` },
+          ],
+          grid: 0,
+          coordinate: "I9",
+          value: 5,
         })
         .end((err, res) => {
-          assert.strictEqual(res.type, "application/json");
-
           assert.notProperty(res.body, "error");
-          assert.property(res.body, "valid");
           assert.strictEqual(res.body.valid, false);
-          assert.property(res.body, "conflict");
-          assert.isArray(res.body.conflict);
-          assert.strictEqual(res.body.conflict.length, 1);
-          assert.strictEqual(res.body.conflict[0], "row");
+          assert.deepEqual(res.body.grids, [
+            { grid: 1, coordinate: "C3", conflict: ["row"] },
+          ]);
         });
     });
 
-    test("Check a puzzle placement with multiple placement conflicts", () => {
-      const puzzle = ".".repeat(81).split("");
-      puzzle[0] = "1";
-
+    test("Check a puzzle placement breaking a thermometer", () => {
       chai
         .request(server)
         .post("/api/check")
         .send({
-          puzzle: puzzle.join(""),
-          coordinate: "C1",
-          value: 1,
+          puzzle: `5${".".repeat(80)}`,
+          coordinate: "A2",
+          value: 3,
+          thermometers: [["A1", "A2", "A3"]],
         })
         .end((err, res) => {
-          assert.strictEqual(res.type, "application/json");
-
           assert.notProperty(res.body, "error");
-          assert.property(res.body, "valid");
           assert.strictEqual(res.body.valid, false);
-          assert.property(res.body, "conflict");
-          assert.isArray(res.body.conflict);
-          assert.strictEqual(res.body.conflict.length, 2);
-          assert.isTrue(res.body.conflict.includes("region"));
-          assert.isTrue(res.body.conflict.includes("column"));
+          assert.deepEqual(res.body.conflict, ["thermometer"]);
         });
     });
 
-    test("Check a puzzle placement with all placement conflicts", () => {
-      const puzzle = ".".repeat(81).split("");
-      puzzle[0] = "1"; // Cell A1
-      puzzle[20] = "1"; // Cell C3
-
+    test("Check a puzzle placement with an invalid grid size", () => {
       chai
         .request(server)
         .post("/api/check")
         .send({
-          puzzle: puzzle.join(""),
-          coordinate: "C1",
+          puzzle: ".".repeat(81),
+          coordinate: "A1",
           value: 1,
+          size: 7,
         })
         .end((err, res) => {
-          assert.strictEqual(res.type, "application/json");
-
-          assert.notProperty(res.body, "error");
-          assert.property(res.body, "valid");
-          assert.strictEqual(res.body.valid, false);
-          assert.property(res.body, "conflict");
-          assert.isArray(res.body.conflict);
-          assert.strictEqual(res.body.conflict.length, 3);
-          assert.isTrue(res.body.conflict.includes("region"));
-          assert.isTrue(res.body.conflict.includes("column"));
-          assert.isTrue(res.body.conflict.includes("row"));
+          assert.notProperty(res.body, "valid");
+          assert.strictEqual(res.body.error, "Invalid box shape");
         });
     });
 
@@ -286,4 +1027,378 @@ suite("Functional Tests", () => {
         });
     });
   });
+
+  suite("POST /api/generate", () => {
+    test("Generate a puzzle with valid options", () => {
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ difficulty: "easy", symmetry: "mirror" })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "puzzle");
+          assert.property(res.body, "solution");
+          assert.strictEqual(res.body.difficulty, "easy");
+          assert.strictEqual(res.body.symmetry, "mirror");
+          assert.isAtLeast(res.body.clues, 36);
+          assert.isAtMost(res.body.clues, 45);
+        });
+    });
+
+    test("Generate a Killer Sudoku puzzle", () => {
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ difficulty: "easy", killer: true })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.isArray(res.body.cages);
+          assert.strictEqual(
+            res.body.cages.reduce(
+              (cells, cage) => cells + cage.cells.length,
+              0
+            ),
+            81
+          );
+        });
+    });
+
+    test("Generate a puzzle from a seed", async () => {
+      const first = await chai
+        .request(server)
+        .post("/api/generate")
+        .send({ difficulty: "medium", seed: "12345" });
+      const second = await chai
+        .request(server)
+        .post("/api/generate")
+        .send({ difficulty: "medium", seed: 12345 });
+
+      assert.notProperty(first.body, "error");
+      assert.strictEqual(first.body.seed, 12345);
+      assert.deepEqual(second.body, first.body);
+    });
+
+    test("Generate a puzzle with an invalid clue count range", () => {
+      chai
+        .request(server)
+        .post("/api/generate")
+        .send({ minClues: "lots", maxClues: 40 })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+          assert.notProperty(res.body, "puzzle");
+          assert.property(res.body, "error");
+          assert.strictEqual(res.body.error, "Invalid clue count range");
+        });
+    });
+  });
+
+  suite("GET /api/daily", () => {
+    test("Get the puzzle of a given day", async () => {
+      const first = await chai
+        .request(server)
+        .get("/api/daily")
+        .query({ date: "2024-01-01" });
+      assert.notProperty(first.body, "error");
+      assert.include(first.body, { date: "2024-01-01", difficulty: "easy" });
+
+      // Another day gives another puzzle, while the first day's stays the same.
+      const other = await chai
+        .request(server)
+        .get("/api/daily")
+        .query({ date: "2024-01-05" });
+      assert.strictEqual(other.body.difficulty, "hard");
+      assert.notStrictEqual(other.body.puzzle, first.body.puzzle);
+
+      const again = await chai
+        .request(server)
+        .get("/api/daily")
+        .query({ date: "2024-01-01" });
+      assert.deepEqual(again.body, first.body);
+    });
+
+    test("Get a daily puzzle rated at its advertised difficulty", async () => {
+      // 2024-01-03 is a Wednesday, and 2024-01-06 a Saturday.
+      for (const [date, difficulty] of [
+        ["2024-01-03", "medium"],
+        ["2024-01-06", "hard"],
+      ]) {
+        const daily = await chai
+          .request(server)
+          .get("/api/daily")
+          .query({ date });
+        assert.strictEqual(daily.body.difficulty, difficulty);
+
+        const rating = await chai
+          .request(server)
+          .post("/api/rate")
+          .send({ puzzle: daily.body.puzzle });
+        assert.strictEqual(rating.body.difficulty, difficulty);
+      }
+    });
+
+    test("Get today's puzzle", async () => {
+      const res = await chai.request(server).get("/api/daily");
+      assert.notProperty(res.body, "error");
+      assert.strictEqual(res.body.date, new Date().toISOString().slice(0, 10));
+      assert.property(res.body, "puzzle");
+      assert.property(res.body, "seed");
+    });
+
+    test("Get the puzzle of an invalid day", async () => {
+      const res = await chai
+        .request(server)
+        .get("/api/daily")
+        .query({ date: "2024-02-30" });
+      assert.deepEqual(res.body, { error: "Invalid date" });
+    });
+  });
+
+  suite("POST /api/explain", () => {
+    test("Explain a puzzle with a valid puzzle string", () => {
+      const [puzzle, solution] = puzzlesAndSolutions[1];
+
+      chai
+        .request(server)
+        .post("/api/explain")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.solved, true);
+          assert.strictEqual(res.body.puzzle, solution);
+          assert.isArray(res.body.steps);
+          assert.property(res.body.steps[0], "technique");
+          assert.property(res.body.steps[0], "cells");
+          assert.property(res.body.steps[0], "eliminations");
+        });
+    });
+
+    test("Explain a puzzle with a missing puzzle string", () => {
+      chai
+        .request(server)
+        .post("/api/explain")
+        .send({})
+        .end((err, res) => {
+          assert.property(res.body, "error");
+          assert.strictEqual(res.body.error, "Required field missing");
+        });
+    });
+  });
+
+  suite("POST /api/diagnose", () => {
+    test("Diagnose a puzzle with duplicate givens", async () => {
+      const puzzle = `5.......5${".".repeat(72)}`;
+      const res = await chai
+        .request(server)
+        .post("/api/diagnose")
+        .send({ puzzle });
+
+      assert.include(res.body, {
+        solvable: false,
+        reason: "duplicate-givens",
+      });
+      assert.deepEqual(res.body.conflicts, [
+        { cells: ["A1", "A9"], unit: "row" },
+      ]);
+      assert.include(res.body.explanation, "A1 and A9");
+    });
+
+    test("Diagnose a puzzle which can be solved", async () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+      const res = await chai
+        .request(server)
+        .post("/api/diagnose")
+        .send({ puzzle });
+      assert.deepEqual(res.body, { solvable: true });
+    });
+
+    test("Diagnose a puzzle with a missing puzzle string", async () => {
+      const res = await chai.request(server).post("/api/diagnose").send({});
+      assert.deepEqual(res.body, { error: "Required field missing" });
+    });
+  });
+
+  suite("POST /api/candidates", () => {
+    test("Get the candidates of every empty cell", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .post("/api/candidates")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.deepEqual(res.body.candidates.C1, [7, 9]);
+          assert.notProperty(res.body.candidates, "A1");
+        });
+    });
+
+    test("Get the candidates after basic eliminations", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .post("/api/candidates")
+        .send({ puzzle, eliminate: "true" })
+        .end((err, res) => {
+          assert.notProperty(res.body, "error");
+          assert.deepEqual(res.body.candidates.C1, [7]);
+        });
+    });
+
+    test("Get the candidates of a puzzle with a missing puzzle string", () => {
+      chai
+        .request(server)
+        .post("/api/candidates")
+        .send({})
+        .end((err, res) => {
+          assert.strictEqual(res.body.error, "Required field missing");
+        });
+    });
+  });
+
+  suite("POST /api/hint", () => {
+    test("Get a hint for a puzzle", () => {
+      const [puzzle] = puzzlesAndSolutions[0];
+
+      chai
+        .request(server)
+        .post("/api/hint")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.property(res.body, "hint");
+          assert.strictEqual(res.body.hint.technique, "Hidden Single");
+          assert.deepEqual(res.body.hint.placement, { cell: "A2", value: 3 });
+        });
+    });
+
+    test("Get a hint for a puzzle with invalid characters", () => {
+      const puzzle = ".".repeat(81).split("");
+      puzzle[0] = "X";
+
+      chai
+        .request(server)
+        .post("/api/hint")
+        .send({ puzzle: puzzle.join("") })
+        .end((err, res) => {
+          assert.notProperty(res.body, "hint");
+          assert.strictEqual(res.body.error, "Invalid characters in puzzle");
+        });
+    });
+  });
+
+  suite("POST /api/rate", () => {
+    test("Rate a puzzle with a valid puzzle string", () => {
+      const [puzzle] = puzzlesAndSolutions[3];
+
+      chai
+        .request(server)
+        .post("/api/rate")
+        .send({ puzzle })
+        .end((err, res) => {
+          assert.strictEqual(res.type, "application/json");
+
+          assert.notProperty(res.body, "error");
+          assert.strictEqual(res.body.difficulty, "easy");
+          assert.isNumber(res.body.score);
+          assert.strictEqual(res.body.requiresGuessing, false);
+        });
+    });
+
+    test("Rate a puzzle with incorrect length", () => {
+      chai
+        .request(server)
+        .post("/api/rate")
+        .send({ puzzle: ".".repeat(80) })
+        .end((err, res) => {
+          assert.property(res.body, "error");
+          assert.strictEqual(
+            res.body.error,
+            "Expected puzzle to be 81 characters long"
+          );
+        });
+    });
+  });
+
+  suite("/api/puzzles", () => {
+    test("Browse the puzzle library", async () => {
+      const res = await chai
+        .request(server)
+        .get("/api/puzzles")
+        .query({ difficulty: "easy", limit: 2 });
+
+      assert.notProperty(res.body, "error");
+      assert.include(res.body, { page: 1, limit: 2 });
+      assert.isAtLeast(res.body.total, puzzlesAndSolutions.length);
+      assert.lengthOf(res.body.puzzles, 2);
+      res.body.puzzles.forEach((record) =>
+        assert.strictEqual(record.difficulty, "easy")
+      );
+    });
+
+    test("Add a tagged puzzle to the library", async () => {
+      const [puzzle, solution] = puzzlesAndSolutions[2];
+      const added = await chai
+        .request(server)
+        .post("/api/puzzles")
+        .send({ puzzle, tags: ["favourite"] });
+      assert.notProperty(added.body, "error");
+      assert.include(added.body.puzzle, { puzzle, solution });
+      assert.include(added.body.puzzle.tags, "favourite");
+
+      const found = await chai
+        .request(server)
+        .get(`/api/puzzles/${added.body.puzzle.id}`);
+      assert.deepEqual(found.body, added.body.puzzle);
+
+      const tagged = await chai
+        .request(server)
+        .get("/api/puzzles")
+        .query({ tags: "favourite" });
+      assert.strictEqual(tagged.body.total, 1);
+      assert.deepEqual(tagged.body.puzzles, [added.body.puzzle]);
+    });
+
+    test("Import a collection with an invalid puzzle", async () => {
+      const res = await chai
+        .request(server)
+        .post("/api/puzzles")
+        .send({
+          puzzles: [puzzlesAndSolutions[3][0], ".".repeat(81)],
+          source: "import",
+        });
+
+      assert.lengthOf(res.body.puzzles, 1);
+      assert.deepEqual(res.body.errors, [
+        { index: 1, error: "Puzzle does not have a unique solution" },
+      ]);
+    });
+
+    test("Import a text collection with a bad line", async () => {
+      const [[first], [second]] = puzzlesAndSolutions;
+      const res = await chai
+        .request(server)
+        .post("/api/puzzles")
+        .send({ puzzles: `${first}\nabc\n${second}\n`, source: "import" });
+
+      assert.deepEqual(
+        res.body.puzzles.map(({ puzzle }) => puzzle),
+        [first, second]
+      );
+      assert.deepEqual(res.body.errors, [
+        { index: 1, error: "Expected puzzle to be 81 characters long" },
+      ]);
+    });
+
+    test("Find a puzzle which is not in the library", async () => {
+      const res = await chai.request(server).get("/api/puzzles/unknown");
+      assert.deepEqual(res.body, { error: "Puzzle not found" });
+    });
+  });
 });